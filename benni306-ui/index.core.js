@@ -1,12 +1,77 @@
 "use strict";
 
 import { drawText } from "https://cdn.jsdelivr.net/npm/canvas-txt@4.1.1/+esm";
-import { printCanvas } from "./src/printer.js";
+import {
+	PRINTER_MODELS,
+	EmbedListener,
+	RemoteJobListener,
+	BAUD_RATES,
+	encodePrintJob,
+} from "../phomemo-printer.js";
+import {
+	labelTypeKey,
+	loadPrintSettings,
+	savePrintSettings,
+	toPrintOptions,
+} from "../src/print-settings.js";
+import { autoprintWhenReady, createDesignUrl, readDesignFromUrl } from "../src/url-state.js";
+import { UndoHistory, getUndoShortcut } from "../src/undo-history.js";
+import { TemplateLibrary, fillTemplateDesign } from "../src/templates.js";
+import { PrintStation } from "../src/print-station.js";
+import {
+	askResume,
+	createPrinterStatusView,
+	createQueueButton,
+	downloadBlob,
+	preparePrintTarget,
+	renderPrinters,
+	renderQueue,
+	renderRemotePng,
+	restoreRemoteJobsControls,
+	runBenchmark,
+	showConnectionStatus,
+	showPrintProgress,
+	showRemoteJobsStatus,
+	showTransferSettings,
+	showVirtualOutput,
+	updateRemoteJobs,
+} from "../src/print-views.js";
 
 const $ = document.querySelector.bind(document);
 const $all = document.querySelectorAll.bind(document);
 
 const labelSize = { width: 40, height: 12 };
+// The image tab's picture as a data URL, kept apart from the file input so undo can restore it
+let labelImage = null;
+const undoHistory = new UndoHistory();
+let restoringEdit = false; // set while a whole label is put into the editor, e.g. by undo
+const TEMPLATE_UI = "benni"; // templates of this UI, see src/templates.js
+const PRINTER_MODEL_KEY = "phomemo.printerModel";
+// The printer connected with the print button, the virtual printer, further printers and the
+// queue they share, see src/print-station.js
+const station = new PrintStation({ confirmResume: askResume });
+const { queue: printQueue, pool: printerPool } = station;
+
+// Darkness and feed are remembered per label size
+const showPrintSettings = () => {
+	const { density, feedLines } = loadPrintSettings(labelTypeKey(labelSize));
+	$("#printDensity").value = density;
+	$("#feedLines").value = feedLines;
+	updateDensityDisplay();
+};
+
+const updateDensityDisplay = () => {
+	const density = $("#printDensity").valueAsNumber;
+	$("#printDensityValue").textContent = density ? density : "Printer default";
+};
+
+const storePrintSettings = () => {
+	savePrintSettings(labelTypeKey(labelSize), {
+		density: $("#printDensity").valueAsNumber || 0,
+		feedLines: $("#feedLines").valueAsNumber || 0,
+	});
+	updateDensityDisplay();
+};
 
 const updateLabelSize = (canvas) => {
 	const inputWidth = $("#inputWidth").valueAsNumber;
@@ -18,10 +83,12 @@ const updateLabelSize = (canvas) => {
 
 	labelSize.width = inputWidth;
 	labelSize.height = inputHeight;
+	showPrintSettings();
 
 	// Image sent to printer is printed top to bottom, so reverse width and height
-	canvas.width = labelSize.height * 8;
-	canvas.height = labelSize.width * 8;
+	const { dotsPerMm } = station.printer.model;
+	canvas.width = Math.round(labelSize.height * dotsPerMm);
+	canvas.height = Math.round(labelSize.width * dotsPerMm);
 };
 
 const updateCanvasText = (canvas) => {
@@ -31,7 +98,10 @@ const updateCanvasText = (canvas) => {
 		handleError("font size invalid");
 		return;
 	}
+	drawTextLabel(canvas, text, fontSize);
+};
 
+const drawTextLabel = (canvas, text, fontSize) => {
 	const ctx = canvas.getContext("2d");
 	ctx.fillStyle = "#fff";
 	ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -56,69 +126,93 @@ const updateCanvasText = (canvas) => {
 };
 
 const updateCanvasBarcode = (canvas) => {
-	const barcodeData = $("#inputBarcode").value;
-	const image = document.createElement("img");
-	image.addEventListener("load", () => {
-		const ctx = canvas.getContext("2d");
-		ctx.fillStyle = "#fff";
-		ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-		ctx.translate(canvas.width / 2, canvas.height / 2);
-		ctx.rotate(Math.PI / 2);
-
-		ctx.imageSmoothingEnabled = false;
-		ctx.drawImage(image, -image.width / 2, -image.height / 2);
-
-		ctx.rotate(-Math.PI / 2);
-		ctx.translate(-canvas.width / 2, -canvas.height / 2);
-	});
-
-	JsBarcode(image, barcodeData, {
-		format: "CODE128",
-		width: 2,
-		height: labelSize.height * 7,
-		displayValue: false,
-	});
+	drawBarcodeLabel(canvas, $("#inputBarcode").value).catch(handleError);
 };
 
-const drawImageToCanvas = (ctx, url, doScale = true) => {
-	const img = new Image();
-	img.addEventListener("load", () => {
-		ctx.fillStyle = "#fff";
-		ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-		ctx.translate(canvas.width / 2, canvas.height / 2);
-		ctx.rotate(Math.PI / 2);
-
-		ctx.imageSmoothingEnabled = false;
-		// draw image in center of canvas, scaled to fit
-		const scale = doScale ? Math.min(canvas.height / img.width, canvas.width / img.height) : 1;
-		const drawWidth = img.width * scale;
-		const drawHeight = img.height * scale;
-		ctx.drawImage(img, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
-
-		ctx.rotate(-Math.PI / 2);
-		ctx.translate(-canvas.width / 2, -canvas.height / 2);
-	});
-	img.addEventListener("error", () => {
-		handleError("failed to load image");
+// Resolves once the barcode is drawn
+const drawBarcodeLabel = (canvas, data) =>
+	new Promise((resolve, reject) => {
+		const image = document.createElement("img");
+		image.addEventListener("load", () => {
+			const ctx = canvas.getContext("2d");
+			ctx.fillStyle = "#fff";
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+			ctx.translate(canvas.width / 2, canvas.height / 2);
+			ctx.rotate(Math.PI / 2);
+
+			ctx.imageSmoothingEnabled = false;
+			ctx.drawImage(image, -image.width / 2, -image.height / 2);
+
+			ctx.rotate(-Math.PI / 2);
+			ctx.translate(-canvas.width / 2, -canvas.height / 2);
+			resolve();
+		});
+		image.addEventListener("error", () => reject(new Error("failed to draw barcode")));
+
+		// The canvas is as wide as the label is high
+		JsBarcode(image, data, {
+			format: "CODE128",
+			width: 2,
+			height: Math.round(canvas.width * 0.875),
+			displayValue: false,
+		});
 	});
 
-	img.src = url;
-};
+// Resolves once the image is drawn
+const drawImageToCanvas = (canvas, url, doScale = true) =>
+	new Promise((resolve, reject) => {
+		const ctx = canvas.getContext("2d");
+		const img = new Image();
+		img.crossOrigin = "anonymous"; // keeps the canvas readable for printing
+		img.addEventListener("load", () => {
+			ctx.fillStyle = "#fff";
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+			ctx.translate(canvas.width / 2, canvas.height / 2);
+			ctx.rotate(Math.PI / 2);
+
+			ctx.imageSmoothingEnabled = false;
+			// draw image in center of canvas, scaled to fit
+			const scale = doScale ? Math.min(canvas.height / img.width, canvas.width / img.height) : 1;
+			const drawWidth = img.width * scale;
+			const drawHeight = img.height * scale;
+			ctx.drawImage(img, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+
+			ctx.rotate(-Math.PI / 2);
+			ctx.translate(-canvas.width / 2, -canvas.height / 2);
+			resolve();
+		});
+		img.addEventListener("error", () => reject(new Error("failed to load image")));
+
+		img.src = url;
+	});
 
 const updateCanvasImage = (canvas) => {
+	if (labelImage) {
+		drawImageToCanvas(canvas, labelImage).catch(handleError);
+		return;
+	}
 	const ctx = canvas.getContext("2d");
+	ctx.fillStyle = "#fff";
+	ctx.fillRect(0, 0, canvas.width, canvas.height);
+};
+
+// Reads the chosen image file, or forgets the image if none is chosen
+const loadLabelImage = (canvas) => {
 	const file = $("#inputImage").files[0];
 	if (!file) {
-		ctx.fillStyle = "#fff";
-		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		labelImage = null;
+		updateCanvasImage(canvas);
+		recordEdit();
 		return;
 	}
 
 	const reader = new FileReader();
 	reader.addEventListener("load", (e) => {
-		drawImageToCanvas(ctx, e.target.result);
+		labelImage = e.target.result;
+		updateCanvasImage(canvas);
+		recordEdit();
 	});
 	reader.addEventListener("error", () => {
 		handleError("failed to read image file");
@@ -127,11 +221,31 @@ const updateCanvasImage = (canvas) => {
 	reader.readAsDataURL(file);
 };
 
-const updateCanvasQR = async (canvas) => {
-	const data = $("#inputQR").value;
-	const ctx = canvas.getContext("2d");
+const updateCanvasQR = (canvas) => drawQRLabel(canvas, $("#inputQR").value).catch(handleError);
+
+const drawQRLabel = async (canvas, data) => {
 	const qrImg = await QRCode.toDataURL(data, { width: canvas.width - 8, margin: 2 });
-	drawImageToCanvas(ctx, qrImg, false);
+	await drawImageToCanvas(canvas, qrImg, false);
+};
+
+// Draws a remote job's design; a label here shows one thing, the first of image, QR code,
+// barcode and text the design has. Sizes it leaves out come from the editor.
+const renderRemoteDesign = async (design) => {
+	const width = design.width ?? labelSize.width;
+	const height = design.height ?? labelSize.height;
+	const fontSize = design.fontSize ?? ($("#inputFontSize").valueAsNumber || 24);
+	if (!(width > 0 && height > 0 && fontSize > 0)) {
+		throw new Error("The design's label size or font size is invalid");
+	}
+
+	const canvas = document.createElement("canvas");
+	canvas.width = Math.round(height * station.printer.model.dotsPerMm);
+	canvas.height = Math.round(width * station.printer.model.dotsPerMm);
+	if (design.image) await drawImageToCanvas(canvas, design.image);
+	else if (typeof design.qr === "string") await drawQRLabel(canvas, design.qr);
+	else if (typeof design.barcode === "string") await drawBarcodeLabel(canvas, design.barcode);
+	else drawTextLabel(canvas, design.text ?? "", fontSize);
+	return canvas;
 };
 
 const handleError = (err) => {
@@ -142,6 +256,108 @@ const handleError = (err) => {
 	toast.show();
 };
 
+const remoteJobs = new RemoteJobListener();
+// Requests from the app this page is embedded in, see phomemo-embed.js
+const embed = new EmbedListener({
+	confirmPrint: (origin) => confirm(`Allow ${origin} to print labels on your printers?`),
+});
+
+const renderRemoteJob = (job) =>
+	job.png ? renderRemotePng(job.png) : renderRemoteDesign(job.design);
+
+// Renders a remote job, queues it and reports its progress back to the sender, remoteJobs or embed
+const printRemoteJob = (job, sender) =>
+	station.printRemoteJob(job, sender, { render: renderRemoteJob, labelSize }).catch(handleError);
+
+// Name of the tab the label was made in, e.g. "Text label"
+const getLabelName = () => {
+	const activeTab = $("#nav-tab .nav-link.active");
+	return activeTab ? `${activeTab.textContent} label` : "Label";
+};
+
+// The label as set up in the editor, for links to it; an image cannot be part of a link
+const readLabelDesign = () => ({
+	tab: $("#nav-tab .nav-link.active")?.id.replace(/^nav-|-tab$/g, "") || "text",
+	width: labelSize.width,
+	height: labelSize.height,
+	text: $("#inputText").value,
+	fontSize: $("#inputFontSize").valueAsNumber,
+	barcode: $("#inputBarcode").value,
+	qr: $("#inputQR").value,
+});
+
+// Fills the editor with a design from readLabelDesign, or part of one, and shows its tab
+const applyLabelDesign = (canvas, design) => {
+	const inputs = {
+		width: "#inputWidth",
+		height: "#inputHeight",
+		text: "#inputText",
+		fontSize: "#inputFontSize",
+		barcode: "#inputBarcode",
+		qr: "#inputQR",
+	};
+	for (const [key, selector] of Object.entries(inputs)) {
+		if (design[key] !== undefined) $(selector).value = design[key];
+	}
+	updateLabelSize(canvas);
+	const tab = design.tab && $(`#nav-${design.tab}-tab`);
+	if (tab) bootstrap.Tab.getOrCreateInstance(tab).show();
+	redrawLabel(canvas).catch(handleError);
+};
+
+// The settings of the text add-on (index.js), by id
+const readAdvancedText = () =>
+	Object.fromEntries(
+		[...$all("[id^='adv']")].map((e) => [e.id, e.type === "checkbox" ? e.checked : e.value])
+	);
+
+// Everything undo and redo cover: the label, its image and the text add-on's settings
+const readEditorState = () => ({ ...readLabelDesign(), image: labelImage, ...readAdvancedText() });
+
+// Records the editor's state as a step that can be undone, unless it is being restored
+const recordEdit = () => {
+	if (!restoringEdit) undoHistory.record(readEditorState());
+};
+
+// Puts a state from readEditorState back into the editor
+const restoreEdit = (canvas, state) => {
+	if (!state) return;
+	restoringEdit = true;
+	try {
+		if (labelImage !== state.image) $("#inputImage").value = "";
+		labelImage = state.image;
+		for (const [id, value] of Object.entries(readAdvancedText())) {
+			if (Object.is(state[id], value)) continue;
+			const input = $(`#${id}`);
+			if (input.type === "checkbox") input.checked = state[id];
+			else input.value = state[id];
+		}
+		applyLabelDesign(canvas, state);
+		// The text add-on draws over the text label once its inputs change
+		if (state.tab === "text") $("#inputText").dispatchEvent(new Event("input"));
+	} finally {
+		restoringEdit = false;
+	}
+};
+
+// Draws the label of the open tab; resolves once it is drawn
+const redrawLabel = async (canvas) => {
+	const { tab } = readLabelDesign();
+	if (tab === "barcode") await drawBarcodeLabel(canvas, $("#inputBarcode").value);
+	else if (tab === "qr") await drawQRLabel(canvas, $("#inputQR").value);
+	else if (tab === "image") updateCanvasImage(canvas);
+	else updateCanvasText(canvas);
+};
+
+// Queued labels must not change when the preview is edited afterwards
+const snapshotCanvas = (canvas) => {
+	const copy = document.createElement("canvas");
+	copy.width = canvas.width;
+	copy.height = canvas.height;
+	copy.getContext("2d").drawImage(canvas, 0, 0);
+	return copy;
+};
+
 document.addEventListener("DOMContentLoaded", function () {
 	const canvas = document.querySelector("#canvas");
 
@@ -150,8 +366,40 @@ document.addEventListener("DOMContentLoaded", function () {
 		else if (e.target.id === "nav-barcode-tab") updateCanvasBarcode(canvas);
 		else if (e.target.id === "nav-image-tab") updateCanvasImage(canvas);
 		else if (e.target.id === "nav-qr-tab") updateCanvasQR(canvas);
+		recordEdit();
+	});
+
+	const modelSelect = $("#printerModel");
+	modelSelect.append(
+		...Object.values(PRINTER_MODELS).map((model) => new Option(model.name, model.id))
+	);
+	modelSelect.value = localStorage.getItem(PRINTER_MODEL_KEY) || "auto";
+	station.setModel(modelSelect.value);
+	modelSelect.addEventListener("change", () => {
+		station.setModel(modelSelect.value);
+		localStorage.setItem(PRINTER_MODEL_KEY, modelSelect.value);
+		updateLabelSize(canvas);
+	});
+	station.onPrinterEvent("statechange", (e) => {
+		if (e.detail.state === "connected") updateLabelSize(canvas);
 	});
 
+	// Bluetooth or serial port; the serial option needs Web Serial
+	const transportSelect = $("#printerTransport");
+	const baudRateSelect = $("#serialBaudRate");
+	transportSelect.options[1].disabled = !navigator.serial;
+	transportSelect.value = station.transport;
+	$("#serialSettings").hidden = station.transport !== "serial";
+	baudRateSelect.append(...BAUD_RATES.map((rate) => new Option(`${rate}`, rate)));
+	baudRateSelect.value = station.serialPrinter.baudRate;
+	transportSelect.addEventListener("change", () => {
+		station.setTransport(transportSelect.value);
+		$("#serialSettings").hidden = station.transport !== "serial";
+	});
+	baudRateSelect.addEventListener("change", () =>
+		station.setBaudRate(Number(baudRateSelect.value))
+	);
+
 	$all("#inputWidth, #inputHeight").forEach((e) =>
 		e.addEventListener("input", () => updateLabelSize(canvas))
 	);
@@ -163,20 +411,269 @@ document.addEventListener("DOMContentLoaded", function () {
 	updateCanvasText(canvas);
 
 	$("#inputBarcode").addEventListener("input", () => updateCanvasBarcode(canvas));
-	$("#inputImage").addEventListener("change", () => updateCanvasImage(canvas));
+	$("#inputImage").addEventListener("change", () => loadLabelImage(canvas));
 	$("#inputQR").addEventListener("input", () => updateCanvasQR(canvas));
 
 	$("form").addEventListener("submit", (e) => {
 		e.preventDefault();
-		navigator.bluetooth
-			.requestDevice({
-				acceptAllDevices: true,
-				optionalServices: ["0000ff00-0000-1000-8000-00805f9b34fb"],
-			})
-			.then((device) => device.gatt.connect())
-			.then((server) => server.getPrimaryService("0000ff00-0000-1000-8000-00805f9b34fb"))
-			.then((service) => service.getCharacteristic("0000ff02-0000-1000-8000-00805f9b34fb"))
-			.then((char) => printCanvas(char, canvas))
+		const copies = $("#copies").valueAsNumber || 1;
+		const name = getLabelName();
+		const label = snapshotCanvas(canvas);
+		const printOptions = toPrintOptions(loadPrintSettings(labelTypeKey(labelSize)));
+		preparePrintTarget(station)
+			.then((printerId) =>
+				printQueue.add(label, {
+					copies,
+					name,
+					printerId,
+					// The model and transfer settings come from the printer the job ends up on
+					printOptions: { ...printOptions, threshold: station.printer.threshold },
+				})
+			)
+			.catch(handleError);
+	});
+
+	$all("#printDensity, #feedLines").forEach((e) => e.addEventListener("input", storePrintSettings));
+
+	// Printer files hold the exact bytes of a job, to reprint it byte for byte later
+	$("#saveFileButton").addEventListener("click", () => {
+		const printOptions = toPrintOptions(loadPrintSettings(labelTypeKey(labelSize)));
+		try {
+			const data = encodePrintJob(canvas, {
+				...printOptions,
+				model: station.printer.model,
+				threshold: station.printer.threshold,
+			});
+			const fileName = `${getLabelName().replace(/[^\w-]+/g, "_")}.bin`;
+			downloadBlob(new Blob([data], { type: "application/octet-stream" }), fileName);
+		} catch (err) {
+			handleError(err);
+		}
+	});
+	$("#printFileButton").addEventListener("click", () => $("#printFileInput").click());
+	$("#printFileInput").addEventListener("change", async (e) => {
+		const [file] = e.target.files;
+		e.target.value = "";
+		if (!file) return;
+		try {
+			// Before anything else is awaited, while connecting can still show the device chooser
+			const printerId = await preparePrintTarget(station);
+			const data = new Uint8Array(await file.arrayBuffer());
+			printQueue.add(data, {
+				copies: $("#copies").valueAsNumber || 1,
+				name: file.name,
+				printerId,
+			});
+		} catch (err) {
+			handleError(err);
+		}
+	});
+
+	const updateLabelDelay = () => {
+		printQueue.delayMs = ($("#labelDelay").valueAsNumber || 0) * 1000;
+	};
+	$("#labelDelay").addEventListener("input", updateLabelDelay);
+	updateLabelDelay();
+
+	printQueue.addEventListener("change", () => renderQueue(station));
+	printQueue.addEventListener("change", () => showTransferSettings(station));
+	printQueue.addEventListener("progress", (e) =>
+		showPrintProgress(e.detail.progress, e.detail.job)
+	);
+	printQueue.addEventListener("error", (e) => handleError(e.detail.error));
+	$("#cancelPrintButton").addEventListener("click", () => printQueue.cancelCurrent());
+	$("#queuePause").addEventListener("click", () =>
+		printQueue.paused ? printQueue.resume() : printQueue.pause()
+	);
+	$("#queueClear").addEventListener("click", () => printQueue.clearFinished());
+	renderQueue(station);
+
+	// The main printer, switched to another transport or to the virtual printer
+	station.addEventListener("change", () => {
+		showConnectionStatus(station);
+		renderPrinters(station);
+		updateLabelSize(canvas);
+	});
+	station.onPrinterEvent("statechange", () => showConnectionStatus(station));
+	station.onPrinterEvent("status", createPrinterStatusView(handleError));
+	$("#disconnectButton").addEventListener("click", () => station.printer.disconnect());
+	showConnectionStatus(station);
+
+	station.onPrinterEvent("statechange", () => renderPrinters(station));
+	printerPool.addEventListener("change", () => renderPrinters(station));
+	$("#addPrinterButton").addEventListener("click", () =>
+		printerPool.add({ exclude: [station.printer.device?.id].filter(Boolean) }).catch(handleError)
+	);
+	renderPrinters(station);
+
+	$("#virtualPrinter").addEventListener("change", (e) => {
+		station.setVirtualPrinter(e.target.checked);
+		$("#virtualOutput").hidden = !e.target.checked;
+	});
+	station.virtualPrinter.addEventListener("job", (e) =>
+		showVirtualOutput(station.virtualPrinter, e.detail.job)
+	);
+	$("#benchmarkButton").addEventListener("click", () => runBenchmark(station).catch(handleError));
+	station.restore().catch(handleError);
+
+	// Remote jobs
+	const updateRemoteJobsListener = () => updateRemoteJobs(remoteJobs, handleError);
+	remoteJobs.addEventListener("statechange", () => showRemoteJobsStatus(remoteJobs));
+	remoteJobs.addEventListener("job", (e) => printRemoteJob(e.detail.job, remoteJobs));
+	remoteJobs.addEventListener("error", (e) => handleError(e.detail.error));
+	$("#remoteJobs").addEventListener("change", updateRemoteJobsListener);
+	$("#remoteJobsUrl").addEventListener("change", updateRemoteJobsListener);
+	restoreRemoteJobsControls();
+	updateRemoteJobsListener();
+	showRemoteJobsStatus(remoteJobs);
+
+	// Embedding app
+	embed.addEventListener("job", (e) => printRemoteJob(e.detail.job, embed));
+	embed.addEventListener("preview", ({ detail: { job } }) =>
+		renderRemoteJob(job)
+			.then((label) => embed.sendPreview(job.id, label))
+			.catch((err) => embed.report(job.id, "failed", err.message))
+	);
+	embed.start();
+
+	// Label design from the URL, e.g. a bookmark or a link from a wiki
+	const defaultDesign = readLabelDesign();
+	const defaultState = readEditorState();
+	const copyDesignLink = (autoprint) => {
+		const design = readLabelDesign();
+		// The address bar keeps the design too, but never prints again on reload
+		history.replaceState(null, "", createDesignUrl(design, defaultDesign));
+		navigator.clipboard
+			.writeText(createDesignUrl(design, defaultDesign, { autoprint }))
 			.catch(handleError);
+	};
+	$("#copyLinkButton").addEventListener("click", () => copyDesignLink(false));
+	$("#copyPrintLinkButton").addEventListener("click", () => copyDesignLink(true));
+
+	const { design: urlDesign, autoprint } = readDesignFromUrl(location, defaultDesign);
+	applyLabelDesign(canvas, urlDesign);
+
+	// Undo and redo; every edit goes through an input event, or loadLabelImage
+	undoHistory.reset(readEditorState());
+	const updateUndoButtons = () => {
+		$("#undoButton").disabled = !undoHistory.canUndo;
+		$("#redoButton").disabled = !undoHistory.canRedo;
+	};
+	undoHistory.addEventListener("change", updateUndoButtons);
+	updateUndoButtons();
+	$("#undoButton").addEventListener("click", () => restoreEdit(canvas, undoHistory.undo()));
+	$("#redoButton").addEventListener("click", () => restoreEdit(canvas, undoHistory.redo()));
+	document.addEventListener("keydown", (e) => {
+		const action = getUndoShortcut(e);
+		if (!action) return;
+		// The editor's history covers the text fields too
+		e.preventDefault();
+		restoreEdit(canvas, undoHistory[action]());
+	});
+	document.addEventListener("input", recordEdit);
+	// A field left or a choice made ends the step, even if the next change follows quickly
+	document.addEventListener("change", () => undoHistory.checkpoint());
+
+	// Label templates, saved in this browser
+	const templates = new TemplateLibrary(TEMPLATE_UI);
+	const openTemplate = (template) => {
+		restoreEdit(canvas, fillTemplateDesign(template, defaultState));
+		// Opening a template can be undone in one step
+		undoHistory.checkpoint();
+		recordEdit();
+	};
+	const renderTemplates = async () => {
+		const list = await templates.list();
+		$("#templateList").replaceChildren(
+			...list.map((template) => {
+				const item = document.createElement("li");
+				item.className = "list-group-item";
+				item.addEventListener("click", () => openTemplate(template));
+
+				const name = document.createElement("span");
+				name.className = "template-name";
+				name.textContent = template.name;
+				name.title = `${template.name}, saved ${new Date(template.savedAt).toLocaleString()}`;
+
+				// Keep clicks on the buttons from opening the template
+				const act = (action) => (e) => {
+					e.stopPropagation();
+					action().catch(handleError);
+				};
+				item.append(
+					name,
+					createQueueButton(
+						"✎",
+						"Rename",
+						act(async () => {
+							const newName = prompt("Template name", template.name);
+							if (newName?.trim()) await templates.rename(template.id, newName);
+						})
+					),
+					createQueueButton(
+						"✕",
+						"Delete",
+						act(async () => {
+							if (confirm(`Delete the template "${template.name}"?`)) {
+								await templates.delete(template.id);
+							}
+						})
+					)
+				);
+				return item;
+			})
+		);
+		$("#templateListEmpty").hidden = list.length > 0;
+	};
+	templates.addEventListener("change", () => renderTemplates().catch(handleError));
+	$("#saveTemplateButton").addEventListener("click", async () => {
+		try {
+			const saved = await templates.save($("#templateName").value, readEditorState(), (existing) =>
+				confirm(`Replace the template "${existing}"?`)
+			);
+			if (!saved) return;
+			$("#templateName").value = "";
+			$("#templateStatus").textContent = `Saved "${saved.name}".`;
+		} catch (err) {
+			handleError(err);
+		}
 	});
+	$("#templateName").addEventListener("keydown", (e) => {
+		if (e.key !== "Enter") return;
+		e.preventDefault();
+		$("#saveTemplateButton").click();
+	});
+	$("#exportTemplatesButton").addEventListener("click", () =>
+		templates
+			.export()
+			.then((file) => downloadBlob(file, "label-templates.json"))
+			.catch(handleError)
+	);
+	$("#importTemplatesButton").addEventListener("click", () => $("#templateFileInput").click());
+	$("#templateFileInput").addEventListener("change", async (e) => {
+		const [file] = e.target.files;
+		e.target.value = ""; // allow importing the same file again
+		if (!file) return;
+		try {
+			$("#templateStatus").textContent = await templates.import(await file.text());
+		} catch (err) {
+			handleError(err);
+		}
+	});
+	renderTemplates().catch(handleError);
+	if (autoprint) {
+		autoprintWhenReady({
+			url: createDesignUrl(readLabelDesign(), defaultDesign),
+			isReady: () => station.useVirtualPrinter || station.printer.connected,
+			onChange: (check) => {
+				station.onPrinterEvent("statechange", check);
+				station.addEventListener("change", check);
+			},
+			// Connecting may have resized the label for the detected model
+			print: () =>
+				redrawLabel(canvas)
+					.then(() => $("form").requestSubmit())
+					.catch(handleError),
+		});
+	}
 });
@@ -1,7 +1,57 @@
 "use strict";
 
 import { drawText } from "https://cdn.jsdelivr.net/npm/canvas-txt@4.1.1/+esm";
-import { printCanvas } from "./src/printer.js";
+import {
+	PRINTER_MODELS,
+	EmbedListener,
+	RemoteJobListener,
+	BAUD_RATES,
+	encodePrintJob,
+} from "../phomemo-printer.js";
+import {
+	labelTypeKey,
+	loadPrintSettings,
+	savePrintSettings,
+	toPrintOptions,
+} from "../src/print-settings.js";
+import { autoprintWhenReady, createDesignUrl, readDesignFromUrl } from "../src/url-state.js";
+import { drawLabel, renderLabel } from "../src/render.js";
+import {
+	RESIZE_HANDLES,
+	canvasToLabel,
+	createElement,
+	findElementAt,
+	getElementCenter,
+	getElementPoint,
+	labelToCanvas,
+	moveElement,
+	resizeElement,
+	rotateElement,
+} from "../src/elements.js";
+import { processImageWithAdjustments } from "../src/image-processing.js";
+import { UndoHistory, getUndoShortcut } from "../src/undo-history.js";
+import { findDesignPlaceholders, mergeDesign, parseMergeTable } from "../src/merge.js";
+import { COUNTER_FIELD, advanceCounter, formatCounter } from "../src/sequence.js";
+import { TemplateLibrary, fillTemplateDesign } from "../src/templates.js";
+import { PrintStation } from "../src/print-station.js";
+import {
+	askResume,
+	createPrinterStatusView,
+	createQueueButton,
+	downloadBlob,
+	preparePrintTarget,
+	renderPrinters,
+	renderQueue,
+	renderRemotePng,
+	restoreRemoteJobsControls,
+	runBenchmark,
+	showConnectionStatus,
+	showPrintProgress,
+	showRemoteJobsStatus,
+	showTransferSettings,
+	showVirtualOutput,
+	updateRemoteJobs,
+} from "../src/print-views.js";
 import QRCode from "https://cdn.skypack.dev/qrcode@1.5.3";
 import JsBarcode from "https://cdn.skypack.dev/jsbarcode@3.11.6";
 
@@ -9,90 +59,34 @@ const $ = document.querySelector.bind(document);
 const $all = document.querySelectorAll.bind(document);
 
 const labelSize = { width: 40, height: 12 };
+// Canvas elements and the libraries loaded above, for src/render.js
+const canvasFactory = {
+	createCanvas: (width, height) =>
+		Object.assign(document.createElement("canvas"), { width, height }),
+	drawText,
+	QRCode,
+	JsBarcode,
+	loadImage: (url) => loadCachedImage(url),
+};
 
 let uploadedImage = null;
-let processedImage = null;
-let generatedCode = null; // Generated QR code or barcode image
 let previewRotation = -90; // 0, 90, 180, 270 degrees (default: -90 = 90° CCW)
 let offsetX = 0; // X offset for print positioning
 let offsetY = 0; // Y offset for print positioning
-
-/**
- * Generates a QR code or barcode image based on the current settings
- * @param {string} data - The data to encode
- * @param {string} type - 'qr' or 'barcode'
- * @param {string} format - Barcode format (for barcodes only)
- * @param {string} errorCorrection - QR error correction level (for QR codes only)
- * @returns {Promise<HTMLImageElement>}
- */
-const generateCode = async (data, type, format = "CODE128", errorCorrection = "M") => {
-	if (!data.trim()) return null;
-
-	const canvas = document.createElement("canvas");
-	const ctx = canvas.getContext("2d");
-
-	if (type === "qr") {
-		// Generate QR code
-		try {
-			await QRCode.toCanvas(canvas, data, {
-				errorCorrectionLevel: errorCorrection,
-				type: "image/png",
-				quality: 0.92,
-				margin: 1,
-				color: {
-					dark: "#000000",
-					light: "#FFFFFF",
-				},
-				width: 200,
-			});
-		} catch (err) {
-			console.error("QR code generation failed:", err);
-			return null;
-		}
-	} else if (type === "barcode") {
-		// Generate barcode
-		try {
-			// Create a temporary image element for JsBarcode
-			const tempImg = document.createElement("img");
-
-			// Generate barcode to the temporary image
-			JsBarcode(tempImg, data, {
-				format: format,
-				width: 2,
-				height: 100,
-				displayValue: false,
-				background: "#FFFFFF",
-				lineColor: "#000000",
-				margin: 10,
-			});
-
-			// Wait for the image to load, then draw it to canvas
-			await new Promise((resolve, reject) => {
-				tempImg.onload = () => {
-					canvas.width = tempImg.width;
-					canvas.height = tempImg.height;
-					ctx.fillStyle = "#FFFFFF";
-					ctx.fillRect(0, 0, canvas.width, canvas.height);
-					ctx.drawImage(tempImg, 0, 0);
-					resolve();
-				};
-				tempImg.onerror = reject;
-			});
-		} catch (err) {
-			console.error("Barcode generation failed:", err);
-			return null;
-		}
-	}
-
-	// Convert canvas to image
-	const img = new Image();
-	img.src = canvas.toDataURL();
-	await new Promise((resolve) => {
-		img.onload = resolve;
-	});
-
-	return img;
-};
+let labelElements = []; // freely placed elements, see src/elements.js; replaced on every change
+let selectedElementId = null;
+const undoHistory = new UndoHistory();
+let restoringEdit = false; // set while a whole design is put into the editor, e.g. by undo
+const TEMPLATE_UI = "narrowstack"; // templates of this UI, see src/templates.js
+/** @type {import("../src/merge.js").MergeTable|null} rows filling in the label's placeholders */
+let mergeTable = null;
+const mergeSelection = new Set(); // indexes of the rows to print
+
+const PRINTER_MODEL_KEY = "phomemo.printerModel"; // localStorage key of the selected model
+// The printer connected with the print button, the virtual printer, further printers and the
+// queue they share, see src/print-station.js
+const station = new PrintStation({ confirmResume: askResume });
+const { queue: printQueue, pool: printerPool } = station;
 
 /**
  * Updates the visual state of rotation buttons and applies CSS rotation to card container.
@@ -126,1306 +120,818 @@ const updateRotationButtons = () => {
 };
 
 /**
- * Advanced image processing helper functions
- */
-
-/**
- * Applies gamma correction to image data
- * @param {ImageData} imgData
- * @param {number} gamma - gamma value (default 2.2 for screen to linear conversion)
- * @returns {ImageData}
+ * Fills the print settings controls with the settings saved for the current label size.
  */
-const applyGammaCorrection = (imgData, gamma = 2.2) => {
-	const { data } = imgData;
-	const gammaLUT = new Uint8Array(256);
-
-	// Build gamma lookup table
-	for (let i = 0; i < 256; i++) {
-		gammaLUT[i] = Math.round(255 * Math.pow(i / 255, gamma));
-	}
-
-	// Apply gamma correction
-	for (let i = 0; i < data.length; i += 4) {
-		data[i] = gammaLUT[data[i]]; // R
-		data[i + 1] = gammaLUT[data[i + 1]]; // G
-		data[i + 2] = gammaLUT[data[i + 2]]; // B
-		// Alpha remains unchanged
-	}
+const showPrintSettings = () => {
+	const { density, feedLines } = loadPrintSettings(labelTypeKey(labelSize));
+	$("#printDensity").value = density;
+	$("#feedLines").value = feedLines;
+	updateDensityDisplay();
+};
 
-	return imgData;
+const updateDensityDisplay = () => {
+	const density = $("#printDensity").valueAsNumber;
+	$("#printDensityValue").textContent = density ? density : "Printer default";
 };
 
 /**
- * Applies Gaussian blur to image data
- * @param {ImageData} imgData
- * @param {number} sigma - blur radius
- * @returns {ImageData}
+ * Reads the print settings controls and stores them for the current label size.
  */
-const applyGaussianBlur = (imgData, sigma = 0.5) => {
-	if (sigma <= 0) return imgData;
-
-	const { width, height, data } = imgData;
-	const output = new Uint8ClampedArray(data);
-
-	// Calculate kernel size and weights
-	const kernelSize = Math.ceil(sigma * 3) * 2 + 1;
-	const kernel = new Float32Array(kernelSize);
-	const center = Math.floor(kernelSize / 2);
-	let sum = 0;
-
-	// Generate Gaussian kernel
-	for (let i = 0; i < kernelSize; i++) {
-		const x = i - center;
-		kernel[i] = Math.exp(-(x * x) / (2 * sigma * sigma));
-		sum += kernel[i];
-	}
+const storePrintSettings = () => {
+	savePrintSettings(labelTypeKey(labelSize), {
+		density: $("#printDensity").valueAsNumber || 0,
+		feedLines: $("#feedLines").valueAsNumber || 0,
+	});
+	updateDensityDisplay();
+};
 
-	// Normalize kernel
-	for (let i = 0; i < kernelSize; i++) {
-		kernel[i] /= sum;
+const updateLabelSize = (canvas) => {
+	const inputWidth = $("#inputWidth").valueAsNumber;
+	const inputHeight = $("#inputHeight").valueAsNumber;
+	if (isNaN(inputWidth) || isNaN(inputHeight)) {
+		handleError("label size invalid");
+		return;
 	}
 
-	// Horizontal pass
-	for (let y = 0; y < height; y++) {
-		for (let x = 0; x < width; x++) {
-			let r = 0,
-				g = 0,
-				b = 0;
-
-			for (let i = 0; i < kernelSize; i++) {
-				const px = Math.max(0, Math.min(width - 1, x + i - center));
-				const idx = (y * width + px) * 4;
-				const weight = kernel[i];
-
-				r += data[idx] * weight;
-				g += data[idx + 1] * weight;
-				b += data[idx + 2] * weight;
-			}
+	labelSize.width = inputWidth;
+	labelSize.height = inputHeight;
+	showPrintSettings();
 
-			const outIdx = (y * width + x) * 4;
-			output[outIdx] = r;
-			output[outIdx + 1] = g;
-			output[outIdx + 2] = b;
-			output[outIdx + 3] = data[outIdx + 3];
-		}
-	}
+	// Reset canvas display size so container can expand before measuring
+	canvas.style.width = ""; // remove inline width
+	canvas.style.height = ""; // remove inline height
 
-	// Copy back for vertical pass
-	data.set(output);
+	// Calculate canvas dimensions for consistent preview sizing
+	// Image sent to printer is printed top to bottom, so reverse width and height
+	const { dotsPerMm } = station.printer.model;
+	const actualCanvasWidth = Math.round(labelSize.height * dotsPerMm);
+	const actualCanvasHeight = Math.round(labelSize.width * dotsPerMm);
 
-	// Vertical pass
-	for (let x = 0; x < width; x++) {
-		for (let y = 0; y < height; y++) {
-			let r = 0,
-				g = 0,
-				b = 0;
+	// Set canvas internal dimensions (for printing accuracy)
+	canvas.width = actualCanvasWidth;
+	canvas.height = actualCanvasHeight;
 
-			for (let i = 0; i < kernelSize; i++) {
-				const py = Math.max(0, Math.min(height - 1, y + i - center));
-				const idx = (py * width + x) * 4;
-				const weight = kernel[i];
+	// Calculate display size to maintain consistent preview height
+	const previewContainer = canvas.parentElement;
+	// Use the container's current rendered size instead of hard-coding 300px
+	const containerHeight = previewContainer.clientHeight || 300;
+	const containerWidth = previewContainer.clientWidth || 300;
 
-				r += data[idx] * weight;
-				g += data[idx + 1] * weight;
-				b += data[idx + 2] * weight;
-			}
+	// Determine an integer scale factor (nearest-neighbour) so that each canvas pixel maps to an integer number of screen pixels.
+	const scaleX = Math.floor(containerWidth / actualCanvasWidth);
+	const scaleY = Math.floor(containerHeight / actualCanvasHeight);
+	let scale = Math.max(1, Math.min(scaleX, scaleY));
 
-			const outIdx = (y * width + x) * 4;
-			output[outIdx] = r;
-			output[outIdx + 1] = g;
-			output[outIdx + 2] = b;
-			output[outIdx + 3] = data[outIdx + 3];
-		}
+	// Fallback to fractional scaling (with pixelated rendering) if the canvas is larger than the container in both directions.
+	if (scaleX === 0 && scaleY === 0) {
+		scale = Math.min(containerWidth / actualCanvasWidth, containerHeight / actualCanvasHeight);
 	}
 
-	data.set(output);
-	return imgData;
-};
+	const displayWidth = actualCanvasWidth * scale;
+	const displayHeight = actualCanvasHeight * scale;
 
-/**
- * Applies unsharp mask to enhance edges
- * @param {ImageData} imgData
- * @param {number} radius - blur radius for mask
- * @param {number} amount - enhancement strength (0.5-2.0)
- * @returns {ImageData}
- */
-const applyUnsharpMask = (imgData, radius = 1.0, amount = 0.8) => {
-	const { width, height, data } = imgData;
-
-	// Create a copy for the blurred version
-	const blurred = new ImageData(new Uint8ClampedArray(data), width, height);
-	applyGaussianBlur(blurred, radius);
-
-	// Apply unsharp mask formula: original + amount * (original - blurred)
-	for (let i = 0; i < data.length; i += 4) {
-		for (let c = 0; c < 3; c++) {
-			// RGB channels
-			const original = data[i + c];
-			const blur = blurred.data[i + c];
-			const enhanced = original + amount * (original - blur);
-			data[i + c] = Math.max(0, Math.min(255, enhanced));
-		}
-	}
+	// Apply display size via CSS
+	canvas.style.width = displayWidth + "px";
+	canvas.style.height = displayHeight + "px";
+	// Ensure nearest-neighbour scaling is used when the browser rasterises the canvas element
+	canvas.style.imageRendering = "pixelated";
 
-	return imgData;
+	// Refresh preview based on active tab
+	const activePane = document.querySelector(".tab-pane.show.active");
+	if (activePane && activePane.id === "nav-barcode") {
+		// Barcode tab is active – refresh barcode preview
+		updateCanvasBarcode(canvas);
+	} else {
+		// Default to text preview (covers both Text & Image tab and cases where no explicit tab links exist)
+		updateCanvasText(canvas);
+	}
 };
 
 /**
- * Applies CLAHE (Contrast Limited Adaptive Histogram Equalization)
- * @param {ImageData} imgData
- * @param {number} tileSize - size of tiles for local processing
- * @param {number} clipLimit - contrast limit (2.0-4.0)
- * @returns {ImageData}
+ * Reads the label design from the editor; the uploaded image is drawn along with it.
+ * @returns {import("../src/render.js").LabelDesign}
  */
-const applyCLAHE = (imgData, tileSize = 16, clipLimit = 2.0) => {
-	const { width, height, data } = imgData;
-	const tilesX = Math.ceil(width / tileSize);
-	const tilesY = Math.ceil(height / tileSize);
-
-	// Convert to grayscale for processing
-	const gray = new Uint8Array(width * height);
-	for (let i = 0; i < gray.length; i++) {
-		const idx = i * 4;
-		gray[i] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
-	}
-
-	// Process each tile
-	const processedGray = new Uint8Array(gray);
-
-	for (let ty = 0; ty < tilesY; ty++) {
-		for (let tx = 0; tx < tilesX; tx++) {
-			const x1 = tx * tileSize;
-			const y1 = ty * tileSize;
-			const x2 = Math.min(x1 + tileSize, width);
-			const y2 = Math.min(y1 + tileSize, height);
-
-			// Build histogram for this tile
-			const hist = new Array(256).fill(0);
-			let pixelCount = 0;
-
-			for (let y = y1; y < y2; y++) {
-				for (let x = x1; x < x2; x++) {
-					const val = gray[y * width + x];
-					hist[val]++;
-					pixelCount++;
-				}
-			}
-
-			// Apply contrast limiting
-			const excess = Math.max(0, Math.max(...hist) - (clipLimit * pixelCount) / 256);
-			if (excess > 0) {
-				const redistribution = excess / 256;
-				for (let i = 0; i < 256; i++) {
-					if (hist[i] > (clipLimit * pixelCount) / 256) {
-						hist[i] = (clipLimit * pixelCount) / 256;
-					}
-					hist[i] += redistribution;
-				}
-			}
-
-			// Create CDF and mapping
-			const cdf = new Array(256);
-			cdf[0] = hist[0];
-			for (let i = 1; i < 256; i++) {
-				cdf[i] = cdf[i - 1] + hist[i];
-			}
-
-			// Normalize CDF to 0-255 range
-			const mapping = new Uint8Array(256);
-			for (let i = 0; i < 256; i++) {
-				mapping[i] = Math.round((cdf[i] / pixelCount) * 255);
-			}
-
-			// Apply mapping to tile
-			for (let y = y1; y < y2; y++) {
-				for (let x = x1; x < x2; x++) {
-					const idx = y * width + x;
-					processedGray[idx] = mapping[gray[idx]];
-				}
-			}
-		}
-	}
-
-	// Apply processed grayscale back to RGB
-	for (let i = 0; i < processedGray.length; i++) {
-		const idx = i * 4;
-		const originalGray = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
-		const ratio = originalGray > 0 ? processedGray[i] / originalGray : 1;
-
-		data[idx] = Math.min(255, data[idx] * ratio); // R
-		data[idx + 1] = Math.min(255, data[idx + 1] * ratio); // G
-		data[idx + 2] = Math.min(255, data[idx + 2] * ratio); // B
-	}
-
-	return imgData;
-};
+const readLabelDesign = () => ({
+	width: labelSize.width,
+	height: labelSize.height,
+	offsetX,
+	offsetY,
+	text: $("#inputText").value,
+	fontSize: $("#inputFontSize").valueAsNumber,
+	fontFamily: $("#fontFamily")?.value || "Arial, sans-serif",
+	fontWeight: $("#fontWeight")?.value || "normal",
+	textAlign: $("#textAlign")?.value || "center",
+	verticalText: $("#verticalText")?.checked || false,
+	imagePosition: $("#imagePosition")?.value || "none",
+	imageSize: $("#imageSize")?.valueAsNumber || 50,
+	imageRotation: parseInt($("#imageRotation")?.value || "0", 10),
+	ditherAlgorithm: $("#ditherAlgorithm")?.value || "floyd",
+	threshold: $("#threshold")?.valueAsNumber ?? 128,
+	brightness: $("#brightness")?.valueAsNumber ?? 0,
+	contrast: $("#contrast")?.valueAsNumber ?? 0,
+	noise: $("#noise")?.valueAsNumber ?? 0,
+	useGammaCorrection: $("#useGammaCorrection")?.checked || false,
+	gamma: parseFloat($("#gamma")?.value || "2.2"),
+	usePreFiltering: $("#usePreFiltering")?.checked || false,
+	blurSigma: parseFloat($("#blurSigma")?.value || "0.5"),
+	unsharpAmount: parseFloat($("#unsharpAmount")?.value || "0.8"),
+	useCLAHE: $("#useCLAHE")?.checked || false,
+	claheClipLimit: parseFloat($("#claheClipLimit")?.value || "2.0"),
+	useEdgeAware: $("#useEdgeAware")?.checked || false,
+	useHardwareCleanup: $("#useHardwareCleanup")?.checked || false,
+	usePrinterResolution: $("#usePrinterResolution")?.checked || false,
+	serpentine: $("#serpentine")?.checked !== false, // Default to true
+	// QR Code and Barcode settings
+	codeType: $("#codeType")?.value || "none",
+	codeData: $("#codeData")?.value || "",
+	codePosition: $("#codePosition")?.value || "above",
+	codeSize: $("#codeSize")?.valueAsNumber || 30,
+	qrErrorCorrection: $("#qrErrorCorrection")?.value || "M",
+	barcodeFormat: $("#barcodeFormat")?.value || "CODE128",
+	elements: labelElements,
+	// Counter filling in {{counter}}, see src/sequence.js
+	counterType: $("#counterType")?.value || "number",
+	counterStart: $("#counterStart")?.value ?? "1",
+	counterStep: $("#counterStep")?.valueAsNumber || 1,
+	counterDigits: $("#counterDigits")?.valueAsNumber || 0,
+	counterEnd: $("#counterEnd")?.value ?? "H12",
+	counterPrefix: $("#counterPrefix")?.value ?? "",
+	counterSuffix: $("#counterSuffix")?.value ?? "",
+});
 
 /**
- * Generates a blue noise threshold map
- * @param {number} size - size of the threshold map (power of 2)
- * @returns {Uint8Array}
+ * @param {import("../src/render.js").LabelDesign} design as read by readLabelDesign
+ * @returns {import("../src/sequence.js").CounterSettings}
  */
-const generateBlueNoiseMap = (size = 64) => {
-	// Simple blue noise approximation using Mitchell's best-candidate algorithm
-	const map = new Uint8Array(size * size);
-	const used = new Array(size * size).fill(false);
-
-	for (let i = 0; i < size * size; i++) {
-		let bestDist = -1;
-		let bestIdx = 0;
-
-		// Try random candidates and pick the one with maximum distance to existing points
-		for (let attempt = 0; attempt < Math.min(100, size * size - i); attempt++) {
-			const candidate = Math.floor(Math.random() * size * size);
-			if (used[candidate]) continue;
-
-			let minDist = Infinity;
-			for (let j = 0; j < size * size; j++) {
-				if (!used[j]) continue;
-
-				const x1 = candidate % size;
-				const y1 = Math.floor(candidate / size);
-				const x2 = j % size;
-				const y2 = Math.floor(j / size);
-
-				const dist = Math.sqrt((x1 - x2) ** 2 + (y1 - y2) ** 2);
-				minDist = Math.min(minDist, dist);
-			}
-
-			if (minDist > bestDist) {
-				bestDist = minDist;
-				bestIdx = candidate;
-			}
-		}
-
-		used[bestIdx] = true;
-		map[bestIdx] = Math.floor((i / (size * size)) * 256);
-	}
-
-	return map;
-};
+const readCounter = (design) => ({
+	type: design.counterType,
+	start: design.counterStart,
+	step: design.counterStep,
+	digits: design.counterDigits,
+	end: design.counterEnd,
+	prefix: design.counterPrefix,
+	suffix: design.counterSuffix,
+});
 
 /**
- * Applies edge detection to identify important edges
- * @param {ImageData} imgData
- * @returns {Uint8Array} - edge map (0-255)
+ * @param {import("../src/render.js").LabelDesign} design
+ * @returns {boolean} true if the design numbers its labels
  */
-const detectEdges = (imgData) => {
-	const { width, height, data } = imgData;
-	const edges = new Uint8Array(width * height);
-
-	// Sobel kernels
-	const sobelX = [
-		[-1, 0, 1],
-		[-2, 0, 2],
-		[-1, 0, 1],
-	];
-	const sobelY = [
-		[-1, -2, -1],
-		[0, 0, 0],
-		[1, 2, 1],
-	];
-
-	for (let y = 1; y < height - 1; y++) {
-		for (let x = 1; x < width - 1; x++) {
-			let gx = 0,
-				gy = 0;
-
-			for (let ky = -1; ky <= 1; ky++) {
-				for (let kx = -1; kx <= 1; kx++) {
-					const idx = ((y + ky) * width + (x + kx)) * 4;
-					const intensity = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
-
-					gx += intensity * sobelX[ky + 1][kx + 1];
-					gy += intensity * sobelY[ky + 1][kx + 1];
-				}
-			}
-
-			const magnitude = Math.sqrt(gx * gx + gy * gy);
-			edges[y * width + x] = Math.min(255, magnitude);
-		}
-	}
-
-	return edges;
-};
+const usesCounter = (design) => findDesignPlaceholders(design).includes(COUNTER_FIELD);
 
 /**
- * Scales image to exact printer resolution
- * @param {HTMLImageElement|HTMLCanvasElement} image
- * @param {number} targetWidth - target width in pixels
- * @param {number} targetHeight - target height in pixels
- * @param {string} method - scaling method ("nearest", "bilinear", "lanczos")
- * @returns {HTMLCanvasElement}
+ * @param {import("../src/render.js").LabelDesign} design as read by readLabelDesign
+ * @param {number} n how many labels were printed before this one in the same run
+ * @returns {import("../src/render.js").LabelDesign} the design with its counter filled in
+ * @throws {Error} if the counter's settings are invalid
  */
-const scaleToExactResolution = (image, targetWidth, targetHeight, method = "lanczos") => {
-	const canvas = document.createElement("canvas");
-	const ctx = canvas.getContext("2d");
-
-	canvas.width = targetWidth;
-	canvas.height = targetHeight;
-
-	// Fill with white background
-	ctx.fillStyle = "#ffffff";
-	ctx.fillRect(0, 0, canvas.width, canvas.height);
+const withCounter = (design, n) =>
+	usesCounter(design)
+		? mergeDesign(design, { [COUNTER_FIELD]: formatCounter(readCounter(design), n) })
+		: design;
 
-	if (method === "nearest") {
-		ctx.imageSmoothingEnabled = false;
-	} else {
-		ctx.imageSmoothingEnabled = true;
-		ctx.imageSmoothingQuality = method === "lanczos" ? "high" : "medium";
+/**
+ * Shows the counter's first values, or what is wrong with its settings.
+ */
+const updateCounterPreview = () => {
+	const design = readLabelDesign();
+	const preview = $("#counterPreview");
+	$("#counterEndGroup").hidden = design.counterType !== "grid";
+	try {
+		const values = [0, 1, 2].map((n) => formatCounter(readCounter(design), n));
+		preview.textContent = `${values.join(", ")}, …`;
+		preview.classList.remove("text-danger");
+	} catch (err) {
+		preview.textContent = err.message;
+		preview.classList.add("text-danger");
 	}
-
-	// Scale to fit within target dimensions while maintaining aspect ratio
-	const scaleX = targetWidth / image.width;
-	const scaleY = targetHeight / image.height;
-	const scale = Math.min(scaleX, scaleY);
-
-	const scaledWidth = image.width * scale;
-	const scaledHeight = image.height * scale;
-	const offsetX = (targetWidth - scaledWidth) / 2;
-	const offsetY = (targetHeight - scaledHeight) / 2;
-
-	ctx.drawImage(image, offsetX, offsetY, scaledWidth, scaledHeight);
-
-	return canvas;
 };
 
 /**
- * Applies dithering to image data and returns a 1-bit black/white ImageData.
- * @param {ImageData} imgData
- * @param {"floyd"|"atkinson"|"threshold"|"stucki"|"jarvis"|"sierra"|"burkes"|"blue_noise"} algorithm
- * @param {number} threshold 0-255
- * @param {number} brightness -100 to 100
- * @param {number} contrast -100 to 100
- * @param {number} noise 0-50 (amount of random noise to add)
- * @param {boolean} serpentine - use serpentine scanning for error diffusion
- * @param {Uint8Array} edgeMap - optional edge map for edge-aware thresholding
- * @returns {ImageData}
+ * Reads everything undo and redo cover: the design, and the editor state drawn along with it.
+ * @returns {object}
  */
-const ditherImageData = (
-	imgData,
-	algorithm = "floyd",
-	threshold = 128,
-	brightness = 0,
-	contrast = 0,
-	noise = 0,
-	serpentine = true,
-	edgeMap = null
-) => {
-	const { width, height, data } = imgData;
-	const gray = new Float32Array(width * height);
-
-	// Convert brightness and contrast from -100/100 range to usable values
-	const brightnessAdjust = brightness * 2.55; // Convert to -255 to 255 range
-	const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast)); // Standard contrast formula
-	const noiseAmount = noise * 2.55; // Convert noise from 0-50 to 0-127.5 range
-
-	for (let i = 0; i < gray.length; i++) {
-		const r = data[i * 4];
-		const g = data[i * 4 + 1];
-		const b = data[i * 4 + 2];
-
-		// Apply brightness and contrast adjustments to each channel
-		let adjustedR = Math.max(0, Math.min(255, contrastFactor * (r - 128) + 128 + brightnessAdjust));
-		let adjustedG = Math.max(0, Math.min(255, contrastFactor * (g - 128) + 128 + brightnessAdjust));
-		let adjustedB = Math.max(0, Math.min(255, contrastFactor * (b - 128) + 128 + brightnessAdjust));
-
-		// Luminance formula with adjusted values
-		let luminance = 0.299 * adjustedR + 0.587 * adjustedG + 0.114 * adjustedB;
-
-		// Add random noise if specified
-		if (noise > 0) {
-			const randomNoise = (Math.random() - 0.5) * noiseAmount;
-			luminance = Math.max(0, Math.min(255, luminance + randomNoise));
-		}
-
-		gray[i] = luminance;
-	}
-
-	const setBWPixel = (idx, val) => {
-		data[idx * 4] = data[idx * 4 + 1] = data[idx * 4 + 2] = val;
-		data[idx * 4 + 3] = 255;
-	};
-
-	// ----- Threshold dithering with edge-aware enhancement -----
-	if (algorithm === "threshold") {
-		for (let i = 0; i < gray.length; i++) {
-			let adjustedThreshold = threshold;
-
-			// Apply edge-aware threshold adjustment if edge map is provided
-			if (edgeMap) {
-				const edgeStrength = edgeMap[i] / 255;
-				// Lower threshold for edges to preserve thin lines
-				adjustedThreshold = threshold - edgeStrength * 30;
-			}
-
-			setBWPixel(i, gray[i] < adjustedThreshold ? 0 : 255);
-		}
-		return imgData;
-	}
-
-	// ----- Blue noise dithering -----
-	if (algorithm === "blue_noise") {
-		const noiseMap = generateBlueNoiseMap(64);
-		const mapSize = 64;
-
-		for (let y = 0; y < height; y++) {
-			for (let x = 0; x < width; x++) {
-				const idx = y * width + x;
-				const noiseIdx = (y % mapSize) * mapSize + (x % mapSize);
-				const noiseThreshold = noiseMap[noiseIdx];
-
-				let adjustedThreshold = noiseThreshold;
-				if (edgeMap) {
-					const edgeStrength = edgeMap[idx] / 255;
-					adjustedThreshold = noiseThreshold - edgeStrength * 40;
-				}
-
-				setBWPixel(idx, gray[idx] < adjustedThreshold ? 0 : 255);
-			}
-		}
-		return imgData;
-	}
-
-	// ----- Ordered dithering (Bayer matrices) -----
-	if (algorithm.startsWith("ordered")) {
-		let matrix;
-		if (algorithm === "ordered2") {
-			matrix = [
-				[0, 2],
-				[3, 1],
-			];
-		} else if (algorithm === "ordered4") {
-			matrix = [
-				[0, 8, 2, 10],
-				[12, 4, 14, 6],
-				[3, 11, 1, 9],
-				[15, 7, 13, 5],
-			];
-		} else if (algorithm === "ordered8") {
-			matrix = [
-				[0, 32, 8, 40, 2, 34, 10, 42],
-				[48, 16, 56, 24, 50, 18, 58, 26],
-				[12, 44, 4, 36, 14, 46, 6, 38],
-				[60, 28, 52, 20, 62, 30, 54, 22],
-				[3, 35, 11, 43, 1, 33, 9, 41],
-				[51, 19, 59, 27, 49, 17, 57, 25],
-				[15, 47, 7, 39, 13, 45, 5, 37],
-				[63, 31, 55, 23, 61, 29, 53, 21],
-			];
-		} else {
-			// Default to 4x4 if unknown ordered size specified
-			matrix = [
-				[0, 8, 2, 10],
-				[12, 4, 14, 6],
-				[3, 11, 1, 9],
-				[15, 7, 13, 5],
-			];
-		}
-
-		const n = matrix.length;
-		const scale = 255 / (n * n);
-
-		for (let y = 0; y < height; y++) {
-			for (let x = 0; x < width; x++) {
-				const idx = y * width + x;
-				let thresholdVal = (matrix[y % n][x % n] + 0.5) * scale;
-
-				if (edgeMap) {
-					const edgeStrength = edgeMap[idx] / 255;
-					thresholdVal -= edgeStrength * 40;
-				}
+const readEditorState = () => ({
+	...readLabelDesign(),
+	barcodeData: $("#inputBarcode").value,
+	previewRotation,
+	uploadedImage,
+});
 
-				setBWPixel(idx, gray[idx] < thresholdVal ? 0 : 255);
-			}
-		}
+/** Records the editor's state as a step that can be undone, unless it is being restored. */
+const recordEdit = () => {
+	if (!restoringEdit) undoHistory.record(readEditorState());
+};
 
-		return imgData;
+const updateCanvasText = (canvas) => {
+	recordEdit();
+	scheduleMergePreviews();
+	updateCounterPreview();
+	drawElementOverlay(canvas);
+	let design = readLabelDesign();
+	try {
+		design = withCounter(design, 0); // the preview shows the first label
+	} catch {
+		// the counter preview shows what is wrong
 	}
+	return drawLabel(canvas, design, canvasFactory, uploadedImage).catch(handleError);
+};
 
-	// ----- Error diffusion algorithms -----
-	// Define error diffusion kernels
-	const errorKernels = {
-		floyd: [
-			{ x: 1, y: 0, weight: 7 / 16 },
-			{ x: -1, y: 1, weight: 3 / 16 },
-			{ x: 0, y: 1, weight: 5 / 16 },
-			{ x: 1, y: 1, weight: 1 / 16 },
-		],
-		atkinson: [
-			{ x: 1, y: 0, weight: 1 / 8 },
-			{ x: 2, y: 0, weight: 1 / 8 },
-			{ x: -1, y: 1, weight: 1 / 8 },
-			{ x: 0, y: 1, weight: 1 / 8 },
-			{ x: 1, y: 1, weight: 1 / 8 },
-			{ x: 0, y: 2, weight: 1 / 8 },
-		],
-		stucki: [
-			{ x: 1, y: 0, weight: 8 / 42 },
-			{ x: 2, y: 0, weight: 4 / 42 },
-			{ x: -2, y: 1, weight: 2 / 42 },
-			{ x: -1, y: 1, weight: 4 / 42 },
-			{ x: 0, y: 1, weight: 8 / 42 },
-			{ x: 1, y: 1, weight: 4 / 42 },
-			{ x: 2, y: 1, weight: 2 / 42 },
-			{ x: -2, y: 2, weight: 1 / 42 },
-			{ x: -1, y: 2, weight: 2 / 42 },
-			{ x: 0, y: 2, weight: 4 / 42 },
-			{ x: 1, y: 2, weight: 2 / 42 },
-			{ x: 2, y: 2, weight: 1 / 42 },
-		],
-		jarvis: [
-			{ x: 1, y: 0, weight: 7 / 48 },
-			{ x: 2, y: 0, weight: 5 / 48 },
-			{ x: -2, y: 1, weight: 3 / 48 },
-			{ x: -1, y: 1, weight: 5 / 48 },
-			{ x: 0, y: 1, weight: 7 / 48 },
-			{ x: 1, y: 1, weight: 5 / 48 },
-			{ x: 2, y: 1, weight: 3 / 48 },
-			{ x: -2, y: 2, weight: 1 / 48 },
-			{ x: -1, y: 2, weight: 3 / 48 },
-			{ x: 0, y: 2, weight: 5 / 48 },
-			{ x: 1, y: 2, weight: 3 / 48 },
-			{ x: 2, y: 2, weight: 1 / 48 },
-		],
-		sierra: [
-			{ x: 1, y: 0, weight: 5 / 32 },
-			{ x: 2, y: 0, weight: 3 / 32 },
-			{ x: -2, y: 1, weight: 2 / 32 },
-			{ x: -1, y: 1, weight: 4 / 32 },
-			{ x: 0, y: 1, weight: 5 / 32 },
-			{ x: 1, y: 1, weight: 4 / 32 },
-			{ x: 2, y: 1, weight: 2 / 32 },
-			{ x: -1, y: 2, weight: 2 / 32 },
-			{ x: 0, y: 2, weight: 3 / 32 },
-			{ x: 1, y: 2, weight: 2 / 32 },
-		],
-		burkes: [
-			{ x: 1, y: 0, weight: 8 / 32 },
-			{ x: 2, y: 0, weight: 4 / 32 },
-			{ x: -2, y: 1, weight: 2 / 32 },
-			{ x: -1, y: 1, weight: 4 / 32 },
-			{ x: 0, y: 1, weight: 8 / 32 },
-			{ x: 1, y: 1, weight: 4 / 32 },
-			{ x: 2, y: 1, weight: 2 / 32 },
-		],
-	};
-
-	const kernel = errorKernels[algorithm] || errorKernels.floyd;
+const updateCanvasBarcode = (canvas) => {
+	recordEdit();
+	const barcodeData = $("#inputBarcode").value;
+	const image = document.createElement("img");
+	image.addEventListener("load", () => {
+		const ctx = canvas.getContext("2d");
+		ctx.fillStyle = "#fff";
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-	for (let y = 0; y < height; y++) {
-		// Serpentine scanning: alternate left-to-right and right-to-left
-		const direction = serpentine && y % 2 === 1 ? -1 : 1;
-		const startX = direction === 1 ? 0 : width - 1;
-		const endX = direction === 1 ? width : -1;
+		ctx.translate(canvas.width / 2, canvas.height / 2);
+		ctx.rotate(Math.PI / 2);
 
-		for (let x = startX; x !== endX; x += direction) {
-			const idx = y * width + x;
-			const oldVal = gray[idx];
+		// Apply print offset
+		ctx.translate(offsetX, offsetY);
 
-			let adjustedThreshold = threshold;
-			if (edgeMap) {
-				const edgeStrength = edgeMap[idx] / 255;
-				// Lower threshold for edges to preserve detail
-				adjustedThreshold = threshold - edgeStrength * 20;
-			}
+		ctx.imageSmoothingEnabled = false;
+		ctx.drawImage(image, -image.width / 2, -image.height / 2);
 
-			const newVal = oldVal < adjustedThreshold ? 0 : 255;
-			const err = oldVal - newVal;
-			gray[idx] = newVal;
-			setBWPixel(idx, newVal);
+		ctx.rotate(-Math.PI / 2);
+		ctx.translate(-canvas.width / 2, -canvas.height / 2);
+	});
 
-			// Distribute error to neighboring pixels
-			for (const { x: dx, y: dy, weight } of kernel) {
-				const nx = x + dx * direction; // Account for serpentine direction
-				const ny = y + dy;
+	JsBarcode(image, barcodeData, {
+		format: "CODE128",
+		width: 2,
+		height: Math.round(labelSize.height * station.printer.model.dotsPerMm * 0.875),
+		displayValue: false,
+	});
+};
 
-				if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-					const nIdx = ny * width + nx;
-					gray[nIdx] += err * weight;
-				}
-			}
-		}
-	}
+const handleError = (err) => {
+	console.error(err);
 
-	return imgData;
+	const toast = bootstrap.Toast.getOrCreateInstance($("#errorToast"));
+	$("#errorText").textContent = err.toString();
+	toast.show();
 };
 
+const remoteJobs = new RemoteJobListener();
+// Requests from the app this page is embedded in, see phomemo-embed.js
+const embed = new EmbedListener({
+	confirmPrint: (origin) => confirm(`Allow ${origin} to print labels on your printers?`),
+});
+
 /**
- * Rotates an image by the specified angle
- * @param {HTMLImageElement|HTMLCanvasElement} image
- * @param {number} angle - Rotation angle in degrees (0, 90, 180, 270, -90, -180, -270)
- * @returns {HTMLCanvasElement}
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement>}
  */
-const rotateImage = (image, angle) => {
-	const canvas = document.createElement("canvas");
-	const ctx = canvas.getContext("2d");
+const loadImage = (url) =>
+	new Promise((resolve, reject) => {
+		const image = new Image();
+		image.crossOrigin = "anonymous"; // keeps the canvas readable for printing
+		image.addEventListener("load", () => resolve(image));
+		image.addEventListener("error", () => reject(new Error(`Could not load image ${url}`)));
+		image.src = url;
+	});
 
-	// Normalize angle to handle negative values
-	const normalizedAngle = ((angle % 360) + 360) % 360;
+const elementImages = new Map(); // images of image elements by URL, loaded once for all redraws
 
-	// Calculate new dimensions based on rotation
-	if (normalizedAngle === 90 || normalizedAngle === 270) {
-		canvas.width = image.height;
-		canvas.height = image.width;
-	} else {
-		canvas.width = image.width;
-		canvas.height = image.height;
+/**
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadCachedImage = (url) => {
+	if (!elementImages.has(url)) {
+		const image = loadImage(url).catch((err) => {
+			elementImages.delete(url); // try again on the next redraw
+			throw err;
+		});
+		elementImages.set(url, image);
 	}
-
-	// Fill with white background
-	ctx.fillStyle = "#ffffff";
-	ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-	// Apply rotation (use original angle to preserve direction)
-	ctx.translate(canvas.width / 2, canvas.height / 2);
-	ctx.rotate((angle * Math.PI) / 180);
-	ctx.drawImage(image, -image.width / 2, -image.height / 2);
-
-	return canvas;
+	return elementImages.get(url);
 };
 
 /**
- * Applies hardware-safe cleanup to 1-bit image data
- * @param {ImageData} imgData - 1-bit black/white image data
- * @returns {ImageData}
+ * Draws a remote job's design like a label made in the editor. Its content (text, code, image)
+ * is only what the design holds; settings it leaves out, e.g. the font, come from the editor.
+ * @param {import("../src/remote-jobs.js").LabelDesign} remoteDesign
+ * @returns {Promise<HTMLCanvasElement>}
  */
-const applyHardwareCleanup = (imgData) => {
-	const { width, height, data } = imgData;
-	const output = new Uint8ClampedArray(data);
-
-	for (let y = 1; y < height - 1; y++) {
-		for (let x = 1; x < width - 1; x++) {
-			const idx = (y * width + x) * 4;
-
-			// Check if this is a single black pixel with no black neighbors
-			if (data[idx] === 0) {
-				// Black pixel
-				let blackNeighbors = 0;
-
-				// Check 8-connected neighbors
-				for (let dy = -1; dy <= 1; dy++) {
-					for (let dx = -1; dx <= 1; dx++) {
-						if (dx === 0 && dy === 0) continue;
-						const nIdx = ((y + dy) * width + (x + dx)) * 4;
-						if (data[nIdx] === 0) blackNeighbors++;
-					}
-				}
-
-				// Remove isolated single black pixels
-				if (blackNeighbors === 0) {
-					output[idx] = output[idx + 1] = output[idx + 2] = 255;
-				}
-			}
-
-			// Thicken 1-pixel lines by checking for thin lines
-			else if (data[idx] === 255) {
-				// White pixel
-				let thinLineDetected = false;
-
-				// Check for horizontal thin lines
-				const leftBlack = x > 0 && data[(y * width + (x - 1)) * 4] === 0;
-				const rightBlack = x < width - 1 && data[(y * width + (x + 1)) * 4] === 0;
-				const topWhite = y > 0 && data[((y - 1) * width + x) * 4] === 255;
-				const bottomWhite = y < height - 1 && data[((y + 1) * width + x) * 4] === 255;
-
-				// Check for vertical thin lines
-				const topBlack = y > 0 && data[((y - 1) * width + x) * 4] === 0;
-				const bottomBlack = y < height - 1 && data[((y + 1) * width + x) * 4] === 0;
-				const leftWhite = x > 0 && data[(y * width + (x - 1)) * 4] === 255;
-				const rightWhite = x < width - 1 && data[(y * width + (x + 1)) * 4] === 255;
-
-				// Fill gaps in thin lines (optional enhancement)
-				if (
-					(leftBlack && rightBlack && topWhite && bottomWhite) ||
-					(topBlack && bottomBlack && leftWhite && rightWhite)
-				) {
-					// This is a gap in a thin line - fill it
-					output[idx] = output[idx + 1] = output[idx + 2] = 0;
-				}
-			}
-		}
+const renderRemoteDesign = async (remoteDesign) => {
+	const design = {
+		...readLabelDesign(),
+		text: "",
+		codeType: "none",
+		codeData: "",
+		imagePosition: "none",
+		elements: [],
+		...remoteDesign,
+	};
+	if (typeof remoteDesign.qr === "string") {
+		design.codeType = "qr";
+		design.codeData = remoteDesign.qr;
+	} else if (typeof remoteDesign.barcode === "string") {
+		design.codeType = "barcode";
+		design.codeData = remoteDesign.barcode;
+		design.barcodeFormat = remoteDesign.barcodeFormat || "CODE128";
+	}
+	let image = null;
+	if (remoteDesign.image) {
+		image = await loadImage(remoteDesign.image);
+		if (design.imagePosition === "none") design.imagePosition = "left";
+	}
+	if (!(design.width > 0 && design.height > 0 && design.fontSize > 0)) {
+		throw new Error("The design's label size or font size is invalid");
 	}
 
-	data.set(output);
-	return imgData;
+	return renderLabel(design, canvasFactory, { image, dotsPerMm: station.printer.model.dotsPerMm });
 };
 
 /**
- * Applies two-phase diffusion (ordered dither + error diffusion)
- * @param {ImageData} imgData
- * @param {number} threshold
- * @param {number} brightness
- * @param {number} contrast
- * @param {number} noise
- * @param {Uint8Array} edgeMap
- * @returns {ImageData}
+ * @param {import("../src/remote-jobs.js").RemoteJob} job
+ * @returns {Promise<HTMLCanvasElement>}
  */
-const applyTwoPhaseDiffusion = (imgData, threshold, brightness, contrast, noise, edgeMap) => {
-	// Phase 1: Light ordered dithering (4x4 Bayer)
-	const phase1 = ditherImageData(
-		new ImageData(new Uint8ClampedArray(imgData.data), imgData.width, imgData.height),
-		"ordered4",
-		threshold,
-		brightness,
-		contrast,
-		noise,
-		false, // No serpentine for ordered
-		null
-	);
-
-	// Phase 2: Light Floyd-Steinberg on the result
-	return ditherImageData(
-		phase1,
-		"floyd",
-		threshold + 10, // Slightly higher threshold for refinement
-		0, // No additional brightness/contrast adjustment
-		0,
-		0,
-		true, // Use serpentine
-		edgeMap
-	);
-};
+const renderRemoteJob = (job) =>
+	job.png ? renderRemotePng(job.png) : renderRemoteDesign(job.design);
 
 /**
- * Processes an image with rotation first, then brightness, contrast, and dithering adjustments
- * @param {HTMLImageElement} image
- * @param {number} brightness -100 to 100
- * @param {number} contrast -100 to 100
- * @param {"floyd"|"atkinson"|"threshold"|"stucki"|"jarvis"|"sierra"|"burkes"|"blue_noise"|"two_phase"} algorithm
- * @param {number} threshold 0-255
- * @param {number} rotation - Rotation angle in degrees (0, 90, 180, 270)
- * @param {number} noise 0-50 (amount of random noise to add)
- * @param {object} advancedOptions - Advanced processing options
- * @returns {HTMLCanvasElement}
+ * Renders a remote job, queues it and reports its progress back to the sender.
+ * @param {import("../src/remote-jobs.js").RemoteJob} job
+ * @param {RemoteJobListener|EmbedListener} sender
  */
-const processImageWithAdjustments = (
-	image,
-	brightness = 0,
-	contrast = 0,
-	algorithm = "floyd",
-	threshold = 128,
-	rotation = 0,
-	noise = 0,
-	advancedOptions = {}
-) => {
-	const {
-		useGammaCorrection = false,
-		gamma = 2.2,
-		usePreFiltering = false,
-		blurSigma = 0.5,
-		unsharpRadius = 1.0,
-		unsharpAmount = 0.8,
-		useCLAHE = false,
-		claheClipLimit = 2.0,
-		claheTileSize = 16,
-		useEdgeAware = false,
-		useHardwareCleanup = false,
-		usePrinterResolution = false,
-		printerWidth = 320,
-		printerHeight = 96,
-		scalingMethod = "lanczos",
-		serpentine = true,
-	} = advancedOptions;
-
-	// IMPORTANT: Apply rotation FIRST to the original image before any other processing
-	let rotatedImage = image;
-	if (rotation !== 0) {
-		rotatedImage = rotateImage(image, rotation);
-	}
-
-	// Step 1: Scale to exact printer resolution if requested
-	if (usePrinterResolution) {
-		rotatedImage = scaleToExactResolution(rotatedImage, printerWidth, printerHeight, scalingMethod);
-	}
-
-	// Create a temporary canvas to process the image
-	const tempCanvas = document.createElement("canvas");
-	const tempCtx = tempCanvas.getContext("2d");
-
-	tempCanvas.width = rotatedImage.width;
-	tempCanvas.height = rotatedImage.height;
-
-	// Fill with white background first to handle transparency
-	tempCtx.fillStyle = "#ffffff";
-	tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
-
-	// Draw the image on top of white background
-	tempCtx.drawImage(rotatedImage, 0, 0);
-
-	// Get image data for processing
-	let imgData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-
-	// Step 2: Apply gamma correction if enabled
-	if (useGammaCorrection) {
-		imgData = applyGammaCorrection(imgData, gamma);
-	}
+const printRemoteJob = (job, sender) =>
+	station.printRemoteJob(job, sender, { render: renderRemoteJob, labelSize }).catch(handleError);
 
-	// Step 3: Apply CLAHE if enabled
-	if (useCLAHE) {
-		imgData = applyCLAHE(imgData, claheTileSize, claheClipLimit);
-	}
-
-	// Step 4: Apply pre-filtering if enabled
-	if (usePreFiltering) {
-		// Gaussian blur to reduce noise
-		imgData = applyGaussianBlur(imgData, blurSigma);
-
-		// Unsharp mask to restore edge definition
-		imgData = applyUnsharpMask(imgData, unsharpRadius, unsharpAmount);
-	}
-
-	// Step 5: Generate edge map if edge-aware processing is enabled
-	let edgeMap = null;
-	if (useEdgeAware) {
-		edgeMap = detectEdges(imgData);
-	}
-
-	// Step 6: Apply dithering
-	let processedData;
-	if (algorithm === "two_phase") {
-		processedData = applyTwoPhaseDiffusion(
-			imgData,
-			threshold,
-			brightness,
-			contrast,
-			noise,
-			edgeMap
-		);
-	} else {
-		processedData = ditherImageData(
-			imgData,
-			algorithm,
-			threshold,
-			brightness,
-			contrast,
-			noise,
-			serpentine,
-			edgeMap
-		);
-	}
-
-	// Step 7: Apply hardware-safe cleanup if enabled
-	if (useHardwareCleanup) {
-		processedData = applyHardwareCleanup(processedData);
-	}
-
-	// Put the processed data back
-	tempCtx.putImageData(processedData, 0, 0);
-
-	return tempCanvas;
+/**
+ * @param {Record<string, string>} row
+ * @param {number} n how many labels were printed before this one, for the counter
+ * @returns {{ design: import("../src/render.js").LabelDesign, label: Promise<HTMLCanvasElement> }}
+ * the editor's design filled in from a row of the merge data, and the label drawn from it
+ */
+const renderMergeRow = (row, n) => {
+	const design = withCounter(mergeDesign(readLabelDesign(), row), n);
+	const options = { image: uploadedImage, dotsPerMm: station.printer.model.dotsPerMm };
+	return { design, label: renderLabel(design, canvasFactory, options) };
 };
 
 /**
- * Draws text vertically (one letter stacked on top of another, rotated -90 degrees)
- * @param {CanvasRenderingContext2D} ctx
- * @param {string} text
- * @param {object} options
+ * @param {HTMLCanvasElement} label as printed, running down the canvas
+ * @returns {HTMLCanvasElement} the label the right way up
  */
-const drawVerticalText = (ctx, text, options) => {
-	const { x, y, width, height, fontFamily, fontSize, fontWeight, align } = options;
-
-	ctx.save();
-	ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
-	ctx.textBaseline = "middle";
-
-	// Filter out whitespace characters for proper centering
-	const visibleChars = text.split("").filter((char) => char.trim());
-
-	// Calculate total text height needed for stacking
-	const lineHeight = fontSize * 1.2; // Add some spacing between letters
-	const totalTextHeight = visibleChars.length * lineHeight;
-
-	// Calculate center point for rotation
-	const centerX = x + width / 2;
-	const centerY = y + height / 2;
-
-	// Move to center and rotate -90 degrees
-	ctx.translate(centerX, centerY);
+const toUprightCanvas = (label) => {
+	const upright = document.createElement("canvas");
+	upright.width = label.height;
+	upright.height = label.width;
+	const ctx = upright.getContext("2d");
+	ctx.translate(0, label.width);
 	ctx.rotate(-Math.PI / 2);
-
-	// In the rotated coordinate system:
-	// - X axis now points up (was Y axis)
-	// - Y axis now points left (was -X axis)
-	// We want letters stacked vertically, so we need to vary the Y coordinate (which is now horizontal)
-
-	// Calculate starting Y position (horizontal in rotated system) for centering
-	let startY = -totalTextHeight / 2 + lineHeight / 2;
-	let charX = 0;
-
-	// Adjust X position based on alignment (vertical in rotated coordinate system)
-	switch (align) {
-		case "left":
-			charX = -width / 2 + fontSize / 2;
-			break;
-		case "right":
-			charX = width / 2 - fontSize / 2;
-			break;
-		case "center":
-		default:
-			charX = 0;
-			break;
-	}
-
-	// Draw each visible character
-	let charIndex = 0;
-	for (let i = 0; i < text.length; i++) {
-		const char = text[i];
-		if (char.trim()) {
-			// Only draw non-whitespace characters
-			ctx.textAlign = "center";
-			// In rotated system: X stays same, Y changes for stacking
-			ctx.fillText(char, charX, startY + charIndex * lineHeight);
-			charIndex++;
-		}
-	}
-
-	ctx.restore();
+	ctx.drawImage(label, 0, 0);
+	return upright;
 };
 
-const updateLabelSize = (canvas) => {
-	const inputWidth = $("#inputWidth").valueAsNumber;
-	const inputHeight = $("#inputHeight").valueAsNumber;
-	if (isNaN(inputWidth) || isNaN(inputHeight)) {
-		handleError("label size invalid");
-		return;
-	}
-
-	labelSize.width = inputWidth;
-	labelSize.height = inputHeight;
-
-	// Reset canvas display size so container can expand before measuring
-	canvas.style.width = ""; // remove inline width
-	canvas.style.height = ""; // remove inline height
-
-	// Calculate canvas dimensions for consistent preview sizing
-	// Image sent to printer is printed top to bottom, so reverse width and height
-	const actualCanvasWidth = labelSize.height * 8;
-	const actualCanvasHeight = labelSize.width * 8;
-
-	// Set canvas internal dimensions (for printing accuracy)
-	canvas.width = actualCanvasWidth;
-	canvas.height = actualCanvasHeight;
-
-	// Calculate display size to maintain consistent preview height
-	const previewContainer = canvas.parentElement;
-	// Use the container's current rendered size instead of hard-coding 300px
-	const containerHeight = previewContainer.clientHeight || 300;
-	const containerWidth = previewContainer.clientWidth || 300;
-
-	// Determine an integer scale factor (nearest-neighbour) so that each canvas pixel maps to an integer number of screen pixels.
-	const scaleX = Math.floor(containerWidth / actualCanvasWidth);
-	const scaleY = Math.floor(containerHeight / actualCanvasHeight);
-	let scale = Math.max(1, Math.min(scaleX, scaleY));
-
-	// Fallback to fractional scaling (with pixelated rendering) if the canvas is larger than the container in both directions.
-	if (scaleX === 0 && scaleY === 0) {
-		scale = Math.min(containerWidth / actualCanvasWidth, containerHeight / actualCanvasHeight);
-	}
-
-	const displayWidth = actualCanvasWidth * scale;
-	const displayHeight = actualCanvasHeight * scale;
-
-	// Apply display size via CSS
-	canvas.style.width = displayWidth + "px";
-	canvas.style.height = displayHeight + "px";
-	// Ensure nearest-neighbour scaling is used when the browser rasterises the canvas element
-	canvas.style.imageRendering = "pixelated";
-
-	// Refresh preview based on active tab
-	const activePane = document.querySelector(".tab-pane.show.active");
-	if (activePane && activePane.id === "nav-barcode") {
-		// Barcode tab is active – refresh barcode preview
-		updateCanvasBarcode(canvas);
-	} else {
-		// Default to text preview (covers both Text & Image tab and cases where no explicit tab links exist)
-		updateCanvasText(canvas);
+/**
+ * Shows how many rows there are and are selected, and the label's fields the data lacks.
+ */
+const updateMergeStatus = () => {
+	const status = $("#mergeStatus");
+	status.classList.remove("text-danger");
+	if (!mergeTable) {
+		status.textContent = "";
+		return;
 	}
+	const { fields, rows } = mergeTable;
+	const missing = findDesignPlaceholders(readLabelDesign()).filter((f) => !fields.includes(f));
+	status.textContent =
+		`${rows.length} rows with ${fields.join(", ")}; ${mergeSelection.size} selected.` +
+		(missing.length ? ` No column for ${missing.map((f) => `{{${f}}}`).join(", ")}.` : "");
+	$("#mergeSelectAll").checked = mergeSelection.size === rows.length;
+	$("#mergeSelectAll").indeterminate = mergeSelection.size > 0 && mergeSelection.size < rows.length;
 };
 
-const updateCanvasText = async (canvas) => {
-	const text = $("#inputText").value;
-	const fontSize = $("#inputFontSize").valueAsNumber;
-	const fontFamily = $("#fontFamily")?.value || "Arial, sans-serif";
-	const fontWeight = $("#fontWeight")?.value || "normal";
-	const textAlign = $("#textAlign")?.value || "center";
-	const verticalText = $("#verticalText")?.checked || false;
-	const imagePosition = $("#imagePosition")?.value || "none";
-	const imageSize = $("#imageSize")?.valueAsNumber || 50;
-	const imageRotation = parseInt($("#imageRotation")?.value || "0", 10);
-	const algorithm = $("#ditherAlgorithm")?.value || "floyd";
-	const threshold = $("#threshold")?.valueAsNumber ?? 128;
-	const brightness = $("#brightness")?.valueAsNumber ?? 0;
-	const contrast = $("#contrast")?.valueAsNumber ?? 0;
-	const noise = $("#noise")?.valueAsNumber ?? 0;
+let mergePreviewRun = 0; // counts grid renders, so an outdated one stops
+let mergePreviewTimer = null;
 
-	// QR Code and Barcode settings
-	const codeType = $("#codeType")?.value || "none";
-	const codeData = $("#codeData")?.value || "";
-	const codePosition = $("#codePosition")?.value || "above";
-	const codeSize = $("#codeSize")?.valueAsNumber || 30;
-	const qrErrorCorrection = $("#qrErrorCorrection")?.value || "M";
-	const barcodeFormat = $("#barcodeFormat")?.value || "CODE128";
-
-	// Generate QR code or barcode if needed
-	if (codeType !== "none" && codeData.trim()) {
+/**
+ * Draws a preview of every row's label, one after the other.
+ */
+const renderMergeGrid = async () => {
+	const run = ++mergePreviewRun;
+	$("#mergeRows").hidden = !mergeTable;
+	updateMergeStatus();
+	if (!mergeTable) {
+		$("#mergeGrid").replaceChildren();
+		return;
+	}
+	const cells = mergeTable.rows.map((row, index) => {
+		const cell = document.createElement("label");
+		cell.className = "merge-row";
+
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.className = "form-check-input";
+		checkbox.checked = mergeSelection.has(index);
+		checkbox.dataset.row = index;
+
+		const name = document.createElement("span");
+		name.className = "merge-row-name";
+		name.textContent = `${index + 1}. ${Object.values(row).find((value) => value.trim()) ?? ""}`;
+		name.title = Object.entries(row)
+			.map(([field, value]) => `${field}: ${value}`)
+			.join("\n");
+
+		const header = document.createElement("div");
+		header.className = "d-flex gap-1 align-items-center";
+		header.append(checkbox, name);
+		cell.append(header, document.createElement("canvas"));
+		return cell;
+	});
+	$("#mergeGrid").replaceChildren(...cells);
+
+	for (const [index, row] of mergeTable.rows.entries()) {
+		let preview;
 		try {
-			generatedCode = await generateCode(codeData, codeType, barcodeFormat, qrErrorCorrection);
+			// Counted as if every row is printed once
+			preview = toUprightCanvas(await renderMergeRow(row, index).label);
 		} catch (err) {
-			console.error("Code generation failed:", err);
-			generatedCode = null;
+			preview = document.createElement("span");
+			preview.className = "text-danger";
+			preview.textContent = err.message;
 		}
-	} else {
-		generatedCode = null;
+		if (run !== mergePreviewRun) return;
+		cells[index].querySelector("canvas").replaceWith(preview);
 	}
+};
 
-	if (isNaN(fontSize)) {
-		handleError("font size invalid");
+/**
+ * Redraws the merge previews once the label has not changed for a moment.
+ */
+const scheduleMergePreviews = () => {
+	if (!mergeTable) return;
+	clearTimeout(mergePreviewTimer);
+	mergePreviewTimer = setTimeout(() => renderMergeGrid().catch(handleError), 300);
+};
+
+/**
+ * Reads the merge data; all rows are selected. Mistakes in the data show in its status line.
+ * @param {string} text CSV or JSON, see src/merge.js
+ */
+const loadMergeData = (text) => {
+	mergeSelection.clear();
+	try {
+		mergeTable = text.trim() ? parseMergeTable(text) : null;
+	} catch (err) {
+		mergeTable = null;
+		renderMergeGrid().catch(handleError);
+		$("#mergeStatus").textContent = err.message;
+		$("#mergeStatus").classList.add("text-danger");
 		return;
 	}
+	mergeTable?.rows.forEach((_, index) => mergeSelection.add(index));
+	renderMergeGrid().catch(handleError);
+};
 
-	const ctx = canvas.getContext("2d");
-	// Disable smoothing so scaled content stays pixelated in the printed preview
-	ctx.imageSmoothingEnabled = false;
-	ctx.fillStyle = "#fff";
-	ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-	ctx.save();
-	ctx.translate(canvas.width / 2, canvas.height / 2);
-	ctx.rotate(Math.PI / 2);
+/**
+ * Copies the canvas so later edits to the preview don't change a queued label.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {HTMLCanvasElement}
+ */
+const snapshotCanvas = (canvas) => {
+	const copy = document.createElement("canvas");
+	copy.width = canvas.width;
+	copy.height = canvas.height;
+	copy.getContext("2d").drawImage(canvas, 0, 0);
+	return copy;
+};
 
-	// Apply print offset
-	ctx.translate(offsetX, offsetY);
+/**
+ * Turns a label name into a file name, e.g. "Shelf 3/A" into "Shelf_3_A.bin".
+ * @param {string} name
+ * @returns {string}
+ */
+const toPrinterFileName = (name) => `${name.replace(/[^\w-]+/g, "_") || "label"}.bin`;
+
+/** Size of resize handles and distance of the rotation handle from the box, in CSS pixels */
+const HANDLE_SIZE = 8;
+const ROTATE_HANDLE_DISTANCE = 20;
+
+/** Element type and settings added by each "+" button, except images, which need a file */
+const NEW_ELEMENTS = {
+	text: ["text", {}],
+	qr: ["code", { codeType: "qr", codeData: "https://example.com" }],
+	barcode: ["code", { codeType: "barcode", codeData: "123456" }],
+	rect: ["shape", { shape: "rect" }],
+	ellipse: ["shape", { shape: "ellipse" }],
+	line: ["shape", { shape: "line" }],
+};
 
-	const rotatedWidth = canvas.height;
-	const rotatedHeight = canvas.width;
+const SHAPE_NAMES = { rect: "Rectangle", ellipse: "Ellipse", line: "Line" };
 
-	// Handle image and code positioning
-	let textArea = {
-		x: -rotatedWidth / 2,
-		y: -rotatedHeight / 2,
-		width: rotatedWidth,
-		height: rotatedHeight,
-	};
+/** @returns {import("../src/elements.js").LabelElement|null} */
+const getSelectedElement = () => labelElements.find((e) => e.id === selectedElementId) ?? null;
 
-	// Calculate space needed for codes and images
-	let totalImageHeight = 0;
-	let totalImageWidth = 0;
-	let codeImageHeight = 0;
-	let codeImageWidth = 0;
-
-	// Calculate code dimensions if present
-	if (generatedCode) {
-		const codeSizeRatio = codeSize / 100;
-		const maxCodeW = rotatedWidth * codeSizeRatio;
-		const maxCodeH = rotatedHeight * codeSizeRatio;
-		const codeScale = Math.min(maxCodeW / generatedCode.width, maxCodeH / generatedCode.height);
-		codeImageWidth = generatedCode.width * codeScale;
-		codeImageHeight = generatedCode.height * codeScale;
+/**
+ * @param {import("../src/elements.js").LabelElement} element
+ * @returns {string}
+ */
+const describeElement = (element) => {
+	switch (element.type) {
+		case "text":
+			return element.text.trim().split("\n")[0] || "Text";
+		case "code":
+			return `${element.codeType === "qr" ? "QR code" : "Barcode"}: ${element.codeData}`;
+		case "image":
+			return "Image";
+		default:
+			return SHAPE_NAMES[element.shape] || "Shape";
 	}
+};
 
-	if (uploadedImage && imagePosition !== "none") {
-		// Process the image with brightness, contrast, dithering adjustments, and rotation
-		// NOTE: Only use the image rotation setting (from dropdown), not the preview rotation.
-		// Preview rotation is purely visual (CSS transform) and doesn't affect canvas content or printed output.
-		// Collect advanced processing options
-		const advancedOptions = {
-			useGammaCorrection: $("#useGammaCorrection")?.checked || false,
-			gamma: parseFloat($("#gamma")?.value || "2.2"),
-			usePreFiltering: $("#usePreFiltering")?.checked || false,
-			blurSigma: parseFloat($("#blurSigma")?.value || "0.5"),
-			unsharpRadius: 1.0, // Fixed value for now
-			unsharpAmount: parseFloat($("#unsharpAmount")?.value || "0.8"),
-			useCLAHE: $("#useCLAHE")?.checked || false,
-			claheClipLimit: parseFloat($("#claheClipLimit")?.value || "2.0"),
-			claheTileSize: 16, // Fixed value for now
-			useEdgeAware: $("#useEdgeAware")?.checked || false,
-			useHardwareCleanup: $("#useHardwareCleanup")?.checked || false,
-			usePrinterResolution: $("#usePrinterResolution")?.checked || false,
-			printerWidth: canvas.width, // Use current canvas dimensions
-			printerHeight: canvas.height,
-			scalingMethod: "lanczos",
-			serpentine: $("#serpentine")?.checked !== false, // Default to true
-		};
-
-		processedImage = processImageWithAdjustments(
-			uploadedImage,
-			brightness,
-			contrast,
-			algorithm,
-			threshold,
-			imageRotation,
-			noise,
-			advancedOptions
-		);
+/**
+ * Replaces an element with a changed copy of it.
+ * @param {import("../src/elements.js").LabelElement} element
+ */
+const replaceElement = (element) => {
+	labelElements = labelElements.map((e) => (e.id === element.id ? element : e));
+};
 
-		const imageSizeRatio = imageSize / 100;
+/**
+ * Moves an element up or down the drawing order.
+ * @param {string} id
+ * @param {number} delta 1 to draw it later, i.e. on top of the next one
+ */
+const reorderElement = (id, delta) => {
+	const index = labelElements.findIndex((e) => e.id === id);
+	const target = index + delta;
+	if (index === -1 || target < 0 || target >= labelElements.length) return;
+	const elements = [...labelElements];
+	[elements[index], elements[target]] = [elements[target], elements[index]];
+	labelElements = elements;
+};
 
-		if (imagePosition === "background") {
-			// Draw image as background first
-			const maxW = rotatedWidth;
-			const maxH = rotatedHeight;
-			const scale =
-				Math.min(maxW / processedImage.width, maxH / processedImage.height) * imageSizeRatio;
-			const drawW = processedImage.width * scale;
-			const drawH = processedImage.height * scale;
+/**
+ * Lists the elements, topmost first.
+ */
+const renderElementList = () => {
+	$("#elementList").replaceChildren(
+		...[...labelElements].reverse().map((element) => {
+			const item = document.createElement("li");
+			item.className = "list-group-item";
+			item.classList.toggle("active", element.id === selectedElementId);
+			item.addEventListener("click", () => selectElement(element.id));
+
+			const name = document.createElement("span");
+			name.className = "element-name";
+			name.textContent = describeElement(element);
+			name.title = name.textContent;
+
+			// Keep clicks on the buttons from selecting the element again after removing it
+			const act = (action) => (e) => {
+				e.stopPropagation();
+				action();
+				renderElementList();
+				updateCanvasText($("#canvas"));
+			};
+			item.append(
+				name,
+				createQueueButton(
+					"↑",
+					"Bring forward",
+					act(() => reorderElement(element.id, 1))
+				),
+				createQueueButton(
+					"↓",
+					"Send backward",
+					act(() => reorderElement(element.id, -1))
+				),
+				createQueueButton(
+					"✕",
+					"Remove",
+					act(() => removeElement(element.id))
+				)
+			);
+			return item;
+		})
+	);
+	$("#elementListEmpty").hidden = labelElements.length > 0;
+};
 
-			ctx.globalAlpha = 0.3; // Make background image semi-transparent
-			ctx.drawImage(processedImage, -drawW / 2, -drawH / 2, drawW, drawH);
-			ctx.globalAlpha = 1.0;
-		} else {
-			// Calculate image dimensions
-			const maxImageW = rotatedWidth * imageSizeRatio;
-			const maxImageH = rotatedHeight * imageSizeRatio;
-			const scale = Math.min(maxImageW / processedImage.width, maxImageH / processedImage.height);
-			const imageW = processedImage.width * scale;
-			const imageH = processedImage.height * scale;
-
-			let imageX, imageY;
-
-			switch (imagePosition) {
-				case "above":
-					imageX = -imageW / 2;
-					imageY = -rotatedHeight / 2;
-					textArea.y = imageY + imageH + 10;
-					textArea.height = rotatedHeight - imageH - 10;
-					break;
-				case "below":
-					imageX = -imageW / 2;
-					imageY = rotatedHeight / 2 - imageH;
-					textArea.height = rotatedHeight - imageH - 10;
-					break;
-				case "left":
-					imageX = -rotatedWidth / 2;
-					imageY = -imageH / 2;
-					textArea.x = imageX + imageW + 10;
-					textArea.width = rotatedWidth - imageW - 10;
-					break;
-				case "right":
-					imageX = rotatedWidth / 2 - imageW;
-					imageY = -imageH / 2;
-					textArea.width = rotatedWidth - imageW - 10;
-					break;
-			}
+/**
+ * Fills the property controls with the selected element's settings.
+ */
+const showElementProperties = () => {
+	const element = getSelectedElement();
+	const panel = $("#elementProperties");
+	panel.hidden = !element;
+	if (!element) return;
+
+	panel.querySelectorAll("[data-element-type]").forEach((group) => {
+		group.hidden = group.dataset.elementType !== element.type;
+	});
+	panel.querySelectorAll("[data-code-type]").forEach((input) => {
+		input.hidden = input.dataset.codeType !== element.codeType;
+	});
+	panel.querySelectorAll("[data-element-prop]").forEach((input) => {
+		const value = element[input.dataset.elementProp];
+		// Leave the control being typed in alone
+		if (value === undefined || input === document.activeElement) return;
+		if (input.type === "checkbox") input.checked = value;
+		else input.value = typeof value === "number" ? Math.round(value * 10) / 10 : value;
+	});
+};
 
-			// Draw the processed image
-			ctx.drawImage(processedImage, imageX, imageY, imageW, imageH);
-		}
-	}
+/**
+ * @param {string|null} id
+ */
+const selectElement = (id) => {
+	selectedElementId = id;
+	renderElementList();
+	showElementProperties();
+	drawElementOverlay($("#canvas"));
+};
 
-	// Draw QR code or barcode
-	if (generatedCode && codePosition !== "background") {
-		let codeX, codeY;
-
-		switch (codePosition) {
-			case "above":
-				codeX = -codeImageWidth / 2;
-				codeY = textArea.y;
-				textArea.y = codeY + codeImageHeight + 10;
-				textArea.height = Math.max(0, textArea.height - codeImageHeight - 10);
-				break;
-			case "below":
-				codeX = -codeImageWidth / 2;
-				codeY = textArea.y + textArea.height - codeImageHeight;
-				textArea.height = Math.max(0, textArea.height - codeImageHeight - 10);
-				break;
-			case "left":
-				codeX = textArea.x;
-				codeY = -codeImageHeight / 2;
-				textArea.x = codeX + codeImageWidth + 10;
-				textArea.width = Math.max(0, textArea.width - codeImageWidth - 10);
-				break;
-			case "right":
-				codeX = textArea.x + textArea.width - codeImageWidth;
-				codeY = -codeImageHeight / 2;
-				textArea.width = Math.max(0, textArea.width - codeImageWidth - 10);
-				break;
-		}
+/**
+ * @param {import("../src/elements.js").LabelElement} element
+ */
+const addElement = (element) => {
+	labelElements = [...labelElements, element];
+	selectElement(element.id);
+	updateCanvasText($("#canvas"));
+};
 
-		// Draw the generated code
-		ctx.drawImage(generatedCode, codeX, codeY, codeImageWidth, codeImageHeight);
-	} else if (generatedCode && codePosition === "background") {
-		// Draw code as background
-		ctx.globalAlpha = 0.2; // Make background code semi-transparent
-		ctx.drawImage(
-			generatedCode,
-			-codeImageWidth / 2,
-			-codeImageHeight / 2,
-			codeImageWidth,
-			codeImageHeight
-		);
-		ctx.globalAlpha = 1.0;
-	}
+/**
+ * @param {string} id
+ */
+const removeElement = (id) => {
+	labelElements = labelElements.filter((e) => e.id !== id);
+	if (selectedElementId === id) selectElement(null);
+};
 
-	// Draw text
-	if (text.trim()) {
-		ctx.fillStyle = "#000";
-		const font = `${fontWeight} ${fontSize}px ${fontFamily}`;
-
-		if (verticalText) {
-			drawVerticalText(ctx, text, {
-				x: textArea.x,
-				y: textArea.y,
-				width: textArea.width,
-				height: textArea.height,
-				fontFamily,
-				fontSize,
-				fontWeight,
-				align: textAlign,
-			});
-		} else {
-			drawText(ctx, text, {
-				x: textArea.x,
-				y: textArea.y,
-				width: textArea.width,
-				height: textArea.height,
-				font: fontFamily,
-				fontSize,
-				fontWeight,
-				align: textAlign,
-				vAlign: "middle",
-			});
-		}
-	}
+/**
+ * @param {File} file
+ * @returns {Promise<string>} the file as a data: URL, which keeps the design a plain object
+ */
+const readFileAsDataUrl = (file) =>
+	new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.addEventListener("load", () => resolve(reader.result));
+		reader.addEventListener("error", () => reject(reader.error));
+		reader.readAsDataURL(file);
+	});
 
-	ctx.restore();
+/**
+ * @param {HTMLImageElement} image
+ * @returns {string} the image as a PNG data URL, e.g. to keep it in a template
+ */
+const imageToDataUrl = (image) => {
+	const canvas = Object.assign(document.createElement("canvas"), {
+		width: image.naturalWidth,
+		height: image.naturalHeight,
+	});
+	canvas.getContext("2d").drawImage(image, 0, 0);
+	return canvas.toDataURL("image/png");
 };
 
-const updateCanvasBarcode = (canvas) => {
-	const barcodeData = $("#inputBarcode").value;
-	const image = document.createElement("img");
-	image.addEventListener("load", () => {
-		const ctx = canvas.getContext("2d");
-		ctx.fillStyle = "#fff";
-		ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-		ctx.translate(canvas.width / 2, canvas.height / 2);
-		ctx.rotate(Math.PI / 2);
+/**
+ * Converts a point on the label to CSS pixels on the overlay.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ x: number, y: number }} point in mm
+ * @returns {{ x: number, y: number }}
+ */
+const labelToOverlay = (canvas, point) => {
+	const { x, y } = labelToCanvas(point, canvas, { width: labelSize.width, offsetX, offsetY });
+	return {
+		x: (x * canvas.clientWidth) / canvas.width,
+		y: (y * canvas.clientHeight) / canvas.height,
+	};
+};
 
-		// Apply print offset
-		ctx.translate(offsetX, offsetY);
+/**
+ * The inverse of {@link labelToOverlay}.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ x: number, y: number }} point in CSS pixels on the overlay
+ * @returns {{ x: number, y: number }} in mm
+ */
+const overlayToLabel = (canvas, point) =>
+	canvasToLabel(
+		{
+			x: (point.x * canvas.width) / canvas.clientWidth,
+			y: (point.y * canvas.height) / canvas.clientHeight,
+		},
+		canvas,
+		{ width: labelSize.width, offsetX, offsetY }
+	);
 
-		ctx.imageSmoothingEnabled = false;
-		ctx.drawImage(image, -image.width / 2, -image.height / 2);
+/**
+ * Converts a pointer position to CSS pixels on the overlay, undoing the preview rotation.
+ * @param {HTMLCanvasElement} overlay
+ * @param {{ clientX: number, clientY: number }} position
+ * @returns {{ x: number, y: number }}
+ */
+const getOverlayPoint = (overlay, { clientX, clientY }) => {
+	const rect = overlay.getBoundingClientRect();
+	const dx = clientX - (rect.left + rect.width / 2);
+	const dy = clientY - (rect.top + rect.height / 2);
+	const radians = (-previewRotation * Math.PI) / 180;
+	return {
+		x: overlay.clientWidth / 2 + dx * Math.cos(radians) - dy * Math.sin(radians),
+		y: overlay.clientHeight / 2 + dx * Math.sin(radians) + dy * Math.cos(radians),
+	};
+};
 
-		ctx.rotate(-Math.PI / 2);
-		ctx.translate(-canvas.width / 2, -canvas.height / 2);
+/**
+ * Where the selected element's handles are on the overlay.
+ * @param {HTMLCanvasElement} canvas
+ * @param {import("../src/elements.js").LabelElement} element
+ * @returns {Array<{ handle: [number, number]|"rotate", x: number, y: number }>} in CSS pixels
+ */
+const getElementHandles = (canvas, element) => {
+	const handles = RESIZE_HANDLES.map((handle) => ({
+		handle,
+		...labelToOverlay(canvas, getElementPoint(element, handle)),
+	}));
+	// The rotation handle sticks out of the middle of the top edge
+	const top = labelToOverlay(canvas, getElementPoint(element, [0, -1]));
+	const center = labelToOverlay(canvas, getElementCenter(element));
+	const length = Math.hypot(top.x - center.x, top.y - center.y) || 1;
+	handles.push({
+		handle: "rotate",
+		x: top.x + ((top.x - center.x) / length) * ROTATE_HANDLE_DISTANCE,
+		y: top.y + ((top.y - center.y) / length) * ROTATE_HANDLE_DISTANCE,
 	});
+	return handles;
+};
 
-	JsBarcode(image, barcodeData, {
-		format: "CODE128",
-		width: 2,
-		height: labelSize.height * 7,
-		displayValue: false,
-	});
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ x: number, y: number }} point in CSS pixels on the overlay
+ * @returns {[number, number]|"rotate"|null} the selected element's handle at the point
+ */
+const findHandleAt = (canvas, point) => {
+	const element = getSelectedElement();
+	if (!element) return null;
+	const found = getElementHandles(canvas, element).find(
+		({ x, y }) => Math.hypot(x - point.x, y - point.y) <= HANDLE_SIZE
+	);
+	return found?.handle ?? null;
 };
 
-const handleError = (err) => {
-	console.error(err);
+/**
+ * Lays the overlay over the preview and outlines the elements on it, with handles on the
+ * selected one. The overlay is never printed.
+ * @param {HTMLCanvasElement} canvas
+ */
+const drawElementOverlay = (canvas) => {
+	const overlay = $("#canvasOverlay");
+	Object.assign(overlay.style, {
+		left: `${canvas.offsetLeft + canvas.clientLeft}px`,
+		top: `${canvas.offsetTop + canvas.clientTop}px`,
+		width: `${canvas.clientWidth}px`,
+		height: `${canvas.clientHeight}px`,
+	});
+	// Drawn at the screen's resolution, so the outlines stay sharp
+	const scale = window.devicePixelRatio || 1;
+	const width = Math.round(canvas.clientWidth * scale);
+	const height = Math.round(canvas.clientHeight * scale);
+	if (overlay.width !== width) overlay.width = width;
+	if (overlay.height !== height) overlay.height = height;
+
+	const ctx = overlay.getContext("2d");
+	ctx.setTransform(1, 0, 0, 1, 0, 0);
+	ctx.clearRect(0, 0, width, height);
+	if (!canvas.width || !canvas.clientWidth) return;
+	ctx.scale(scale, scale);
+	ctx.lineWidth = 1;
+
+	for (const element of labelElements) {
+		const selected = element.id === selectedElementId;
+		ctx.setLineDash(selected ? [] : [4, 4]);
+		ctx.strokeStyle = selected ? "#0d6efd" : "rgba(108, 117, 125, 0.6)";
+		ctx.beginPath();
+		for (const corner of [
+			[-1, -1],
+			[1, -1],
+			[1, 1],
+			[-1, 1],
+		]) {
+			const { x, y } = labelToOverlay(canvas, getElementPoint(element, corner));
+			ctx.lineTo(x, y);
+		}
+		ctx.closePath();
+		ctx.stroke();
+	}
 
-	const toast = bootstrap.Toast.getOrCreateInstance($("#errorToast"));
-	$("#errorText").textContent = err.toString();
-	toast.show();
+	const selected = getSelectedElement();
+	if (!selected) return;
+	ctx.setLineDash([]);
+	ctx.strokeStyle = "#0d6efd";
+	ctx.fillStyle = "#fff";
+	for (const { handle, x, y } of getElementHandles(canvas, selected)) {
+		ctx.beginPath();
+		if (handle === "rotate") ctx.arc(x, y, HANDLE_SIZE / 2, 0, 2 * Math.PI);
+		else ctx.rect(x - HANDLE_SIZE / 2, y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+		ctx.fill();
+		ctx.stroke();
+	}
 };
 
 // Insert the updateImagePreview helper before DOMContentLoaded
@@ -1545,6 +1051,38 @@ document.addEventListener("DOMContentLoaded", function () {
 		else if (e.target.id === "nav-barcode-tab") updateCanvasBarcode(canvas);
 	});
 
+	// Printer model, which decides the resolution of the canvas
+	const modelSelect = $("#printerModel");
+	modelSelect.append(
+		...Object.values(PRINTER_MODELS).map((model) => new Option(model.name, model.id))
+	);
+	modelSelect.value = localStorage.getItem(PRINTER_MODEL_KEY) || "auto";
+	station.setModel(modelSelect.value);
+	modelSelect.addEventListener("change", () => {
+		station.setModel(modelSelect.value);
+		localStorage.setItem(PRINTER_MODEL_KEY, modelSelect.value);
+		updateLabelSize(canvas);
+	});
+	station.onPrinterEvent("statechange", (e) => {
+		if (e.detail.state === "connected") updateLabelSize(canvas);
+	});
+
+	// Bluetooth or serial port; the serial option needs Web Serial
+	const transportSelect = $("#printerTransport");
+	const baudRateSelect = $("#serialBaudRate");
+	transportSelect.options[1].disabled = !navigator.serial;
+	transportSelect.value = station.transport;
+	$("#serialSettings").hidden = station.transport !== "serial";
+	baudRateSelect.append(...BAUD_RATES.map((rate) => new Option(`${rate}`, rate)));
+	baudRateSelect.value = station.serialPrinter.baudRate;
+	transportSelect.addEventListener("change", () => {
+		station.setTransport(transportSelect.value);
+		$("#serialSettings").hidden = station.transport !== "serial";
+	});
+	baudRateSelect.addEventListener("change", () =>
+		station.setBaudRate(Number(baudRateSelect.value))
+	);
+
 	$all("#inputWidth, #inputHeight").forEach((e) =>
 		e.addEventListener("input", () => updateLabelSize(canvas))
 	);
@@ -1727,6 +1265,7 @@ document.addEventListener("DOMContentLoaded", function () {
 	$("#rotateClockwise").addEventListener("click", () => {
 		previewRotation = (previewRotation + 90) % 360;
 		updateRotationButtons();
+		recordEdit();
 	});
 
 	$("#rotateCounterClockwise").addEventListener("click", () => {
@@ -1737,6 +1276,7 @@ document.addEventListener("DOMContentLoaded", function () {
 			previewRotation += 360;
 		}
 		updateRotationButtons();
+		recordEdit();
 	});
 
 	// Print offset controls
@@ -1783,20 +1323,396 @@ document.addEventListener("DOMContentLoaded", function () {
 	// Initialize offset display
 	updateOffsetDisplay();
 
+	// Layout elements
+	for (const [select, source] of [
+		["#elementFontFamily", "#fontFamily"],
+		["#elementFontWeight", "#fontWeight"],
+		["#elementTextAlign", "#textAlign"],
+		["#elementQrErrorCorrection", "#qrErrorCorrection"],
+		["#elementBarcodeFormat", "#barcodeFormat"],
+	]) {
+		$(select).append(...[...$(source).options].map((o) => new Option(o.text, o.value)));
+	}
+	$all("[data-add-element]").forEach((button) =>
+		button.addEventListener("click", () => {
+			if (button.dataset.addElement === "image") {
+				$("#elementImageInput").click();
+				return;
+			}
+			const [type, settings] = NEW_ELEMENTS[button.dataset.addElement];
+			addElement(createElement(type, labelSize, settings));
+		})
+	);
+	let replacingImage = false; // the file input replaces the selected image rather than adding one
+	$("#replaceElementImage").addEventListener("click", () => {
+		replacingImage = true;
+		$("#elementImageInput").click();
+	});
+	$("#elementImageInput").addEventListener("change", async (e) => {
+		const [file] = e.target.files;
+		e.target.value = ""; // allow picking the same file again
+		const replace = replacingImage;
+		replacingImage = false;
+		if (!file) return;
+		try {
+			const src = await readFileAsDataUrl(file);
+			const image = await loadCachedImage(src);
+			const selected = getSelectedElement();
+			if (replace && selected?.type === "image") {
+				replaceElement({ ...selected, src });
+				updateCanvasText(canvas);
+			} else {
+				addElement(createElement("image", labelSize, { src }, image.width / image.height));
+			}
+		} catch (err) {
+			handleError(err);
+		}
+	});
+	$("#elementProperties").addEventListener("input", (e) => {
+		const { elementProp } = e.target.dataset;
+		const element = getSelectedElement();
+		if (!elementProp || !element) return;
+		let value = e.target.value;
+		if (e.target.type === "checkbox") value = e.target.checked;
+		else if (e.target.type === "number") value = e.target.valueAsNumber;
+		if (Number.isNaN(value) || (e.target.min && value < Number(e.target.min))) return;
+		replaceElement({ ...element, [elementProp]: value });
+		showElementProperties(); // e.g. the options of the chosen code type
+		renderElementList();
+		updateCanvasText(canvas);
+	});
+
+	// Elements are moved, resized and turned by dragging them on the preview
+	const overlay = $("#canvasOverlay");
+	let drag = null; // { handle: [x, y]|"rotate"|null (moving), element, start }
+	let redrawRequested = false;
+	const redrawWhileDragging = () => {
+		if (redrawRequested) return;
+		redrawRequested = true;
+		requestAnimationFrame(() => {
+			redrawRequested = false;
+			updateCanvasText(canvas);
+		});
+	};
+	overlay.addEventListener("pointerdown", (e) => {
+		const point = getOverlayPoint(overlay, e);
+		const start = overlayToLabel(canvas, point);
+		const handle = findHandleAt(canvas, point);
+		if (!handle) selectElement(findElementAt(labelElements, start)?.id ?? null);
+		const element = getSelectedElement();
+		if (element) {
+			drag = { handle, element, start };
+			overlay.setPointerCapture(e.pointerId);
+		}
+		overlay.focus();
+	});
+	overlay.addEventListener("pointermove", (e) => {
+		const point = getOverlayPoint(overlay, e);
+		const position = overlayToLabel(canvas, point);
+		if (!drag) {
+			const handle = findHandleAt(canvas, point);
+			const element = findElementAt(labelElements, position);
+			overlay.style.cursor =
+				handle === "rotate" ? "grab" : handle ? "crosshair" : element ? "move" : "";
+			return;
+		}
+		const { handle, element, start } = drag;
+		if (handle === "rotate") {
+			replaceElement(rotateElement(element, position, e.shiftKey ? 15 : 0));
+		} else if (handle) {
+			replaceElement(resizeElement(element, handle, position));
+		} else {
+			replaceElement(moveElement(element, position.x - start.x, position.y - start.y));
+		}
+		showElementProperties();
+		redrawWhileDragging();
+	});
+	const endDrag = () => {
+		drag = null;
+		undoHistory.checkpoint();
+	};
+	overlay.addEventListener("pointerup", endDrag);
+	overlay.addEventListener("pointercancel", endDrag);
+	overlay.addEventListener("keydown", (e) => {
+		const element = getSelectedElement();
+		if (!element) return;
+		if (e.key === "Delete" || e.key === "Backspace") {
+			removeElement(element.id);
+			renderElementList();
+		} else if (e.key.startsWith("Arrow")) {
+			// Arrows move the element the way they point on screen, however the preview is turned
+			const step = e.shiftKey ? 0.1 : 0.5;
+			const [dx, dy] = {
+				ArrowLeft: [-1, 0],
+				ArrowRight: [1, 0],
+				ArrowUp: [0, -1],
+				ArrowDown: [0, 1],
+			}[e.key] ?? [0, 0];
+			const rect = overlay.getBoundingClientRect();
+			const from = { clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+			const to = { clientX: from.clientX + dx, clientY: from.clientY + dy };
+			const a = overlayToLabel(canvas, getOverlayPoint(overlay, from));
+			const b = overlayToLabel(canvas, getOverlayPoint(overlay, to));
+			const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+			replaceElement(
+				moveElement(element, ((b.x - a.x) / length) * step, ((b.y - a.y) / length) * step)
+			);
+			showElementProperties();
+		} else {
+			return;
+		}
+		e.preventDefault();
+		updateCanvasText(canvas);
+	});
+	renderElementList();
+
+	// Counter: the start moves on past each label as it is printed
+	$all(
+		"#counterType, #counterStart, #counterStep, #counterDigits, #counterEnd, #counterPrefix, #counterSuffix"
+	).forEach((e) => e.addEventListener("input", () => updateCanvasText(canvas)));
+	/** @type {WeakMap<object, () => void>} what to do once a counter label is printed, by job */
+	const counterLabels = new WeakMap();
+	printQueue.addEventListener("printed", (e) => counterLabels.get(e.detail.job)?.());
+	/**
+	 * Moves the start on past the last label of a run printed so far, so labels cancelled or
+	 * failed at its end are numbered again next time. A start changed meanwhile is kept.
+	 * @param {import("../src/render.js").LabelDesign} design the labels were counted from
+	 * @param {object[]} jobs the run's print jobs, one label each, in counting order
+	 */
+	const advanceCounterAsPrinted = (design, jobs) => {
+		const counter = readCounter(design);
+		let printed = 0;
+		let start = counter.start;
+		jobs.forEach((job, n) =>
+			counterLabels.set(job, () => {
+				if (n < printed || $("#counterStart").value !== start) return;
+				printed = n + 1;
+				start = advanceCounter(counter, printed);
+				$("#counterStart").value = start;
+				$("#counterStart").dispatchEvent(new Event("input"));
+			})
+		);
+	};
+
 	$("form").addEventListener("submit", (e) => {
 		e.preventDefault();
-		navigator.bluetooth
-			.requestDevice({
-				acceptAllDevices: true,
-				optionalServices: ["0000ff00-0000-1000-8000-00805f9b34fb"],
+		const copies = $("#copies").valueAsNumber || 1;
+		const name = $("#inputText").value.trim().split("\n")[0] || "Label";
+		const printOptions = toPrintOptions(loadPrintSettings(labelTypeKey(labelSize)));
+		const design = readLabelDesign();
+		if (usesCounter(design)) {
+			// Every copy is a label of its own, with the counter's next value
+			let designs;
+			try {
+				designs = Array.from({ length: copies }, (_, n) => withCounter(design, n));
+			} catch (err) {
+				handleError(err);
+				return;
+			}
+			preparePrintTarget(station)
+				.then(async (printerId) => {
+					const options = { image: uploadedImage, dotsPerMm: station.printer.model.dotsPerMm };
+					const labels = await Promise.all(
+						designs.map((copy) => renderLabel(copy, canvasFactory, options))
+					);
+					const jobs = labels.map((label, n) =>
+						printQueue.add(label, {
+							name: designs[n].text.trim().split("\n")[0] || name,
+							printerId,
+							printOptions: { ...printOptions, threshold: station.printer.threshold },
+						})
+					);
+					advanceCounterAsPrinted(design, jobs);
+				})
+				.catch(handleError);
+			return;
+		}
+		const label = snapshotCanvas(canvas);
+		// Connect here, while we still have the user gesture needed to show the device chooser
+		preparePrintTarget(station)
+			.then((printerId) =>
+				printQueue.add(label, {
+					copies,
+					name,
+					printerId,
+					// The model and transfer settings come from the printer the job ends up on
+					printOptions: { ...printOptions, threshold: station.printer.threshold },
+				})
+			)
+			.catch(handleError);
+	});
+
+	$all("#printDensity, #feedLines").forEach((e) => e.addEventListener("input", storePrintSettings));
+
+	// Data merge: one label per row of a table
+	let mergeInputTimer = null;
+	$("#mergeData").addEventListener("input", (e) => {
+		clearTimeout(mergeInputTimer);
+		mergeInputTimer = setTimeout(() => loadMergeData(e.target.value), 300);
+	});
+	$("#mergeFileButton").addEventListener("click", () => $("#mergeFileInput").click());
+	$("#mergeFileInput").addEventListener("change", async (e) => {
+		const [file] = e.target.files;
+		e.target.value = ""; // allow loading the same file again
+		if (!file) return;
+		try {
+			$("#mergeData").value = await file.text();
+			loadMergeData($("#mergeData").value);
+		} catch (err) {
+			handleError(err);
+		}
+	});
+	$("#mergeClearButton").addEventListener("click", () => {
+		$("#mergeData").value = "";
+		loadMergeData("");
+	});
+	$("#mergeGrid").addEventListener("change", (e) => {
+		const index = Number(e.target.dataset.row);
+		if (e.target.checked) mergeSelection.add(index);
+		else mergeSelection.delete(index);
+		updateMergeStatus();
+	});
+	$("#mergeSelectAll").addEventListener("change", (e) => {
+		mergeSelection.clear();
+		if (e.target.checked) mergeTable.rows.forEach((_, index) => mergeSelection.add(index));
+		$all("#mergeGrid [data-row]").forEach((checkbox) => (checkbox.checked = e.target.checked));
+		updateMergeStatus();
+	});
+	$("#mergePrintButton").addEventListener("click", () => {
+		const indexes = [...mergeSelection].sort((a, b) => a - b);
+		if (!indexes.length) {
+			handleError("Select the rows to print");
+			return;
+		}
+		const copies = $("#copies").valueAsNumber || 1;
+		const printOptions = toPrintOptions(loadPrintSettings(labelTypeKey(labelSize)));
+		// Connect here, while we still have the user gesture needed to show the device chooser
+		preparePrintTarget(station)
+			.then(async (printerId) => {
+				// With a counter, every copy is a label of its own
+				const design = readLabelDesign();
+				const counting = usesCounter(design);
+				const rows = indexes.flatMap((index) => Array(counting ? copies : 1).fill(index));
+				// All labels are drawn before the first is queued, so a broken row queues none
+				const jobs = rows.map((index, n) => renderMergeRow(mergeTable.rows[index], n));
+				const labels = await Promise.all(jobs.map((job) => job.label));
+				const queued = jobs.map((job, i) =>
+					printQueue.add(labels[i], {
+						copies: counting ? 1 : copies,
+						name: job.design.text.trim().split("\n")[0] || `Row ${rows[i] + 1}`,
+						printerId,
+						printOptions: { ...printOptions, threshold: station.printer.threshold },
+					})
+				);
+				if (counting) advanceCounterAsPrinted(design, queued);
 			})
-			.then((device) => device.gatt.connect())
-			.then((server) => server.getPrimaryService("0000ff00-0000-1000-8000-00805f9b34fb"))
-			.then((service) => service.getCharacteristic("0000ff02-0000-1000-8000-00805f9b34fb"))
-			.then((char) => printCanvas(char, canvas))
 			.catch(handleError);
 	});
 
+	// Printer files: the exact bytes of a job, to archive, share or reprint later
+	$("#saveFileButton").addEventListener("click", () => {
+		const name = $("#inputText").value.trim().split("\n")[0] || "label";
+		const printOptions = toPrintOptions(loadPrintSettings(labelTypeKey(labelSize)));
+		try {
+			const data = encodePrintJob(canvas, {
+				...printOptions,
+				model: station.printer.model,
+				threshold: station.printer.threshold,
+			});
+			downloadBlob(new Blob([data], { type: "application/octet-stream" }), toPrinterFileName(name));
+		} catch (err) {
+			handleError(err);
+		}
+	});
+	$("#printFileButton").addEventListener("click", () => $("#printFileInput").click());
+	$("#printFileInput").addEventListener("change", async (e) => {
+		const [file] = e.target.files;
+		e.target.value = ""; // allow picking the same file again
+		if (!file) return;
+		try {
+			// Before anything else is awaited, while connecting can still show the device chooser
+			const printerId = await preparePrintTarget(station);
+			const data = new Uint8Array(await file.arrayBuffer());
+			printQueue.add(data, {
+				copies: $("#copies").valueAsNumber || 1,
+				name: file.name,
+				printerId,
+			});
+		} catch (err) {
+			handleError(err);
+		}
+	});
+
+	// Print queue
+	const updateLabelDelay = () => {
+		printQueue.delayMs = ($("#labelDelay").valueAsNumber || 0) * 1000;
+	};
+	$("#labelDelay").addEventListener("input", updateLabelDelay);
+	updateLabelDelay();
+
+	printQueue.addEventListener("change", () => renderQueue(station));
+	printQueue.addEventListener("change", () => showTransferSettings(station));
+	printQueue.addEventListener("progress", (e) =>
+		showPrintProgress(e.detail.progress, e.detail.job)
+	);
+	printQueue.addEventListener("error", (e) => handleError(e.detail.error));
+	$("#cancelPrintButton").addEventListener("click", () => printQueue.cancelCurrent());
+	$("#queuePause").addEventListener("click", () =>
+		printQueue.paused ? printQueue.resume() : printQueue.pause()
+	);
+	$("#queueClear").addEventListener("click", () => printQueue.clearFinished());
+	renderQueue(station);
+
+	// Printer connection state; switching transports or the virtual printer changes the printer
+	station.addEventListener("change", () => {
+		showConnectionStatus(station);
+		renderPrinters(station);
+		updateLabelSize(canvas);
+	});
+	station.onPrinterEvent("statechange", () => showConnectionStatus(station));
+	station.onPrinterEvent("status", createPrinterStatusView(handleError));
+	$("#disconnectButton").addEventListener("click", () => station.printer.disconnect());
+	showConnectionStatus(station);
+
+	// Further printers
+	printerPool.addEventListener("change", () => renderPrinters(station));
+	station.onPrinterEvent("statechange", () => renderPrinters(station));
+	$("#addPrinterButton").addEventListener("click", () =>
+		printerPool.add({ exclude: [station.printer.device?.id].filter(Boolean) }).catch(handleError)
+	);
+	renderPrinters(station);
+
+	// Virtual printer
+	$("#virtualPrinter").addEventListener("change", (e) => {
+		station.setVirtualPrinter(e.target.checked);
+		$("#virtualOutput").hidden = !e.target.checked;
+	});
+	station.virtualPrinter.addEventListener("job", (e) =>
+		showVirtualOutput(station.virtualPrinter, e.detail.job)
+	);
+	$("#benchmarkButton").addEventListener("click", () => runBenchmark(station).catch(handleError));
+	station.restore().catch(handleError);
+
+	// Remote jobs
+	const updateRemoteJobsListener = () => updateRemoteJobs(remoteJobs, handleError);
+	remoteJobs.addEventListener("statechange", () => showRemoteJobsStatus(remoteJobs));
+	remoteJobs.addEventListener("job", (e) => printRemoteJob(e.detail.job, remoteJobs));
+	remoteJobs.addEventListener("error", (e) => handleError(e.detail.error));
+	$("#remoteJobs").addEventListener("change", updateRemoteJobsListener);
+	$("#remoteJobsUrl").addEventListener("change", updateRemoteJobsListener);
+	restoreRemoteJobsControls();
+	updateRemoteJobsListener();
+	showRemoteJobsStatus(remoteJobs);
+
+	// Embedding app
+	embed.addEventListener("job", (e) => printRemoteJob(e.detail.job, embed));
+	embed.addEventListener("preview", ({ detail: { job } }) =>
+		renderRemoteJob(job)
+			.then((label) => embed.sendPreview(job.id, label))
+			.catch((err) => embed.report(job.id, "failed", err.message))
+	);
+	embed.start();
+
 	// Inside DOMContentLoaded block, after existing listeners, add preview update hooks
 	$all("#ditherAlgorithm, #threshold, #brightness, #contrast, #noise, #imageRotation").forEach(
 		(e) => e.addEventListener("input", updateImagePreview)
@@ -1813,4 +1729,222 @@ document.addEventListener("DOMContentLoaded", function () {
 
 	// Call once on load
 	updateImagePreview();
+
+	// Label design from the URL, e.g. a bookmark or a link from a wiki
+	const defaultDesign = readLabelDesign();
+	const designInputs = {
+		width: "#inputWidth",
+		height: "#inputHeight",
+		text: "#inputText",
+		fontSize: "#inputFontSize",
+	};
+	const applyDesign = (design) => {
+		for (const [key, value] of Object.entries(design)) {
+			if (key === "offsetX") {
+				offsetX = value;
+				continue;
+			}
+			if (key === "offsetY") {
+				offsetY = value;
+				continue;
+			}
+			if (key === "elements") {
+				labelElements = value;
+				// Undo keeps the element selected if it is still there
+				selectElement(value.some((e) => e.id === selectedElementId) ? selectedElementId : null);
+				continue;
+			}
+			const input = $(designInputs[key] || `#${key}`);
+			if (!input) continue;
+			if (input.type === "checkbox") input.checked = value;
+			else input.value = value;
+			// Lets the editor update value displays and the controls that depend on this one
+			input.dispatchEvent(new Event("change"));
+			input.dispatchEvent(new Event("input"));
+		}
+		updateOffsetDisplay();
+		updateCanvasText(canvas);
+	};
+
+	const copyDesignLink = (autoprint) => {
+		const design = readLabelDesign();
+		// Images would make links far too long
+		design.elements = design.elements.filter((element) => element.type !== "image");
+		// The address bar keeps the design too, but never prints again on reload
+		history.replaceState(null, "", createDesignUrl(design, defaultDesign));
+		navigator.clipboard
+			.writeText(createDesignUrl(design, defaultDesign, { autoprint }))
+			.catch(handleError);
+	};
+	$("#copyLinkButton").addEventListener("click", () => copyDesignLink(false));
+	$("#copyPrintLinkButton").addEventListener("click", () => copyDesignLink(true));
+
+	const { design: urlDesign, autoprint } = readDesignFromUrl(location, defaultDesign);
+	applyDesign(urlDesign);
+
+	// Undo and redo
+	undoHistory.reset(readEditorState());
+	const restoreEdit = (state) => {
+		if (!state) return;
+		const current = readEditorState();
+		const changes = Object.fromEntries(
+			Object.entries(state).filter(([key, value]) => !Object.is(current[key], value))
+		);
+		restoringEdit = true;
+		try {
+			if ("previewRotation" in changes) {
+				previewRotation = changes.previewRotation;
+				updateRotationButtons();
+			}
+			const imageChanged = "uploadedImage" in changes;
+			if (imageChanged) {
+				uploadedImage = changes.uploadedImage;
+				updateImagePreview();
+			}
+			if ("barcodeData" in changes) {
+				$("#inputBarcode").value = changes.barcodeData;
+				if ($(".tab-pane.show.active")?.id === "nav-barcode") updateCanvasBarcode(canvas);
+			}
+			delete changes.previewRotation;
+			delete changes.uploadedImage;
+			delete changes.barcodeData;
+			// Applying no settings still redraws the label, e.g. with another image
+			if (imageChanged || Object.keys(changes).length) applyDesign(changes);
+		} finally {
+			restoringEdit = false;
+		}
+	};
+	const updateUndoButtons = () => {
+		$("#undoButton").disabled = !undoHistory.canUndo;
+		$("#redoButton").disabled = !undoHistory.canRedo;
+	};
+	undoHistory.addEventListener("change", updateUndoButtons);
+	updateUndoButtons();
+	$("#undoButton").addEventListener("click", () => restoreEdit(undoHistory.undo()));
+	$("#redoButton").addEventListener("click", () => restoreEdit(undoHistory.redo()));
+	document.addEventListener("keydown", (e) => {
+		const action = getUndoShortcut(e);
+		if (!action) return;
+		// The editor's history covers the text fields too
+		e.preventDefault();
+		restoreEdit(undoHistory[action]());
+	});
+	// A slider let go or a field left ends the step, even if the next change follows quickly
+	document.addEventListener("change", () => undoHistory.checkpoint());
+
+	// Label templates, saved in this browser
+	const templates = new TemplateLibrary(TEMPLATE_UI);
+	const openTemplate = async (template) => {
+		const { image } = template.design;
+		const templateImage = image ? await loadImage(image) : null;
+		restoringEdit = true;
+		try {
+			uploadedImage = templateImage;
+			$("#inputImage").value = "";
+			updateImagePreview();
+			applyDesign(fillTemplateDesign(template, defaultDesign));
+		} finally {
+			restoringEdit = false;
+		}
+		// Opening a template can be undone in one step
+		undoHistory.checkpoint();
+		recordEdit();
+	};
+	const renderTemplates = async () => {
+		const list = await templates.list();
+		$("#templateList").replaceChildren(
+			...list.map((template) => {
+				const item = document.createElement("li");
+				item.className = "list-group-item";
+				item.addEventListener("click", () => openTemplate(template).catch(handleError));
+
+				const name = document.createElement("span");
+				name.className = "template-name";
+				name.textContent = template.name;
+				name.title = `${template.name}, saved ${new Date(template.savedAt).toLocaleString()}`;
+
+				// Keep clicks on the buttons from opening the template
+				const act = (action) => (e) => {
+					e.stopPropagation();
+					action().catch(handleError);
+				};
+				item.append(
+					name,
+					createQueueButton(
+						"✎",
+						"Rename",
+						act(async () => {
+							const newName = prompt("Template name", template.name);
+							if (newName?.trim()) await templates.rename(template.id, newName);
+						})
+					),
+					createQueueButton(
+						"✕",
+						"Delete",
+						act(async () => {
+							if (confirm(`Delete the template "${template.name}"?`)) {
+								await templates.delete(template.id);
+							}
+						})
+					)
+				);
+				return item;
+			})
+		);
+		$("#templateListEmpty").hidden = list.length > 0;
+	};
+	templates.addEventListener("change", () => renderTemplates().catch(handleError));
+	$("#saveTemplateButton").addEventListener("click", async () => {
+		const name = $("#templateName").value.trim();
+		try {
+			const design = readLabelDesign();
+			if (uploadedImage) design.image = imageToDataUrl(uploadedImage);
+			const saved = await templates.save(name, design, (existing) =>
+				confirm(`Replace the template "${existing}"?`)
+			);
+			if (!saved) return;
+			$("#templateName").value = "";
+			$("#templateStatus").textContent = `Saved "${saved.name}".`;
+		} catch (err) {
+			handleError(err);
+		}
+	});
+	$("#templateName").addEventListener("keydown", (e) => {
+		if (e.key !== "Enter") return;
+		e.preventDefault();
+		$("#saveTemplateButton").click();
+	});
+	$("#exportTemplatesButton").addEventListener("click", () =>
+		templates
+			.export()
+			.then((file) => downloadBlob(file, "label-templates.json"))
+			.catch(handleError)
+	);
+	$("#importTemplatesButton").addEventListener("click", () => $("#templateFileInput").click());
+	$("#templateFileInput").addEventListener("change", async (e) => {
+		const [file] = e.target.files;
+		e.target.value = ""; // allow importing the same file again
+		if (!file) return;
+		try {
+			$("#templateStatus").textContent = await templates.import(await file.text());
+		} catch (err) {
+			handleError(err);
+		}
+	});
+	renderTemplates().catch(handleError);
+	if (autoprint) {
+		autoprintWhenReady({
+			url: createDesignUrl(readLabelDesign(), defaultDesign),
+			isReady: () => station.useVirtualPrinter || station.printer.connected,
+			onChange: (check) => {
+				station.onPrinterEvent("statechange", check);
+				station.addEventListener("change", check);
+			},
+			// Connecting may have resized the label for the detected model
+			print: () =>
+				updateCanvasText(canvas)
+					.then(() => $("form").requestSubmit())
+					.catch(handleError),
+		});
+	}
 });
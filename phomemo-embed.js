@@ -0,0 +1,161 @@
+/**
+ * Prints labels through one of the UIs from another web app, opened in an iframe or a popup.
+ * The UI does the rendering and printing; this module only talks to it with `postMessage`, see
+ * `src/embed.js` for the messages.
+ *
+ *     import { PhomemoEmbed } from "https://printer.example/phomemo-embed.js";
+ *
+ *     const embed = PhomemoEmbed.open("https://printer.example/narrowstack-ui/");
+ *     await embed.ready();
+ *     const image = await embed.preview({ design: { text: "Shelf 12", qr: "https://…" } });
+ *     await embed.print({ copies: 2, design: { text: "Shelf 12" } }, {
+ *         onStatus: (status) => console.log(status),
+ *     });
+ *
+ * Printing needs a printer connected in the UI; the UI asks its user once whether the app may
+ * print. An iframe needs `allow="bluetooth; serial"` for the UI to connect from inside it.
+ */
+
+let nextRequestId = 1;
+
+/** Statuses after which a print job does not change any more. */
+const FINAL_STATUSES = ["done", "failed", "cancelled"];
+
+/**
+ * A UI opened in an iframe or popup.
+ */
+export class PhomemoEmbed {
+	/**
+	 * @param {Window} target the UI's window
+	 * @param {object} options
+	 * @param {string} options.origin the UI's origin; messages are only sent to and taken from it
+	 * @param {boolean} [options.popup] true if `close` should close the target
+	 */
+	constructor(target, { origin, popup = false }) {
+		this.target = target;
+		this.origin = origin;
+		this.popup = popup;
+		/** @type {Map<string, (message: object) => void>} handlers of requests awaiting answers */
+		this.pending = new Map();
+		/** @type {Set<() => void>} */
+		this.readyListeners = new Set();
+		this.handleMessage = this.handleMessage.bind(this);
+		window.addEventListener("message", this.handleMessage);
+	}
+
+	/**
+	 * Opens a UI in a popup. Must run in a click handler, or the browser blocks the popup.
+	 * @param {string} url
+	 * @param {string} [features] as for `window.open`
+	 * @returns {PhomemoEmbed}
+	 */
+	static open(url, features = "popup,width=900,height=800") {
+		const target = window.open(url, "phomemo", features);
+		if (!target) throw new Error("The popup was blocked");
+		return new PhomemoEmbed(target, { origin: new URL(url, location.href).origin, popup: true });
+	}
+
+	/**
+	 * Talks to a UI in an iframe.
+	 * @param {HTMLIFrameElement} iframe
+	 * @returns {PhomemoEmbed}
+	 */
+	static attach(iframe) {
+		return new PhomemoEmbed(iframe.contentWindow, {
+			origin: new URL(iframe.src, location.href).origin,
+		});
+	}
+
+	/**
+	 * @param {MessageEvent} event
+	 */
+	handleMessage({ data, source, origin }) {
+		if (source !== this.target || origin !== this.origin) return;
+		if (data?.type === "phomemo:ready") {
+			for (const listener of this.readyListeners) listener();
+		} else if (typeof data?.id === "string") {
+			this.pending.get(data.id)?.(data);
+		}
+	}
+
+	/**
+	 * Resolves once the UI has loaded and takes requests.
+	 * @param {number} [timeoutMs]
+	 * @returns {Promise<void>}
+	 */
+	ready(timeoutMs = 30000) {
+		return new Promise((resolve, reject) => {
+			const ping = () => this.target.postMessage({ type: "phomemo:ping" }, this.origin);
+			const interval = setInterval(ping, 250);
+			const timeout = setTimeout(() => {
+				finish();
+				reject(new Error("The printer UI did not load"));
+			}, timeoutMs);
+			const finish = () => {
+				clearInterval(interval);
+				clearTimeout(timeout);
+				this.readyListeners.delete(onReady);
+			};
+			const onReady = () => {
+				finish();
+				resolve();
+			};
+			this.readyListeners.add(onReady);
+			ping();
+		});
+	}
+
+	/**
+	 * Sends a request and calls `onMessage` with every answer until it returns true.
+	 * @param {object} message
+	 * @param {(answer: object) => boolean} onMessage
+	 */
+	request(message, onMessage) {
+		const id = `request-${nextRequestId++}`;
+		this.pending.set(id, (answer) => {
+			if (onMessage(answer)) this.pending.delete(id);
+		});
+		this.target.postMessage({ ...message, id }, this.origin);
+	}
+
+	/**
+	 * Renders a label without printing it.
+	 * @param {{ design?: object, png?: string|Blob }} job a design or a PNG, see `src/remote-jobs.js`
+	 * @returns {Promise<string>} the label as a PNG data URL, the right way up
+	 */
+	preview(job) {
+		return new Promise((resolve, reject) => {
+			this.request({ ...job, type: "phomemo:preview" }, (answer) => {
+				if (answer.type === "phomemo:preview") resolve(answer.image);
+				else reject(new Error(answer.error || "The label could not be rendered"));
+				return true;
+			});
+		});
+	}
+
+	/**
+	 * Prints a label.
+	 * @param {{ design?: object, png?: string|Blob, name?: string, copies?: number }} job
+	 * @param {object} [options]
+	 * @param {(status: string) => void} [options.onStatus] called as the job progresses
+	 * @returns {Promise<void>} resolves once the job is printed
+	 * @throws {Error} if the job failed or was cancelled
+	 */
+	print(job, { onStatus } = {}) {
+		return new Promise((resolve, reject) => {
+			this.request({ ...job, type: "phomemo:print" }, ({ type, status, error }) => {
+				if (type !== "phomemo:status") return false;
+				onStatus?.(status);
+				if (status === "done") resolve();
+				else if (FINAL_STATUSES.includes(status)) reject(new Error(error || `Print ${status}`));
+				return FINAL_STATUSES.includes(status);
+			});
+		});
+	}
+
+	/** Stops listening; closes the UI if it was opened as a popup. */
+	close() {
+		window.removeEventListener("message", this.handleMessage);
+		if (this.popup) this.target.close();
+	}
+}
@@ -0,0 +1,153 @@
+/**
+ * Printing to Phomemo label printers over Web Bluetooth, shared by both UIs.
+ * Other pages can import this module directly:
+ *
+ *     import { PhomemoPrinter } from "/phomemo-printer.js";
+ *
+ *     const printer = new PhomemoPrinter();
+ *     await printer.connect(); // must run in a click handler, it shows the device chooser
+ *     await printer.print(canvas, { density: 8 });
+ *
+ * `SerialPhomemoPrinter` works the same way over a serial port (USB, or Bluetooth paired as a
+ * serial device) where Web Serial is available.
+ */
+
+import { PrinterConnection } from "./src/connection.js";
+import { SerialConnection } from "./src/serial.js";
+import { DEFAULT_THRESHOLD } from "./src/bitmap.js";
+import { printCanvas } from "./src/printer.js";
+import { benchmarkTransfer } from "./src/benchmark.js";
+import { rememberedTransferOptions, saveTransferSettings } from "./src/transport.js";
+
+export { DEFAULT_THRESHOLD, encodeBitmap } from "./src/bitmap.js";
+export { MAX_DENSITY, MIN_DENSITY } from "./src/commands.js";
+export { DEFAULT_MODEL, PRINTER_MODELS, detectModel, getModel } from "./src/models.js";
+export { describeProblem } from "./src/status.js";
+export { PrintInterruptedError, encodePrintJob, printBytes, printCanvas } from "./src/printer.js";
+export { MockPrinter, MockSerialPort } from "./src/mock-printer.js";
+export { PrintQueue } from "./src/queue.js";
+export { PrinterPool } from "./src/printer-pool.js";
+export {
+	SAFE_TRANSFER,
+	TRANSFER_CANDIDATES,
+	loadTransferSettings,
+	rememberedTransferOptions,
+	saveTransferSettings,
+} from "./src/transport.js";
+export { benchmarkTransfer } from "./src/benchmark.js";
+export { BAUD_RATES, DEFAULT_BAUD_RATE } from "./src/serial.js";
+export { RemoteJobListener, parseRemoteJob } from "./src/remote-jobs.js";
+export { EmbedListener } from "./src/embed.js";
+
+/**
+ * Prints a label on a connection, connecting first if needed.
+ * @param {PrinterConnection|SerialConnection} connection
+ * @param {import("./src/printer.js").PrintSource} source
+ * @param {number} threshold
+ * @param {object} options passed on to `printCanvas`
+ */
+const printOn = async (connection, source, threshold, options) => {
+	const characteristic = await connection.getCharacteristic();
+	await printCanvas(characteristic, source, {
+		model: connection.model,
+		threshold,
+		...rememberedTransferOptions(connection.device.id),
+		...options,
+	});
+};
+
+/**
+ * Benchmarks the transfer settings of a connection and remembers the fastest.
+ * @param {PrinterConnection|SerialConnection} connection
+ * @param {object} options passed on to `benchmarkTransfer`
+ */
+const benchmarkOn = async (connection, options) => {
+	const characteristic = await connection.getCharacteristic();
+	const outcome = await benchmarkTransfer(characteristic, { model: connection.model, ...options });
+	saveTransferSettings(connection.device.id, outcome.fastest);
+	return outcome;
+};
+
+/**
+ * A Phomemo printer: keeps the Bluetooth connection open and prints labels on it.
+ *
+ * Dispatches the events of {@link PrinterConnection}: `statechange` when the connection state
+ * changes, and `status` (detail: `{ status, updates }`) for paper, cover, temperature and battery
+ * notifications.
+ */
+export class PhomemoPrinter extends PrinterConnection {
+	/**
+	 * @param {object} [options]
+	 * @param {string} [options.model] "auto" to detect the model from the device name, or a key of
+	 * `PRINTER_MODELS`
+	 * @param {number} [options.threshold] binarization threshold, see {@link DEFAULT_THRESHOLD}
+	 * @param {number} [options.reconnectAttempts] see {@link PrinterConnection}
+	 * @param {number} [options.reconnectDelayMs]
+	 */
+	constructor({ model = "auto", threshold = DEFAULT_THRESHOLD, ...connectionOptions } = {}) {
+		super(connectionOptions);
+		this.modelId = model;
+		this.threshold = threshold;
+	}
+
+	/**
+	 * Prints a label, connecting first if needed.
+	 * @param {import("./src/printer.js").PrintSource} source a canvas, its image data or a bitmap
+	 * @param {object} [options] passed on to `printCanvas`, e.g. density, feedLines, signal and
+	 * onProgress; the model, threshold and transfer settings default to this printer's
+	 * @returns {Promise<void>}
+	 * @throws {PrintInterruptedError} when the connection drops part way through; pass its
+	 * `rowsPrinted` as the `startRow` option to print the rest after reconnecting
+	 */
+	print(source, options = {}) {
+		return printOn(this, source, this.threshold, options);
+	}
+
+	/**
+	 * Finds the fastest stable transfer settings for the connected device and remembers them for
+	 * later prints. Feeds a blank strip for every setting tried, see `benchmarkTransfer`.
+	 * @param {object} [options] passed on to `benchmarkTransfer`
+	 * @returns {ReturnType<typeof benchmarkTransfer>}
+	 */
+	benchmark(options = {}) {
+		return benchmarkOn(this, options);
+	}
+}
+
+/**
+ * A Phomemo printer on a serial port, with the same methods and events as {@link PhomemoPrinter}.
+ * `connect()` shows the port chooser instead of the Bluetooth device chooser.
+ */
+export class SerialPhomemoPrinter extends SerialConnection {
+	/**
+	 * @param {object} [options]
+	 * @param {string} [options.model] a key of `PRINTER_MODELS`; "auto" uses `DEFAULT_MODEL`, as
+	 * a port has no name to detect the model from
+	 * @param {number} [options.threshold] binarization threshold, see {@link DEFAULT_THRESHOLD}
+	 * @param {number} [options.baudRate] see {@link DEFAULT_BAUD_RATE}
+	 */
+	constructor({ model = "auto", threshold = DEFAULT_THRESHOLD, ...connectionOptions } = {}) {
+		super(connectionOptions);
+		this.modelId = model;
+		this.threshold = threshold;
+	}
+
+	/**
+	 * Prints a label, opening the port first if needed. See {@link PhomemoPrinter#print}.
+	 * @param {import("./src/printer.js").PrintSource} source
+	 * @param {object} [options]
+	 * @returns {Promise<void>}
+	 */
+	print(source, options = {}) {
+		return printOn(this, source, this.threshold, options);
+	}
+
+	/**
+	 * See {@link PhomemoPrinter#benchmark}.
+	 * @param {object} [options]
+	 * @returns {ReturnType<typeof benchmarkTransfer>}
+	 */
+	benchmark(options = {}) {
+		return benchmarkOn(this, options);
+	}
+}
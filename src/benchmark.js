@@ -0,0 +1,73 @@
+import { DEFAULT_MODEL } from "./models.js";
+import { printCanvas } from "./printer.js";
+import { SAFE_TRANSFER, TRANSFER_CANDIDATES } from "./transport.js";
+
+/**
+ * @typedef {object} BenchmarkResult
+ * @property {import("./transport.js").TransferSettings} settings
+ * @property {number} bytesPerSecond raster throughput, 0 if the transfer failed
+ * @property {boolean} stable false if a write failed, whether or not backing off rescued it
+ */
+
+/**
+ * Measures how fast each transfer setting gets a label to the printer.
+ * Every setting prints a blank label `rows` dots long, so on a real printer this feeds a blank
+ * strip per setting; against a `MockPrinter` it costs nothing.
+ *
+ * @param {import("./transport.js").PrintTarget} characteristic
+ * @param {object} [options]
+ * @param {import("./models.js").PrinterModel} [options.model]
+ * @param {import("./transport.js").TransferSettings[]} [options.candidates] settings to try
+ * @param {number} [options.rows] length of each test label in dots
+ * @param {number} [options.delayMs] pause between two test labels, for the printer to finish
+ * @param {(result: BenchmarkResult) => void} [options.onResult] called after every setting
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ results: BenchmarkResult[], fastest: import("./transport.js").TransferSettings }>}
+ * `fastest` is the fastest stable setting, or `SAFE_TRANSFER` if none was
+ */
+export const benchmarkTransfer = async (characteristic, options = {}) => {
+	const { model = DEFAULT_MODEL, candidates = TRANSFER_CANDIDATES, rows = 400 } = options;
+	const { delayMs = 1000, onResult, signal } = options;
+	const blank = {
+		data: new Uint8Array(model.maxWidthBytes * rows),
+		bytesPerRow: model.maxWidthBytes,
+		rows,
+	};
+
+	const results = [];
+	for (const [i, settings] of candidates.entries()) {
+		if (i > 0 && delayMs > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+		signal?.throwIfAborted();
+
+		let stable = true;
+		let bytesPerSecond = 0;
+		const start = performance.now();
+		try {
+			await printCanvas(characteristic, blank, {
+				model,
+				signal,
+				transfer: settings,
+				onBackOff: () => {
+					stable = false;
+				},
+			});
+			bytesPerSecond = (blank.data.length * 1000) / (performance.now() - start);
+		} catch (err) {
+			if (signal?.aborted) throw err;
+			console.warn("Benchmark of", settings, "failed:", err);
+			stable = false;
+		}
+
+		const result = { settings, bytesPerSecond, stable };
+		results.push(result);
+		onResult?.(result);
+	}
+
+	const fastest = results
+		.filter((result) => result.stable)
+		.reduce(
+			(best, result) => (result.bytesPerSecond > (best?.bytesPerSecond ?? 0) ? result : best),
+			null
+		);
+	return { results, fastest: fastest?.settings ?? SAFE_TRANSFER };
+};
@@ -0,0 +1,53 @@
+/**
+ * Conversion of RGBA pixels to the 1-bit raster rows sent to the printer.
+ * Has no DOM dependencies, so it can also run in a worker or in Node.
+ */
+
+/**
+ * @typedef {object} Bitmap
+ * @property {Uint8Array} data packed rows, most significant bit first, 1 = black dot
+ * @property {number} bytesPerRow bytes in each row, the width rounded up to whole bytes
+ * @property {number} rows number of rows
+ */
+
+/**
+ * Default binarization threshold: a pixel is printed black when red + green + blue is at most
+ * this value (0-765). 384 (128 * 3) rather than 0 so anti-aliased grey edges are not lost.
+ */
+export const DEFAULT_THRESHOLD = 384;
+
+/**
+ * Packs image data into a 1-bit bitmap in a single pass.
+ * Rows whose width is not a multiple of 8 are padded with white dots.
+ *
+ * @param {ImageData|{ width: number, height: number, data: Uint8ClampedArray }} imageData
+ * @param {object} [options]
+ * @param {number} [options.threshold] see {@link DEFAULT_THRESHOLD}
+ * @returns {Bitmap}
+ */
+export const encodeBitmap = (imageData, { threshold = DEFAULT_THRESHOLD } = {}) => {
+	const { width, height, data: pixels } = imageData;
+	const bytesPerRow = Math.ceil(width / 8);
+	const data = new Uint8Array(bytesPerRow * height);
+
+	let pixel = 0; // index into pixels, 4 bytes per pixel
+	let offset = 0; // index into data
+	for (let y = 0; y < height; y++) {
+		let byte = 0;
+		let bit = 0x80;
+		for (let x = 0; x < width; x++) {
+			if (pixels[pixel] + pixels[pixel + 1] + pixels[pixel + 2] <= threshold) byte |= bit;
+			pixel += 4;
+			bit >>= 1;
+			if (bit === 0) {
+				data[offset++] = byte;
+				byte = 0;
+				bit = 0x80;
+			}
+		}
+		// Flush the partially filled last byte of the row
+		if (bit !== 0x80) data[offset++] = byte;
+	}
+
+	return { data, bytesPerRow, rows: height };
+};
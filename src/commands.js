@@ -0,0 +1,70 @@
+/**
+ * Byte sequences understood by Phomemo printers (an ESC/POS dialect).
+ * Which of them a printer needs, and in what order, is described by its model profile.
+ */
+
+/** Lightest and darkest print density accepted by {@link DENSITY_DATA}. */
+export const MIN_DENSITY = 1;
+export const MAX_DENSITY = 15;
+
+/** ESC @, re-initializes the printer and drops anything left of the current job. */
+export const RESET_DATA = new Uint8Array([0x1b, 0x40]);
+
+/**
+ * ESC N 0x04 n, sets the print density (heat of the print head) for the current session.
+ * Adapted from {@link https://github.com/vivier/phomemo-tools}
+ *
+ * @param {number} density from {@link MIN_DENSITY} (lightest) to {@link MAX_DENSITY} (darkest)
+ * @returns {number[]}
+ */
+export const DENSITY_DATA = (density) => [
+	0x1b,
+	0x4e,
+	0x04,
+	Math.max(MIN_DENSITY, Math.min(MAX_DENSITY, Math.round(density))),
+];
+
+/**
+ * GS v 0, announces a raster image of the given size; the rows follow as plain bytes.
+ *
+ * @param {number} bytesPerRow bytes in each row of the image
+ * @param {number} rows number of rows in the image
+ * @returns {number[]}
+ */
+export const RASTER_DATA = (bytesPerRow, rows) => [
+	0x1d,
+	0x76,
+	0x30,
+	0x00,
+	bytesPerRow % 256,
+	Math.floor(bytesPerRow / 256),
+	rows % 256,
+	Math.floor(rows / 256),
+];
+
+/**
+ * Return the header data needed to start the print session.
+ * Adapted from {@link https://github.com/Knightro63/phomemo}
+ *
+ * @param {number} bytesPerRow bytes in each row of the image, 8 dots each. Labels are printed
+ * vertically, so for e.g. a 40mm W x 12mm H label at 8 dots per mm this would be 12.
+ * @param {number} rows number of rows in the image, e.g. 320 for that label
+ * @param {number} [density] print density, the printer's own setting is kept if omitted
+ * @returns {Uint8Array}
+ */
+export const HEADER_DATA = (bytesPerRow, rows, density) =>
+	new Uint8Array([
+		...RESET_DATA,
+		// Must come after ESC @, which resets it
+		...(density ? DENSITY_DATA(density) : []),
+		...RASTER_DATA(bytesPerRow, rows),
+	]);
+
+/**
+ * Data which ends the print session: ESC d n, printing the buffer and feeding n lines.
+ *
+ * @param {number} [feedLines] blank lines to feed after the label
+ * @returns {Uint8Array}
+ */
+export const END_DATA = (feedLines = 0) =>
+	new Uint8Array([0x1b, 0x64, Math.max(0, Math.min(255, Math.round(feedLines)))]);
@@ -0,0 +1,232 @@
+import { DEFAULT_MODEL, detectModel, getAllServiceUuids, getModel } from "./models.js";
+import { applyStatusUpdates, createStatus, decodeStatus } from "./status.js";
+
+/** localStorage key remembering the last device we printed to. */
+const LAST_DEVICE_KEY = "phomemo.lastDeviceId";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Shows the browser's device chooser, offering access to the services of every known model.
+ * @returns {Promise<BluetoothDevice>}
+ */
+export const requestPrinterDevice = () =>
+	navigator.bluetooth.requestDevice({
+		acceptAllDevices: true,
+		optionalServices: getAllServiceUuids(),
+	});
+
+/**
+ * Keeps a single Bluetooth connection to the printer open between prints.
+ *
+ * The device chooser is only shown the first time; afterwards the cached characteristic is
+ * reused, and a dropped link is re-established automatically. Dispatches a `statechange` event
+ * whenever {@link PrinterConnection#state} changes, and a `status` event for every status
+ * notification the printer sends.
+ */
+export class PrinterConnection extends EventTarget {
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.reconnectAttempts] how often to retry after an unexpected disconnect
+	 * before giving up
+	 * @param {number} [options.reconnectDelayMs] wait before the first retry; each further retry
+	 * waits that much longer
+	 * @param {boolean} [options.rememberDevice] remember the device for {@link PrinterConnection#restore}
+	 */
+	constructor({ reconnectAttempts = 3, reconnectDelayMs = 1000, rememberDevice = true } = {}) {
+		super();
+		this.reconnectAttempts = reconnectAttempts;
+		this.reconnectDelayMs = reconnectDelayMs;
+		this.rememberDevice = rememberDevice;
+		/** @type {"disconnected"|"connecting"|"connected"} */
+		this.state = "disconnected";
+		/** @type {BluetoothDevice|null} */
+		this.device = null;
+		/** @type {BluetoothRemoteGATTCharacteristic|null} */
+		this.characteristic = null;
+		/** "auto" to detect the model from the device name, or a key of `PRINTER_MODELS` */
+		this.modelId = "auto";
+		/** @type {import("./models.js").PrinterModel|null} model matching the connected device name */
+		this.detectedModel = null;
+		/** @type {import("./status.js").PrinterStatus} */
+		this.status = createStatus();
+		this.manualDisconnect = false;
+		/** @type {Promise<BluetoothRemoteGATTCharacteristic>|null} connection attempt in progress */
+		this.opening = null;
+		this.handleDisconnected = this.handleDisconnected.bind(this);
+		this.handleNotification = this.handleNotification.bind(this);
+	}
+
+	/** @returns {boolean} true if a characteristic is ready to be written to */
+	get connected() {
+		return this.state === "connected" && this.characteristic !== null;
+	}
+
+	/**
+	 * The model print jobs are formatted for: the selected one, else the detected one.
+	 * @returns {import("./models.js").PrinterModel}
+	 */
+	get model() {
+		if (this.modelId !== "auto") return getModel(this.modelId);
+		return this.detectedModel || DEFAULT_MODEL;
+	}
+
+	/**
+	 * @param {"disconnected"|"connecting"|"connected"} state
+	 */
+	setState(state) {
+		if (this.state === state) return;
+		this.state = state;
+		this.dispatchEvent(new CustomEvent("statechange", { detail: { state, device: this.device } }));
+	}
+
+	/**
+	 * Shows the device chooser and connects to the selected printer.
+	 * @returns {Promise<BluetoothRemoteGATTCharacteristic>}
+	 */
+	async connect() {
+		const device = await requestPrinterDevice();
+		return this.open(device);
+	}
+
+	/**
+	 * Reconnects to a device granted in an earlier session, without showing the chooser.
+	 * Only possible in browsers implementing `navigator.bluetooth.getDevices()`.
+	 * @returns {Promise<BluetoothRemoteGATTCharacteristic|null>} null if no known device was reachable
+	 */
+	async restore() {
+		if (!navigator.bluetooth?.getDevices) return null;
+
+		const lastId = localStorage.getItem(LAST_DEVICE_KEY);
+		const devices = await navigator.bluetooth.getDevices();
+		const device = devices.find((d) => d.id === lastId);
+		if (!device) return null;
+
+		try {
+			return await this.open(device);
+		} catch (err) {
+			console.warn("Could not reconnect to previous printer:", err);
+			return null;
+		}
+	}
+
+	/**
+	 * Returns the write characteristic, connecting first if needed.
+	 * @returns {Promise<BluetoothRemoteGATTCharacteristic>}
+	 */
+	async getCharacteristic() {
+		if (this.connected) return this.characteristic;
+		if (this.device) {
+			try {
+				return await this.open(this.device);
+			} catch (err) {
+				console.warn("Reconnect failed, asking for a device:", err);
+			}
+		}
+		return this.connect();
+	}
+
+	/**
+	 * Connects to the device. Concurrent calls for the same device, e.g. from the automatic
+	 * reconnect and a print job, share a single attempt.
+	 * @param {BluetoothDevice} device
+	 * @returns {Promise<BluetoothRemoteGATTCharacteristic>}
+	 */
+	open(device) {
+		if (this.opening && this.device === device) return this.opening;
+		this.opening = this.openDevice(device).finally(() => {
+			this.opening = null;
+		});
+		return this.opening;
+	}
+
+	/**
+	 * @param {BluetoothDevice} device
+	 * @returns {Promise<BluetoothRemoteGATTCharacteristic>}
+	 */
+	async openDevice(device) {
+		if (this.device && this.device !== device) {
+			this.device.removeEventListener("gattserverdisconnected", this.handleDisconnected);
+		}
+		this.device = device;
+		this.manualDisconnect = false;
+		device.addEventListener("gattserverdisconnected", this.handleDisconnected);
+
+		this.detectedModel = detectModel(device.name);
+		const { serviceUuid, writeCharacteristicUuid } = this.model;
+
+		this.setState("connecting");
+		try {
+			const server = await device.gatt.connect();
+			const service = await server.getPrimaryService(serviceUuid);
+			this.characteristic = await service.getCharacteristic(writeCharacteristicUuid);
+			await this.subscribeStatus(service);
+		} catch (err) {
+			this.characteristic = null;
+			this.setState("disconnected");
+			throw err;
+		}
+
+		if (this.rememberDevice) localStorage.setItem(LAST_DEVICE_KEY, device.id);
+		this.setState("connected");
+		return this.characteristic;
+	}
+
+	/**
+	 * Starts notifications on every notify characteristic of the service, so status frames are
+	 * received regardless of which one a given firmware uses.
+	 * @param {BluetoothRemoteGATTService} service
+	 */
+	async subscribeStatus(service) {
+		this.status = createStatus();
+		const characteristics = await service.getCharacteristics();
+		for (const characteristic of characteristics) {
+			if (!characteristic.properties.notify) continue;
+			characteristic.addEventListener("characteristicvaluechanged", this.handleNotification);
+			try {
+				await characteristic.startNotifications();
+			} catch (err) {
+				console.warn(`Could not subscribe to ${characteristic.uuid}:`, err);
+			}
+		}
+	}
+
+	/**
+	 * @param {Event} e characteristicvaluechanged event
+	 */
+	handleNotification(e) {
+		const updates = decodeStatus(e.target.value);
+		if (updates.length === 0) return;
+
+		this.status = applyStatusUpdates(this.status, updates);
+		this.dispatchEvent(new CustomEvent("status", { detail: { status: this.status, updates } }));
+	}
+
+	/** Closes the connection; no automatic reconnect is attempted afterwards. */
+	disconnect() {
+		this.manualDisconnect = true;
+		this.characteristic = null;
+		if (this.device?.gatt.connected) {
+			this.device.gatt.disconnect();
+		}
+		this.setState("disconnected");
+	}
+
+	async handleDisconnected() {
+		this.characteristic = null;
+		this.setState("disconnected");
+		if (this.manualDisconnect) return;
+
+		for (let attempt = 1; attempt <= this.reconnectAttempts; attempt++) {
+			await sleep(this.reconnectDelayMs * attempt);
+			// The user may have connected (or disconnected) in the meantime
+			if (this.manualDisconnect || this.state !== "disconnected") return;
+			try {
+				await this.open(this.device);
+				return;
+			} catch (err) {
+				console.warn(`Reconnect attempt ${attempt}/${this.reconnectAttempts} failed:`, err);
+			}
+		}
+	}
+}
@@ -0,0 +1,245 @@
+/**
+ * Elements placed freely on a label: text, images, QR codes and barcodes, and shapes, each in a
+ * box of its own. `drawLabel` draws them in the order of `design.elements`, so later elements
+ * cover earlier ones.
+ *
+ * Boxes are in mm, measured from the top left corner of the label as it reads, before it is
+ * turned for the print head. An element turns by `rotation` degrees clockwise about the centre
+ * of its box.
+ */
+
+/**
+ * @typedef {object} LabelElement
+ * @property {string} id unique within the design
+ * @property {"text"|"image"|"code"|"shape"} type
+ * @property {number} x left edge in mm
+ * @property {number} y top edge in mm
+ * @property {number} width in mm
+ * @property {number} height in mm
+ * @property {number} rotation in degrees, clockwise
+ * @property {string} [text] text elements: the text, wrapped to the box
+ * @property {number} [fontSize] in pixels
+ * @property {string} [fontFamily] a CSS font family
+ * @property {string} [fontWeight] a CSS font weight
+ * @property {"left"|"center"|"right"} [textAlign]
+ * @property {string} [src] image elements: URL of the image, e.g. a data: URL; it is dithered
+ * with the design's image settings and fitted into the box
+ * @property {"qr"|"barcode"} [codeType] code elements
+ * @property {string} [codeData]
+ * @property {"L"|"M"|"Q"|"H"} [qrErrorCorrection]
+ * @property {string} [barcodeFormat] a JsBarcode format
+ * @property {"rect"|"ellipse"|"line"} [shape] shape elements; a line runs across the middle of
+ * its box
+ * @property {boolean} [fill] filled rather than outlined
+ * @property {number} [strokeWidth] in pixels
+ */
+
+/** Settings of new elements, by type */
+export const ELEMENT_DEFAULTS = Object.freeze({
+	text: {
+		text: "Text",
+		fontSize: 24,
+		fontFamily: "Arial, sans-serif",
+		fontWeight: "normal",
+		textAlign: "center",
+	},
+	image: { src: "" },
+	code: { codeType: "qr", codeData: "", qrErrorCorrection: "M", barcodeFormat: "CODE128" },
+	shape: { shape: "rect", fill: false, strokeWidth: 2 },
+});
+
+/** Smallest box an element can be resized to, in mm */
+const MIN_SIZE = 1;
+
+/**
+ * Resize handles, as directions from the centre of a box: `[1, 1]` is its bottom right corner,
+ * `[0, -1]` the middle of its top edge.
+ * @type {Array<[number, number]>}
+ */
+export const RESIZE_HANDLES = [
+	[-1, -1],
+	[0, -1],
+	[1, -1],
+	[1, 0],
+	[1, 1],
+	[0, 1],
+	[-1, 1],
+	[-1, 0],
+];
+
+/**
+ * @param {{ x: number, y: number }} vector
+ * @param {number} degrees clockwise, as on a canvas
+ * @returns {{ x: number, y: number }}
+ */
+const rotateVector = ({ x, y }, degrees) => {
+	const radians = (degrees * Math.PI) / 180;
+	const cos = Math.cos(radians);
+	const sin = Math.sin(radians);
+	return { x: x * cos - y * sin, y: x * sin + y * cos };
+};
+
+/**
+ * Creates an element in the middle of the label.
+ * @param {"text"|"image"|"code"|"shape"} type
+ * @param {{ width: number, height: number }} label size in mm
+ * @param {Partial<LabelElement>} [settings] e.g. `{ codeType: "barcode" }` or an image's `src`
+ * @param {number} [aspectRatio] width / height of the content, e.g. of an image
+ * @returns {LabelElement}
+ */
+export const createElement = (type, label, settings = {}, aspectRatio) => {
+	let width = label.width * 0.5;
+	let height = label.height * 0.5;
+	if (type === "image" || (type === "code" && settings.codeType !== "barcode")) {
+		aspectRatio ??= 1; // QR codes are square
+		height = label.height * 0.8;
+		width = Math.min(height * aspectRatio, label.width * 0.8);
+		height = width / aspectRatio;
+	} else if (type === "shape" && settings.shape === "line") {
+		height = MIN_SIZE;
+	}
+	return {
+		...ELEMENT_DEFAULTS[type],
+		...settings,
+		id: `${type}-${Math.random().toString(36).slice(2, 10)}`,
+		type,
+		x: (label.width - width) / 2,
+		y: (label.height - height) / 2,
+		width,
+		height,
+		rotation: 0,
+	};
+};
+
+/**
+ * @param {LabelElement} element
+ * @returns {{ x: number, y: number }} the centre of its box, in mm
+ */
+export const getElementCenter = ({ x, y, width, height }) => ({
+	x: x + width / 2,
+	y: y + height / 2,
+});
+
+/**
+ * A point on an element's box, turned with it.
+ * @param {LabelElement} element
+ * @param {[number, number]} direction from the centre, as in {@link RESIZE_HANDLES}; `[0, 0]` is
+ * the centre
+ * @returns {{ x: number, y: number }} in mm on the label
+ */
+export const getElementPoint = (element, [dx, dy]) => {
+	const center = getElementCenter(element);
+	const offset = rotateVector(
+		{ x: (dx * element.width) / 2, y: (dy * element.height) / 2 },
+		element.rotation
+	);
+	return { x: center.x + offset.x, y: center.y + offset.y };
+};
+
+/**
+ * @param {LabelElement} element
+ * @param {{ x: number, y: number }} point in mm on the label
+ * @returns {{ x: number, y: number }} the point relative to the element's centre, along its edges
+ */
+const toElementFrame = (element, point) => {
+	const center = getElementCenter(element);
+	return rotateVector({ x: point.x - center.x, y: point.y - center.y }, -element.rotation);
+};
+
+/**
+ * @param {LabelElement[]} elements
+ * @param {{ x: number, y: number }} point in mm on the label
+ * @returns {LabelElement|null} the topmost element whose box holds the point
+ */
+export const findElementAt = (elements, point) => {
+	for (let i = elements.length - 1; i >= 0; i--) {
+		const { x, y } = toElementFrame(elements[i], point);
+		if (Math.abs(x) <= elements[i].width / 2 && Math.abs(y) <= elements[i].height / 2) {
+			return elements[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * @param {LabelElement} element
+ * @param {number} dx in mm
+ * @param {number} dy in mm
+ * @returns {LabelElement} a moved copy
+ */
+export const moveElement = (element, dx, dy) => ({
+	...element,
+	x: element.x + dx,
+	y: element.y + dy,
+});
+
+/**
+ * Drags one of an element's resize handles to a point; the opposite edges stay where they are.
+ * @param {LabelElement} element
+ * @param {[number, number]} handle one of {@link RESIZE_HANDLES}
+ * @param {{ x: number, y: number }} point in mm on the label
+ * @returns {LabelElement} a resized copy
+ */
+export const resizeElement = (element, [hx, hy], point) => {
+	const target = toElementFrame(element, point);
+	let [left, right] = [-element.width / 2, element.width / 2];
+	let [top, bottom] = [-element.height / 2, element.height / 2];
+	if (hx < 0) left = Math.min(target.x, right - MIN_SIZE);
+	if (hx > 0) right = Math.max(target.x, left + MIN_SIZE);
+	if (hy < 0) top = Math.min(target.y, bottom - MIN_SIZE);
+	if (hy > 0) bottom = Math.max(target.y, top + MIN_SIZE);
+
+	const width = right - left;
+	const height = bottom - top;
+	const center = getElementCenter(element);
+	const shift = rotateVector({ x: (left + right) / 2, y: (top + bottom) / 2 }, element.rotation);
+	return {
+		...element,
+		x: center.x + shift.x - width / 2,
+		y: center.y + shift.y - height / 2,
+		width,
+		height,
+	};
+};
+
+/**
+ * Turns an element so the middle of its top edge points at a point.
+ * @param {LabelElement} element
+ * @param {{ x: number, y: number }} point in mm on the label
+ * @param {number} [step] rounds the rotation to multiples of this many degrees
+ * @returns {LabelElement} a rotated copy
+ */
+export const rotateElement = (element, point, step = 0) => {
+	const center = getElementCenter(element);
+	let rotation = (Math.atan2(point.y - center.y, point.x - center.x) * 180) / Math.PI + 90;
+	if (step) rotation = Math.round(rotation / step) * step;
+	return { ...element, rotation: ((rotation % 360) + 360) % 360 };
+};
+
+/**
+ * Converts a point on the label to canvas pixels, for a canvas `drawLabel` drew the label on,
+ * turned for the print head: the label's top edge runs down the canvas's right edge.
+ * @param {{ x: number, y: number }} point in mm on the label
+ * @param {{ width: number, height: number }} canvas
+ * @param {{ width: number, offsetX?: number, offsetY?: number }} design
+ * @returns {{ x: number, y: number }}
+ */
+export const labelToCanvas = (point, canvas, { width, offsetX = 0, offsetY = 0 }) => {
+	const dotsPerMm = canvas.height / width;
+	return { x: canvas.width - point.y * dotsPerMm - offsetY, y: point.x * dotsPerMm + offsetX };
+};
+
+/**
+ * The inverse of {@link labelToCanvas}.
+ * @param {{ x: number, y: number }} point in canvas pixels
+ * @param {{ width: number, height: number }} canvas
+ * @param {{ width: number, offsetX?: number, offsetY?: number }} design
+ * @returns {{ x: number, y: number }} in mm on the label
+ */
+export const canvasToLabel = (point, canvas, { width, offsetX = 0, offsetY = 0 }) => {
+	const dotsPerMm = canvas.height / width;
+	return {
+		x: (point.y - offsetX) / dotsPerMm,
+		y: (canvas.width - point.x - offsetY) / dotsPerMm,
+	};
+};
@@ -0,0 +1,172 @@
+import { parseRemoteJob, trackJob } from "./remote-jobs.js";
+
+/**
+ * The page side of the embedding API: another web app that opens a UI in an iframe or popup
+ * sends it jobs with `postMessage`, using the client in `phomemo-embed.js`.
+ *
+ * Messages from the embedding app, all carrying an `id` of its choosing:
+ *
+ *     { type: "phomemo:ping" }
+ *     { type: "phomemo:preview", id, design | png }
+ *     { type: "phomemo:print", id, name, copies, design | png }
+ *
+ * `design` and `png` are as in `src/remote-jobs.js`; `png` may also be a Blob. The UI answers
+ * with `{ type: "phomemo:ready" }` when it has loaded and on every ping,
+ * `{ type: "phomemo:preview", id, image }` with a PNG data URL of the label as it reads, and
+ * `{ type: "phomemo:status", id, status, error? }` as a print job progresses, or when a request
+ * failed.
+ */
+
+/** localStorage key of the origins the user allowed to print */
+const ALLOWED_ORIGINS_KEY = "phomemo.embedOrigins";
+
+/** @returns {string[]} */
+const readAllowedOrigins = () => {
+	try {
+		return JSON.parse(localStorage.getItem(ALLOWED_ORIGINS_KEY)) || [];
+	} catch {
+		return [];
+	}
+};
+
+/**
+ * Turns a label canvas, drawn rotated for the print head, the right way up.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {string} a PNG data URL
+ */
+const toPreviewImage = (canvas) => {
+	const preview = document.createElement("canvas");
+	preview.width = canvas.height;
+	preview.height = canvas.width;
+	const ctx = preview.getContext("2d");
+	ctx.translate(0, preview.height);
+	ctx.rotate(-Math.PI / 2);
+	ctx.drawImage(canvas, 0, 0);
+	return preview.toDataURL("image/png");
+};
+
+/**
+ * Takes requests from the app embedding this page, i.e. the window that opened it or the page
+ * holding its iframe. Messages from any other window are ignored.
+ *
+ * Dispatches `preview` and `job` (detail: `{ job }`, a `RemoteJob`) for valid requests. Before
+ * the first job from an origin, `confirmPrint` asks the user whether it may print.
+ */
+export class EmbedListener extends EventTarget {
+	/**
+	 * @param {object} [options]
+	 * @param {(origin: string) => boolean|Promise<boolean>} [options.confirmPrint] asks whether an
+	 * origin may print; without it no origin may
+	 */
+	constructor({ confirmPrint = () => false } = {}) {
+		super();
+		this.confirmPrint = confirmPrint;
+		/** @type {Window|null} */
+		this.embedder = window.opener || (window.parent !== window ? window.parent : null);
+		/** @type {Map<string, { source: Window, origin: string }>} where to answer each request */
+		this.requests = new Map();
+		this.handleMessage = this.handleMessage.bind(this);
+	}
+
+	/** @returns {boolean} true if the page was opened by, or is embedded in, another page */
+	get embedded() {
+		return this.embedder !== null;
+	}
+
+	/** Starts taking requests and tells the embedding app this page is ready. */
+	start() {
+		if (!this.embedded) return;
+		window.addEventListener("message", this.handleMessage);
+		this.embedder.postMessage({ type: "phomemo:ready" }, "*");
+	}
+
+	stop() {
+		window.removeEventListener("message", this.handleMessage);
+	}
+
+	/**
+	 * @param {MessageEvent} event
+	 */
+	async handleMessage(event) {
+		const { data, source, origin } = event;
+		if (source !== this.embedder || typeof data?.type !== "string") return;
+		if (data.type === "phomemo:ping") {
+			source.postMessage({ type: "phomemo:ready" }, origin);
+			return;
+		}
+		if (data.type !== "phomemo:preview" && data.type !== "phomemo:print") return;
+		if (typeof data.id !== "string") return;
+		this.requests.set(data.id, { source, origin });
+
+		let job;
+		try {
+			job = parseRemoteJob(data);
+		} catch (err) {
+			this.report(data.id, "failed", err.message);
+			return;
+		}
+		if (data.type === "phomemo:preview") {
+			this.dispatchEvent(new CustomEvent("preview", { detail: { job } }));
+			return;
+		}
+
+		if (!(await this.isAllowed(origin))) {
+			this.report(job.id, "failed", "Printing was not allowed");
+			return;
+		}
+		this.dispatchEvent(new CustomEvent("job", { detail: { job } }));
+	}
+
+	/**
+	 * @param {string} origin
+	 * @returns {Promise<boolean>} true if the origin may print, asking the user the first time
+	 */
+	async isAllowed(origin) {
+		const allowed = readAllowedOrigins();
+		if (allowed.includes(origin)) return true;
+		if (!(await this.confirmPrint(origin))) return false;
+		localStorage.setItem(ALLOWED_ORIGINS_KEY, JSON.stringify([...allowed, origin]));
+		return true;
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {object} message
+	 */
+	reply(id, message) {
+		const request = this.requests.get(id);
+		if (!request) return;
+		request.source.postMessage({ ...message, id }, request.origin);
+	}
+
+	/**
+	 * Sends the preview of a label.
+	 * @param {string} id
+	 * @param {HTMLCanvasElement} canvas the label as it is printed
+	 */
+	sendPreview(id, canvas) {
+		this.reply(id, { type: "phomemo:preview", image: toPreviewImage(canvas) });
+		this.requests.delete(id);
+	}
+
+	/**
+	 * Sends a request's status to the embedding app.
+	 * @param {string} id
+	 * @param {string} status
+	 * @param {string} [error] why the request failed
+	 */
+	report(id, status, error) {
+		this.reply(id, { type: "phomemo:status", status, ...(error && { error }) });
+		if (["done", "failed", "cancelled"].includes(status)) this.requests.delete(id);
+	}
+
+	/**
+	 * Reports the status of a queued job until it is finished or removed from the queue.
+	 * @param {string} id the request's id
+	 * @param {import("./queue.js").PrintQueue} queue
+	 * @param {import("./queue.js").PrintJob} job the job queued for it
+	 */
+	track(id, queue, job) {
+		trackJob(queue, job, (status, error) => this.report(id, status, error));
+	}
+}
@@ -0,0 +1,174 @@
+/**
+ * Mail merge: placeholders such as `{{name}}` in a label's text and code data, filled in from the
+ * rows of a table to make one label per row.
+ *
+ * Tables are CSV with a header row naming the fields; values may be separated by commas,
+ * semicolons or tabs, as pasted from a spreadsheet. JSON tables are arrays of objects.
+ */
+
+/** `{{ field }}`, with the field's name in the first group */
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * @typedef {object} MergeTable
+ * @property {string[]} fields the column names, in order
+ * @property {Array<Record<string, string>>} rows
+ */
+
+/**
+ * @param {string} text
+ * @returns {string[]} the names of the fields in its placeholders, each once
+ */
+export const findPlaceholders = (text) => [
+	...new Set([...text.matchAll(PLACEHOLDER)].map(([, name]) => name)),
+];
+
+/**
+ * @param {string} text
+ * @param {Record<string, string>} row
+ * @returns {string} the text with the row's values in its placeholders; placeholders of fields
+ * the row lacks stay, so they show on the label
+ */
+export const fillPlaceholders = (text, row) =>
+	text.replace(PLACEHOLDER, (placeholder, name) =>
+		Object.hasOwn(row, name) ? row[name] : placeholder
+	);
+
+/**
+ * @param {import("./render.js").LabelDesign} design
+ * @returns {string[]} the fields of all placeholders in the design's text and code data,
+ * including those of its elements
+ */
+export const findDesignPlaceholders = (design) => {
+	const texts = [design.text ?? "", design.codeData ?? ""];
+	for (const element of design.elements ?? []) {
+		texts.push(element.text ?? "", element.codeData ?? "");
+	}
+	return findPlaceholders(texts.join("\n"));
+};
+
+/**
+ * @param {import("./render.js").LabelDesign} design
+ * @param {Record<string, string>} row
+ * @returns {import("./render.js").LabelDesign} a copy of the design filled in from the row
+ */
+export const mergeDesign = (design, row) => {
+	const merged = { ...design };
+	if (typeof design.text === "string") merged.text = fillPlaceholders(design.text, row);
+	if (typeof design.codeData === "string") {
+		merged.codeData = fillPlaceholders(design.codeData, row);
+	}
+	if (design.elements) {
+		merged.elements = design.elements.map((element) => {
+			const copy = { ...element };
+			if (typeof element.text === "string") copy.text = fillPlaceholders(element.text, row);
+			if (typeof element.codeData === "string") {
+				copy.codeData = fillPlaceholders(element.codeData, row);
+			}
+			return copy;
+		});
+	}
+	return merged;
+};
+
+/**
+ * @param {string} line the header line
+ * @returns {string} the separator it uses most: tab, semicolon or comma
+ */
+const detectSeparator = (line) => {
+	const counts = ["\t", ";", ","].map((separator) => [separator, line.split(separator).length]);
+	counts.sort((a, b) => b[1] - a[1]);
+	return counts[0][1] > 1 ? counts[0][0] : ",";
+};
+
+/**
+ * Splits CSV into cells. Quoted cells may hold separators, line breaks and doubled quotes.
+ * @param {string} text
+ * @param {string} separator
+ * @returns {string[][]} the lines, without empty ones
+ */
+const parseCsvLines = (text, separator) => {
+	const lines = [];
+	let line = [];
+	let cell = "";
+	let quoted = false;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char !== '"') cell += char;
+			else if (text[i + 1] === '"') cell += text[++i];
+			else quoted = false;
+		} else if (char === '"' && cell === "") {
+			quoted = true;
+		} else if (char === separator) {
+			line.push(cell);
+			cell = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			line.push(cell);
+			lines.push(line);
+			line = [];
+			cell = "";
+		} else {
+			cell += char;
+		}
+	}
+	if (quoted) throw new Error("A quoted value in the CSV is not closed");
+	line.push(cell);
+	lines.push(line);
+	return lines.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+/**
+ * @param {string} text CSV with a header row
+ * @returns {MergeTable}
+ */
+export const parseCsv = (text) => {
+	const separator = detectSeparator(text.trimStart().split(/\r?\n/, 1)[0]);
+	const [header = [], ...lines] = parseCsvLines(text, separator);
+	const fields = header.map((name, i) => name.trim() || `column${i + 1}`);
+	const rows = lines.map((cells) =>
+		Object.fromEntries(fields.map((field, i) => [field, cells[i] ?? ""]))
+	);
+	return { fields, rows };
+};
+
+/**
+ * @param {any} value a JSON value
+ * @returns {string} the value as it appears on a label
+ */
+const toCellText = (value) => {
+	if (value === null || value === undefined) return "";
+	return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * @param {string} text a JSON array of objects
+ * @returns {MergeTable} with the fields of all objects, in the order they first appear
+ */
+export const parseJsonTable = (text) => {
+	const data = JSON.parse(text);
+	if (
+		!Array.isArray(data) ||
+		!data.every((row) => typeof row === "object" && row !== null && !Array.isArray(row))
+	) {
+		throw new Error("JSON data must be an array of objects");
+	}
+	const fields = [...new Set(data.flatMap((row) => Object.keys(row)))];
+	const rows = data.map((row) =>
+		Object.fromEntries(fields.map((field) => [field, toCellText(row[field])]))
+	);
+	return { fields, rows };
+};
+
+/**
+ * Reads a table as JSON if it looks like JSON, else as CSV.
+ * @param {string} text
+ * @returns {MergeTable}
+ * @throws {Error} if it holds no rows
+ */
+export const parseMergeTable = (text) => {
+	const table = text.trimStart().startsWith("[") ? parseJsonTable(text) : parseCsv(text);
+	if (!table.rows.length) throw new Error("The data holds no rows below its header");
+	return table;
+};
@@ -0,0 +1,390 @@
+import { encodeBitmap } from "./bitmap.js";
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const US = 0x1f;
+
+/**
+ * @typedef {object} DecodedJob
+ * @property {number} bytesPerRow
+ * @property {number} rows rows announced by the GS v 0 header
+ * @property {Uint8Array} data raster bytes received so far
+ * @property {number|null} density set by ESC N 0x04 before the raster, null if not sent
+ * @property {number} feedLines from the ESC d following the raster
+ * @property {boolean} complete true once every announced row was received
+ */
+
+/**
+ * Length of the command starting at `bytes[i]`, or 0 if more bytes are needed to tell.
+ * Unknown bytes are skipped one at a time.
+ * @param {Uint8Array} bytes
+ * @param {number} i
+ * @returns {number}
+ */
+const commandLength = (bytes, i) => {
+	const remaining = bytes.length - i;
+	const need = (n) => (remaining >= n ? n : 0);
+	if (bytes[i] === ESC) {
+		if (remaining < 2) return 0;
+		switch (bytes[i + 1]) {
+			case 0x40: // ESC @
+				return 2;
+			case 0x4e: // ESC N sub n
+				return need(4);
+			case 0x61: // ESC a n
+			case 0x64: // ESC d n
+				return need(3);
+		}
+		return 1;
+	}
+	if (bytes[i] === GS) return need(8); // GS v 0 m xL xH yL yH
+	if (bytes[i] === US) {
+		if (remaining < 2) return 0;
+		return bytes[i + 1] === 0xf0 ? need(4) : need(3); // US 0xf0 a b, US 0x11 n
+	}
+	return 1;
+};
+
+/**
+ * A stand-in for the printer's write characteristic. It records everything `printCanvas` writes
+ * and decodes the stream back into bitmaps, so labels can be checked without a printer.
+ *
+ * Dispatches a `job` event (detail: `{ job }`) whenever the last row of a raster image arrives.
+ */
+export class MockPrinter extends EventTarget {
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.latencyMs] simulated time a write with response takes (a round trip)
+	 * @param {number} [options.packetTimeMs] simulated time a write without response takes
+	 * @param {number} [options.maxPacketSize] longer writes are rejected, like packets exceeding
+	 * the MTU
+	 * @param {number} [options.bufferPackets] writes without response the printer can buffer before
+	 * it needs an acknowledged write; further ones are rejected
+	 */
+	constructor({
+		latencyMs = 0,
+		packetTimeMs = 0,
+		maxPacketSize = Infinity,
+		bufferPackets = Infinity,
+	} = {}) {
+		super();
+		this.latencyMs = latencyMs;
+		this.packetTimeMs = packetTimeMs;
+		this.maxPacketSize = maxPacketSize;
+		this.bufferPackets = bufferPackets;
+		this.unacknowledged = 0;
+		/** false after {@link MockPrinter#disconnect}; writes fail until it connects again */
+		this.connected = true;
+		this.uuid = "0000ff02-0000-1000-8000-00805f9b34fb";
+		this.properties = { write: true, writeWithoutResponse: true, notify: false };
+		/** @type {Uint8Array[]} every write, in order */
+		this.writes = [];
+		/** @type {DecodedJob[]} */
+		this.jobs = [];
+		this.pending = new Uint8Array(0);
+		/** @type {DecodedJob|null} raster image currently being received */
+		this.receiving = null;
+		this.receivedBytes = 0;
+		this.density = null;
+		this.unknownBytes = 0;
+	}
+
+	/** Forgets all writes and decoded jobs. */
+	reset() {
+		this.writes = [];
+		this.jobs = [];
+		this.pending = new Uint8Array(0);
+		this.receiving = null;
+		this.density = null;
+		this.unknownBytes = 0;
+		this.unacknowledged = 0;
+	}
+
+	/**
+	 * Simulates the Bluetooth link dropping: a partially received image is abandoned, the way the
+	 * printer drops its session, and writes fail until {@link MockPrinter#connect} is called.
+	 */
+	disconnect() {
+		this.connected = false;
+		this.unacknowledged = 0;
+		this.pending = new Uint8Array(0);
+		this.receiving = null;
+		this.density = null;
+	}
+
+	/** Re-establishes the link after {@link MockPrinter#disconnect}; the next write starts afresh. */
+	connect() {
+		this.connected = true;
+	}
+
+	/**
+	 * @param {BufferSource} value
+	 * @returns {Promise<void>}
+	 */
+	writeValueWithResponse(value) {
+		return this.receive(value, true);
+	}
+
+	/**
+	 * @param {BufferSource} value
+	 * @returns {Promise<void>}
+	 */
+	writeValueWithoutResponse(value) {
+		return this.receive(value, false);
+	}
+
+	writeValue(value) {
+		return this.writeValueWithResponse(value);
+	}
+
+	/**
+	 * @param {BufferSource} value
+	 * @param {boolean} acknowledged
+	 */
+	async receive(value, acknowledged) {
+		const bytes = ArrayBuffer.isView(value)
+			? new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice()
+			: new Uint8Array(value).slice();
+		if (!this.connected) {
+			throw new DOMException("GATT Server is disconnected.", "NetworkError");
+		}
+		if (bytes.length > this.maxPacketSize) {
+			throw new DOMException("GATT operation failed: value too long", "NotSupportedError");
+		}
+		if (!acknowledged && this.unacknowledged >= this.bufferPackets) {
+			throw new DOMException("GATT operation failed: printer buffer full", "NetworkError");
+		}
+		this.unacknowledged = acknowledged ? 0 : this.unacknowledged + 1;
+
+		this.writes.push(bytes);
+		const ms = acknowledged ? this.latencyMs : this.packetTimeMs;
+		if (ms > 0) {
+			await new Promise((resolve) => setTimeout(resolve, ms));
+		}
+		this.consume(bytes);
+	}
+
+	/** @returns {Uint8Array} everything written so far as one stream */
+	getStream() {
+		const stream = new Uint8Array(this.writes.reduce((sum, w) => sum + w.length, 0));
+		let offset = 0;
+		for (const write of this.writes) {
+			stream.set(write, offset);
+			offset += write.length;
+		}
+		return stream;
+	}
+
+	/**
+	 * Feeds bytes to the decoder, the way the printer would interpret them.
+	 * @param {Uint8Array} bytes
+	 */
+	consume(bytes) {
+		const buffer = new Uint8Array(this.pending.length + bytes.length);
+		buffer.set(this.pending);
+		buffer.set(bytes, this.pending.length);
+
+		let i = 0;
+		while (i < buffer.length) {
+			// While a raster image is announced, every byte is pixel data
+			if (this.receiving) {
+				const job = this.receiving;
+				const take = Math.min(job.data.length - this.receivedBytes, buffer.length - i);
+				job.data.set(buffer.subarray(i, i + take), this.receivedBytes);
+				this.receivedBytes += take;
+				i += take;
+				if (this.receivedBytes === job.data.length) {
+					job.complete = true;
+					this.receiving = null;
+					this.dispatchEvent(new CustomEvent("job", { detail: { job } }));
+				}
+				continue;
+			}
+
+			const length = commandLength(buffer, i);
+			if (length === 0) break;
+			this.execute(buffer.subarray(i, i + length));
+			i += length;
+		}
+
+		this.pending = buffer.slice(i);
+	}
+
+	/**
+	 * @param {Uint8Array} command a complete command as delimited by {@link commandLength}
+	 */
+	execute(command) {
+		const [first, second] = command;
+		if (first === ESC && second === 0x40) {
+			this.density = null;
+		} else if (first === ESC && second === 0x4e && command[2] === 0x04) {
+			this.density = command[3];
+		} else if (first === ESC && second === 0x64) {
+			const last = this.jobs[this.jobs.length - 1];
+			if (last) last.feedLines += command[2];
+		} else if (first === GS && second === 0x76 && command[2] === 0x30) {
+			const bytesPerRow = command[4] + command[5] * 256;
+			const rows = command[6] + command[7] * 256;
+			const job = {
+				bytesPerRow,
+				rows,
+				data: new Uint8Array(bytesPerRow * rows),
+				density: this.density,
+				feedLines: 0,
+				complete: bytesPerRow * rows === 0,
+			};
+			this.jobs.push(job);
+			this.receivedBytes = 0;
+			if (job.complete) {
+				this.dispatchEvent(new CustomEvent("job", { detail: { job } }));
+			} else {
+				this.receiving = job;
+			}
+		} else if (command.length === 1) {
+			this.unknownBytes++;
+		}
+	}
+
+	/**
+	 * Renders a decoded job as black and white RGBA pixels.
+	 * @param {DecodedJob} [job] defaults to the last job
+	 * @returns {ImageData|{ width: number, height: number, data: Uint8ClampedArray }}
+	 */
+	toImageData(job = this.jobs[this.jobs.length - 1]) {
+		const width = job.bytesPerRow * 8;
+		const pixels = new Uint8ClampedArray(width * job.rows * 4);
+		for (let i = 0; i < width * job.rows; i++) {
+			const byte = job.data[Math.floor(i / width) * job.bytesPerRow + Math.floor((i % width) / 8)];
+			const black = byte & (0x80 >> i % 8);
+			pixels.fill(black ? 0 : 255, i * 4, i * 4 + 3);
+			pixels[i * 4 + 3] = 255;
+		}
+		return typeof ImageData === "undefined"
+			? { width, height: job.rows, data: pixels }
+			: new ImageData(pixels, width, job.rows);
+	}
+
+	/**
+	 * Renders a decoded job as a PNG. Needs `OffscreenCanvas` (browsers and workers).
+	 * @param {DecodedJob} [job] defaults to the last job
+	 * @returns {Promise<Blob>}
+	 */
+	toPNG(job = this.jobs[this.jobs.length - 1]) {
+		const imageData = this.toImageData(job);
+		const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+		canvas.getContext("2d").putImageData(imageData, 0, 0);
+		return canvas.convertToBlob({ type: "image/png" });
+	}
+
+	/**
+	 * Compares a decoded job with the image it should have printed.
+	 * @param {ImageData} expected the label as rendered, e.g. from `getImageData`
+	 * @param {object} [options]
+	 * @param {DecodedJob} [options.job] defaults to the last job
+	 * @param {number} [options.threshold] binarization threshold, see `encodeBitmap`
+	 * @returns {{ match: boolean, sizeMatches: boolean, differentDots: number }}
+	 */
+	compare(expected, { job = this.jobs[this.jobs.length - 1], threshold } = {}) {
+		const bitmap = encodeBitmap(expected, { threshold });
+		if (!job || bitmap.bytesPerRow !== job.bytesPerRow || bitmap.rows !== job.rows) {
+			return { match: false, sizeMatches: false, differentDots: NaN };
+		}
+
+		let differentDots = 0;
+		for (let i = 0; i < bitmap.data.length; i++) {
+			let diff = bitmap.data[i] ^ job.data[i];
+			for (; diff; diff &= diff - 1) differentDots++;
+		}
+		return { match: differentDots === 0, sizeMatches: true, differentDots };
+	}
+}
+
+/**
+ * A stand-in for a Web Serial `SerialPort` with a {@link MockPrinter} on the other end, the way a
+ * pty stands in for a serial device. Bytes written to the port reach the printer, and
+ * {@link MockSerialPort#notify} sends status frames back.
+ *
+ * Dispatches `disconnect` when {@link MockSerialPort#unplug} is called, like a real port.
+ */
+export class MockSerialPort extends EventTarget {
+	/**
+	 * @param {MockPrinter} [printer] receives everything written to the port
+	 * @param {{ usbVendorId?: number, usbProductId?: number }} [info] returned by `getInfo()`
+	 */
+	constructor(printer = new MockPrinter(), info = {}) {
+		super();
+		this.printer = printer;
+		this.info = info;
+		/** @type {number|null} baud rate the port was opened with, null while closed */
+		this.baudRate = null;
+		/** @type {ReadableStream<Uint8Array>|null} */
+		this.readable = null;
+		/** @type {WritableStream<Uint8Array>|null} */
+		this.writable = null;
+		/** @type {ReadableStreamDefaultController<Uint8Array>|null} */
+		this.controller = null;
+		/** @type {WritableStreamDefaultController|null} */
+		this.writableController = null;
+	}
+
+	getInfo() {
+		return { ...this.info };
+	}
+
+	/**
+	 * @param {{ baudRate: number }} options
+	 * @returns {Promise<void>}
+	 */
+	async open({ baudRate }) {
+		if (this.readable) throw new DOMException("The port is already open.", "InvalidStateError");
+		if (!(baudRate > 0)) throw new TypeError("A positive baudRate is required.");
+		this.baudRate = baudRate;
+		this.printer.connect(); // plugged back in after unplug()
+		this.readable = new ReadableStream({
+			start: (controller) => {
+				this.controller = controller;
+			},
+		});
+		// Serial links have flow control, so every write is taken as acknowledged
+		this.writable = new WritableStream({
+			start: (controller) => {
+				this.writableController = controller;
+			},
+			write: (chunk) => this.printer.writeValueWithResponse(chunk),
+		});
+	}
+
+	/**
+	 * Like a real port, fails while a reader or writer still holds one of the streams.
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		if (!this.readable) throw new DOMException("The port is already closed.", "InvalidStateError");
+		if (this.readable.locked || this.writable.locked) {
+			throw new TypeError("Cannot close a port while its streams are locked.");
+		}
+		await Promise.allSettled([this.readable.cancel(), this.writable.abort()]);
+		this.readable = null;
+		this.writable = null;
+		this.controller = null;
+		this.writableController = null;
+		this.baudRate = null;
+	}
+
+	/**
+	 * Sends bytes from the printer to the computer, e.g. status frames.
+	 * @param {ArrayLike<number>} bytes
+	 */
+	notify(bytes) {
+		this.controller?.enqueue(Uint8Array.from(bytes));
+	}
+
+	/** Simulates the cable being pulled or the Bluetooth serial link dropping. */
+	unplug() {
+		const error = new DOMException("The device has been lost.", "NetworkError");
+		this.printer.disconnect();
+		this.controller?.error(error);
+		this.writableController?.error(error);
+		this.dispatchEvent(new Event("disconnect"));
+	}
+}
@@ -0,0 +1,123 @@
+import { DENSITY_DATA, END_DATA, HEADER_DATA, RASTER_DATA, RESET_DATA } from "./commands.js";
+
+const PHOMEMO_SERVICE_UUID = "0000ff00-0000-1000-8000-00805f9b34fb";
+const PHOMEMO_WRITE_CHARACTERISTIC_UUID = "0000ff02-0000-1000-8000-00805f9b34fb";
+
+/**
+ * @typedef {object} HeaderOptions
+ * @property {number} bytesPerRow bytes in each raster row
+ * @property {number} rows number of raster rows
+ * @property {number} [density] print density, the printer's own setting is kept if omitted
+ */
+
+/**
+ * @typedef {object} PrinterModel
+ * @property {string} id
+ * @property {string} name shown in the model selector
+ * @property {RegExp} namePattern matched against the Bluetooth device name for auto-detection
+ * @property {number} dotsPerMm print head resolution
+ * @property {number} maxWidthBytes widest raster row the print head accepts, in bytes (8 dots each)
+ * @property {string} serviceUuid
+ * @property {string} writeCharacteristicUuid
+ * @property {number} packetSize bytes written per Bluetooth packet
+ * @property {(options: HeaderOptions) => Uint8Array} header starts a print job
+ * @property {(options: { feedLines?: number }) => Uint8Array} footer ends a print job
+ */
+
+/** Header and footer of the D30 family: ESC @, GS v 0 raster, ESC d. */
+const d30Header = ({ bytesPerRow, rows, density }) => HEADER_DATA(bytesPerRow, rows, density);
+const d30Footer = ({ feedLines }) => END_DATA(feedLines);
+
+/** @type {Record<string, PrinterModel>} */
+export const PRINTER_MODELS = {
+	d30: {
+		id: "d30",
+		name: "Phomemo D30",
+		namePattern: /^D30/i,
+		dotsPerMm: 8,
+		// Labels up to 15 mm wide; narrower ones leave the rest of the head blank
+		maxWidthBytes: 15,
+		serviceUuid: PHOMEMO_SERVICE_UUID,
+		writeCharacteristicUuid: PHOMEMO_WRITE_CHARACTERISTIC_UUID,
+		// Seems to work best with 128 bytes
+		packetSize: 128,
+		header: d30Header,
+		footer: d30Footer,
+	},
+	d35: {
+		id: "d35",
+		name: "Phomemo D35",
+		namePattern: /^D35/i,
+		dotsPerMm: 8,
+		maxWidthBytes: 25,
+		serviceUuid: PHOMEMO_SERVICE_UUID,
+		writeCharacteristicUuid: PHOMEMO_WRITE_CHARACTERISTIC_UUID,
+		packetSize: 128,
+		header: d30Header,
+		footer: d30Footer,
+	},
+	d110: {
+		id: "d110",
+		name: "Phomemo D110",
+		namePattern: /^(D110|Q199)/i,
+		dotsPerMm: 8,
+		maxWidthBytes: 15,
+		serviceUuid: PHOMEMO_SERVICE_UUID,
+		writeCharacteristicUuid: PHOMEMO_WRITE_CHARACTERISTIC_UUID,
+		packetSize: 128,
+		// The D110 uses the M110 protocol: media type 0x0a (labels with gaps) before the raster
+		header: ({ bytesPerRow, rows, density }) =>
+			new Uint8Array([
+				...(density ? DENSITY_DATA(density) : []),
+				0x1f,
+				0x11,
+				0x0a,
+				...RASTER_DATA(bytesPerRow, rows),
+			]),
+		footer: ({ feedLines }) =>
+			new Uint8Array([...END_DATA(feedLines), 0x1f, 0xf0, 0x05, 0x00, 0x1f, 0xf0, 0x03, 0x00]),
+	},
+	m02: {
+		id: "m02",
+		name: "Phomemo M02",
+		namePattern: /^M02/i,
+		dotsPerMm: 8,
+		maxWidthBytes: 48,
+		serviceUuid: PHOMEMO_SERVICE_UUID,
+		writeCharacteristicUuid: PHOMEMO_WRITE_CHARACTERISTIC_UUID,
+		packetSize: 128,
+		// ESC a 1 centres the image on the 48 mm paper
+		header: ({ bytesPerRow, rows, density }) =>
+			new Uint8Array([
+				...RESET_DATA,
+				0x1b,
+				0x61,
+				0x01,
+				...(density ? DENSITY_DATA(density) : []),
+				...RASTER_DATA(bytesPerRow, rows),
+			]),
+		footer: ({ feedLines = 0 }) => END_DATA(Math.max(2, feedLines)),
+	},
+};
+
+/** The model used when none is selected and none could be detected. */
+export const DEFAULT_MODEL = PRINTER_MODELS.d30;
+
+/**
+ * Finds the model matching a Bluetooth device name, e.g. "D30-1A2B".
+ * @param {string|undefined} deviceName
+ * @returns {PrinterModel|null}
+ */
+export const detectModel = (deviceName) =>
+	Object.values(PRINTER_MODELS).find((model) => model.namePattern.test(deviceName || "")) || null;
+
+/**
+ * @param {string} id
+ * @returns {PrinterModel}
+ */
+export const getModel = (id) => PRINTER_MODELS[id] || DEFAULT_MODEL;
+
+/** @returns {string[]} every GATT service a known model uses, for `requestDevice` */
+export const getAllServiceUuids = () => [
+	...new Set(Object.values(PRINTER_MODELS).map((model) => model.serviceUuid)),
+];
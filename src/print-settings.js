@@ -0,0 +1,55 @@
+/** localStorage key holding the print settings of every label type used so far. */
+const STORAGE_KEY = "phomemo.printSettings";
+
+/**
+ * @typedef {object} PrintSettings
+ * @property {number} density print density, 0 keeps the printer's own setting
+ * @property {number} feedLines blank lines fed after each label
+ */
+
+/** @type {PrintSettings} */
+export const DEFAULT_PRINT_SETTINGS = { density: 0, feedLines: 0 };
+
+/**
+ * Identifies a label type by its size, e.g. "40x12".
+ * @param {{ width: number, height: number }} labelSize in mm
+ * @returns {string}
+ */
+export const labelTypeKey = ({ width, height }) => `${width}x${height}`;
+
+const readAll = () => {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+	} catch {
+		return {};
+	}
+};
+
+/**
+ * @param {string} labelType see {@link labelTypeKey}
+ * @returns {PrintSettings}
+ */
+export const loadPrintSettings = (labelType) => ({
+	...DEFAULT_PRINT_SETTINGS,
+	...readAll()[labelType],
+});
+
+/**
+ * @param {string} labelType see {@link labelTypeKey}
+ * @param {PrintSettings} settings
+ */
+export const savePrintSettings = (labelType, settings) => {
+	const all = readAll();
+	all[labelType] = settings;
+	localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+};
+
+/**
+ * Converts settings into the options accepted by `printCanvas`.
+ * @param {PrintSettings} settings
+ * @returns {{ density?: number, feedLines: number }}
+ */
+export const toPrintOptions = ({ density, feedLines }) => ({
+	density: density || undefined,
+	feedLines,
+});
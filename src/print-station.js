@@ -0,0 +1,259 @@
+import { PhomemoPrinter, SerialPhomemoPrinter } from "../phomemo-printer.js";
+import { benchmarkTransfer } from "./benchmark.js";
+import { MockPrinter } from "./mock-printer.js";
+import { labelTypeKey, loadPrintSettings, toPrintOptions } from "./print-settings.js";
+import { PrinterPool } from "./printer-pool.js";
+import { PrintQueue } from "./queue.js";
+import { rememberedTransferOptions, saveTransferSettings } from "./transport.js";
+
+/** Queue id of the printer connected with the print button */
+export const MAIN_PRINTER_ID = "main";
+
+/** localStorage keys of the transport of the print button's printer and the serial baud rate */
+const TRANSPORT_KEY = "phomemo.printerTransport";
+const BAUD_RATE_KEY = "phomemo.serialBaudRate";
+
+/**
+ * The printers a UI prints on and the queue they share: the main printer, connected with the
+ * print button over Bluetooth or a serial port, the virtual printer that can stand in for it, and
+ * the further printers added to the pool.
+ *
+ * Dispatches `change` when the main printer is switched to another transport or to the virtual
+ * printer and back.
+ */
+export class PrintStation extends EventTarget {
+	/**
+	 * @param {object} [options]
+	 * @param {(interruption: object) => Promise<"resume"|"restart"|"cancel">} [options.confirmResume]
+	 * see `PrintQueue`
+	 */
+	constructor({ confirmResume } = {}) {
+		super();
+		this.bluetoothPrinter = new PhomemoPrinter();
+		this.serialPrinter = new SerialPhomemoPrinter({
+			baudRate: Number(localStorage.getItem(BAUD_RATE_KEY)) || undefined,
+		});
+		/** @type {PhomemoPrinter|SerialPhomemoPrinter} the main printer, on the chosen transport */
+		this.printer =
+			localStorage.getItem(TRANSPORT_KEY) === "serial" && globalThis.navigator?.serial
+				? this.serialPrinter
+				: this.bluetoothPrinter;
+		// Bluetooth LE-like timing and limits, so the transfer benchmark has something to measure
+		this.virtualPrinter = new MockPrinter({
+			latencyMs: 30,
+			packetTimeMs: 8,
+			maxPacketSize: 182,
+			bufferPackets: 10,
+		});
+		this.useVirtualPrinter = false; // print on virtualPrinter instead of the main printer
+		this.pool = new PrinterPool();
+
+		/** The main printer, as the queue sees it */
+		this.mainQueuePrinter = {
+			id: MAIN_PRINTER_ID,
+			name: "Main printer",
+			getCharacteristic: () => this.getCharacteristic(),
+			printOptions: () => ({
+				model: this.printer.model,
+				...rememberedTransferOptions(this.transferKey),
+			}),
+		};
+		this.queue = new PrintQueue({ printers: [this.mainQueuePrinter], confirmResume });
+
+		this.updateQueuePrinters = this.updateQueuePrinters.bind(this);
+		this.onPrinterEvent("statechange", this.updateQueuePrinters);
+		this.pool.addEventListener("change", this.updateQueuePrinters);
+	}
+
+	/** @returns {"bluetooth"|"serial"} */
+	get transport() {
+		return this.printer === this.serialPrinter ? "serial" : "bluetooth";
+	}
+
+	/**
+	 * Key the transfer settings of the current print target are remembered under; the virtual
+	 * printer has its own.
+	 * @returns {string|undefined}
+	 */
+	get transferKey() {
+		return this.useVirtualPrinter ? "virtual" : this.printer.device?.id;
+	}
+
+	/**
+	 * Listens to an event of whichever main printer is selected, Bluetooth or serial.
+	 * @param {string} type
+	 * @param {(e: CustomEvent) => void} listener
+	 */
+	onPrinterEvent(type, listener) {
+		for (const target of [this.bluetoothPrinter, this.serialPrinter]) {
+			target.addEventListener(type, (e) => {
+				if (target === this.printer) listener(e);
+			});
+		}
+	}
+
+	emitChange() {
+		this.dispatchEvent(new CustomEvent("change"));
+	}
+
+	/**
+	 * @param {string} modelId "auto" or a key of `PRINTER_MODELS`
+	 */
+	setModel(modelId) {
+		this.bluetoothPrinter.modelId = this.serialPrinter.modelId = modelId;
+	}
+
+	/**
+	 * Disconnects the main printer and switches it to another transport, remembered for the next
+	 * visit.
+	 * @param {"bluetooth"|"serial"} transport
+	 */
+	setTransport(transport) {
+		this.printer.disconnect();
+		this.printer = transport === "serial" ? this.serialPrinter : this.bluetoothPrinter;
+		localStorage.setItem(TRANSPORT_KEY, transport);
+		this.updateQueuePrinters();
+		this.emitChange();
+	}
+
+	/**
+	 * Remembers the baud rate; it takes effect when the port is next opened, i.e. on the next
+	 * print.
+	 * @param {number} baudRate
+	 */
+	setBaudRate(baudRate) {
+		this.serialPrinter.baudRate = baudRate;
+		localStorage.setItem(BAUD_RATE_KEY, `${baudRate}`);
+		this.serialPrinter.disconnect();
+	}
+
+	/**
+	 * @param {boolean} enabled print on the virtual printer instead of the main printer
+	 */
+	setVirtualPrinter(enabled) {
+		this.useVirtualPrinter = enabled;
+		this.updateQueuePrinters();
+		this.emitChange();
+	}
+
+	/**
+	 * Reconnects the main printer and the pool to the devices of the last visit.
+	 * @returns {Promise<void>}
+	 */
+	async restore() {
+		await Promise.all([this.printer.restore(), this.pool.restore()]);
+	}
+
+	/**
+	 * Returns where print jobs are written to: the virtual printer when enabled, else the main
+	 * printer, connecting to it first if needed.
+	 * @returns {Promise<BluetoothRemoteGATTCharacteristic|import("./transport.js").PrintTarget>}
+	 */
+	getCharacteristic() {
+		return this.useVirtualPrinter
+			? Promise.resolve(this.virtualPrinter)
+			: this.printer.getCharacteristic();
+	}
+
+	/**
+	 * Hands the printers that can take jobs to the queue. The main printer only takes part once it
+	 * has been connected, unless it is the only one, as connecting it needs a click.
+	 */
+	updateQueuePrinters() {
+		const mainAvailable =
+			this.useVirtualPrinter || this.printer.device !== null || this.pool.printers.length === 0;
+		this.queue.setPrinters([
+			...(mainAvailable ? [this.mainQueuePrinter] : []),
+			...this.pool.toQueuePrinters(),
+		]);
+	}
+
+	/**
+	 * @param {string|null} id id of a printer in the queue
+	 * @returns {string} the name to show for it
+	 */
+	getPrinterName(id) {
+		if (id === MAIN_PRINTER_ID) {
+			return this.useVirtualPrinter
+				? "Virtual printer"
+				: this.printer.device?.name || "Main printer";
+		}
+		return this.pool.get(id)?.name ?? "Any printer";
+	}
+
+	/**
+	 * Connects the main printer if a job for the given printer would need it. Must run in a click
+	 * handler, before anything else is awaited, as connecting may show the device chooser.
+	 * @param {string|null} printerId the printer chosen to print on, null for any printer
+	 * @returns {Promise<string|null>} the printer id
+	 */
+	async preparePrintTarget(printerId) {
+		if (printerId === MAIN_PRINTER_ID || (printerId === null && this.pool.printers.length === 0)) {
+			await this.getCharacteristic();
+		}
+		return printerId;
+	}
+
+	/**
+	 * Remote jobs arrive without a click, so they can only print on printers already connected.
+	 * @returns {boolean}
+	 */
+	canPrintUnattended() {
+		return (
+			this.useVirtualPrinter ||
+			this.printer.connected ||
+			this.pool.printers.some(({ connection }) => connection.connected)
+		);
+	}
+
+	/**
+	 * Renders a remote job, queues it and reports its progress back to the sender.
+	 * @param {import("./remote-jobs.js").RemoteJob} job
+	 * @param {import("./remote-jobs.js").RemoteJobListener|import("./embed.js").EmbedListener} sender
+	 * @param {object} options
+	 * @param {(job: import("./remote-jobs.js").RemoteJob) => Promise<HTMLCanvasElement>} options.render
+	 * @param {{ width: number, height: number }} options.labelSize the editor's, for the print
+	 * settings of designs that leave out their size, and of PNGs
+	 * @returns {Promise<void>}
+	 * @throws {Error} if the job could not be queued; it has been reported as failed
+	 */
+	async printRemoteJob(job, sender, { render, labelSize }) {
+		try {
+			if (!this.canPrintUnattended()) throw new Error("No printer is connected");
+			const label = await render(job);
+			const size = {
+				width: job.design?.width ?? labelSize.width,
+				height: job.design?.height ?? labelSize.height,
+			};
+			const printOptions = toPrintOptions(loadPrintSettings(labelTypeKey(size)));
+			const queued = this.queue.add(label, {
+				copies: job.copies,
+				name: job.name,
+				printOptions: { ...printOptions, threshold: this.printer.threshold },
+			});
+			sender.track(job.id, this.queue, queued);
+		} catch (err) {
+			sender.report(job.id, "failed", err.message);
+			throw err;
+		}
+	}
+
+	/**
+	 * Benchmarks the transfer settings on the current target and remembers the fastest stable one.
+	 * @param {object} [options]
+	 * @param {(result: import("./benchmark.js").BenchmarkResult) => void} [options.onResult]
+	 * @returns {ReturnType<typeof benchmarkTransfer>}
+	 * @throws {Error} while the queue is printing
+	 */
+	async benchmark({ onResult } = {}) {
+		if (this.queue.current) throw new Error("Wait for the print queue to finish first");
+		const characteristic = await this.getCharacteristic();
+		const outcome = await benchmarkTransfer(characteristic, {
+			model: this.printer.model,
+			delayMs: this.useVirtualPrinter ? 0 : 1000,
+			onResult,
+		});
+		saveTransferSettings(this.transferKey, outcome.fastest);
+		return outcome;
+	}
+}
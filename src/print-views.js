@@ -0,0 +1,416 @@
+import { describeProblem } from "./status.js";
+import { MAIN_PRINTER_ID } from "./print-station.js";
+import { SAFE_TRANSFER, loadTransferSettings } from "./transport.js";
+
+/**
+ * The parts of the page both UIs show for a {@link import("./print-station.js").PrintStation}:
+ * the printer's connection and status, the print queue and its progress, the printer list, the
+ * transfer settings and remote jobs. They fill in elements both pages have, by id; the pages
+ * wire them to the events of the station.
+ */
+
+const $ = (selector) => document.querySelector(selector);
+
+const JOB_STATUS_LABELS = {
+	queued: ["Queued", "text-bg-secondary"],
+	printing: ["Printing", "text-bg-primary"],
+	interrupted: ["Reconnecting", "text-bg-warning"],
+	done: ["Done", "text-bg-success"],
+	failed: ["Failed", "text-bg-danger"],
+	cancelled: ["Cancelled", "text-bg-warning"],
+};
+
+const PRINTER_STATE_LABELS = {
+	connected: ["Connected", "text-bg-success"],
+	connecting: ["Connecting…", "text-bg-warning"],
+	disconnected: ["Disconnected", "text-bg-secondary"],
+};
+
+const REMOTE_STATE_LABELS = {
+	stopped: ["Off", "text-bg-secondary"],
+	connecting: ["Connecting…", "text-bg-warning"],
+	connected: ["Listening", "text-bg-success"],
+};
+
+/** localStorage key of the remote jobs controls, `{ enabled, url }` */
+const REMOTE_JOBS_KEY = "phomemo.remoteJobs";
+
+/**
+ * @param {import("./transport.js").TransferSettings} settings
+ * @returns {string} e.g. "180 byte packets, 8 per acknowledgement"
+ */
+export const describeTransfer = ({ packetSize, window }) =>
+	window > 1
+		? `${packetSize} byte packets, ${window} per acknowledgement`
+		: `${packetSize} byte packets, each acknowledged`;
+
+/**
+ * Shows the transfer settings print jobs to the current target use.
+ * @param {import("./print-station.js").PrintStation} station
+ */
+export const showTransferSettings = (station) => {
+	const key = station.transferKey;
+	const settings = key && loadTransferSettings(key);
+	$("#transferSettingsText").textContent = settings
+		? describeTransfer(settings)
+		: `${describeTransfer(SAFE_TRANSFER)} (not benchmarked yet)`;
+};
+
+/**
+ * Benchmarks the current target, listing each setting's speed as it is measured.
+ * @param {import("./print-station.js").PrintStation} station
+ * @returns {Promise<void>}
+ */
+export const runBenchmark = async (station) => {
+	const button = $("#benchmarkButton");
+	const list = $("#benchmarkResults");
+	button.disabled = true;
+	list.replaceChildren();
+	try {
+		await station.benchmark({
+			onResult: ({ settings, bytesPerSecond, stable }) => {
+				const item = document.createElement("li");
+				item.textContent =
+					`${describeTransfer(settings)}: ` +
+					(stable ? `${(bytesPerSecond / 1024).toFixed(1)} KB/s` : "unstable");
+				list.append(item);
+			},
+		});
+	} finally {
+		button.disabled = false;
+		showTransferSettings(station);
+	}
+};
+
+/**
+ * Reflects the main printer's connection state in the status badge and print button.
+ * @param {import("./print-station.js").PrintStation} station
+ */
+export const showConnectionStatus = (station) => {
+	const badge = $("#connectionStatus");
+	const { printer } = station;
+	const { state, device } = printer;
+
+	badge.classList.remove("text-bg-secondary", "text-bg-warning", "text-bg-success");
+	if (state === "connected") {
+		badge.classList.add("text-bg-success");
+		badge.textContent = `Connected${device?.name ? `: ${device.name}` : ""}`;
+	} else if (state === "connecting") {
+		badge.classList.add("text-bg-warning");
+		badge.textContent = "Connecting…";
+	} else {
+		badge.classList.add("text-bg-secondary");
+		badge.textContent = "Disconnected";
+	}
+
+	// Auto-detection may have switched the model
+	$("#printerModel").options[0].textContent = printer.detectedModel
+		? `Auto-detect (${printer.detectedModel.name})`
+		: "Auto-detect";
+
+	$("#disconnectButton").hidden = state !== "connected";
+	if (state !== "connected") $("#printerStatus").hidden = true;
+	$("#printButton").textContent =
+		state === "connected" || station.useVirtualPrinter ? "Print" : "Connect & print";
+	showTransferSettings(station);
+};
+
+/**
+ * Creates the listener for the main printer's `status` events, which shows the latest status
+ * (paper, cover, temperature, battery) next to the connection badge.
+ * @param {(message: string) => void} onProblem called when the printer first reports a problem,
+ * not on every following notification
+ * @returns {(e: CustomEvent) => void}
+ */
+export const createPrinterStatusView = (onProblem) => {
+	let lastProblem = null;
+	return (e) => {
+		const { status, updates } = e.detail;
+		const badge = $("#printerStatus");
+		const problem = describeProblem(status);
+
+		const parts = [problem || "Ready"];
+		if (status.battery !== null) parts.push(`🔋 ${status.battery}%`);
+		if (!problem && updates.some((u) => u.type === "finished" && u.value)) parts[0] = "Printed";
+
+		badge.hidden = false;
+		badge.textContent = parts.join(" · ");
+		badge.classList.toggle("text-bg-danger", !!problem);
+		badge.classList.toggle("text-bg-light", !problem);
+
+		if (problem && problem !== lastProblem) onProblem(`Printer: ${problem.toLowerCase()}`);
+		lastProblem = problem;
+	};
+};
+
+/**
+ * Swaps the print button for the progress bar while a job is streaming.
+ * @param {boolean} printing
+ */
+export const setPrinting = (printing) => {
+	$("#printButton").hidden = printing;
+	$("#printProgress").hidden = !printing;
+};
+
+/**
+ * @param {import("./printer.js").PrintProgress} progress
+ * @param {import("./queue.js").PrintJob} job the job the progress belongs to
+ */
+export const showPrintProgress = ({ bytesSent, totalBytes, remainingMs }, job) => {
+	const percent = Math.round((bytesSent / totalBytes) * 100);
+	const bar = $("#printProgress .progress-bar");
+	bar.style.width = `${percent}%`;
+	bar.parentElement.setAttribute("aria-valuenow", percent);
+
+	const copy = job.copies > 1 ? `Copy ${job.copiesPrinted + 1}/${job.copies} · ` : "";
+	$("#printProgressText").textContent =
+		remainingMs === null
+			? `${copy}Starting…`
+			: `${copy}${percent}% · ${Math.ceil(remainingMs / 1000)} s left`;
+};
+
+/**
+ * Creates a small button for an entry of a list, e.g. a queued job.
+ * @param {string} label
+ * @param {string} title
+ * @param {(e: MouseEvent) => void} onClick
+ * @returns {HTMLButtonElement}
+ */
+export const createQueueButton = (label, title, onClick) => {
+	const button = document.createElement("button");
+	button.type = "button";
+	button.className = "btn btn-outline-secondary btn-sm";
+	button.textContent = label;
+	button.title = title;
+	button.addEventListener("click", onClick);
+	return button;
+};
+
+/**
+ * Renders the print queue list and keeps the progress bar in sync with the running job.
+ * @param {import("./print-station.js").PrintStation} station
+ */
+export const renderQueue = (station) => {
+	const { queue, pool } = station;
+	$("#queueList").replaceChildren(
+		...queue.jobs.map((job) => {
+			const item = document.createElement("li");
+			item.className = "list-group-item";
+
+			const name = document.createElement("span");
+			name.className = "queue-name";
+			name.textContent = job.name;
+			name.title = job.error ? job.error.toString() : job.name;
+
+			const [statusText, statusClass] = JOB_STATUS_LABELS[job.status];
+			const status = document.createElement("span");
+			status.className = `badge ${statusClass}`;
+			status.textContent =
+				job.copies > 1 ? `${statusText} ${job.copiesPrinted}/${job.copies}` : statusText;
+
+			// Which printer the job is on, once there is more than one
+			const target = document.createElement("span");
+			target.className = "text-muted small";
+			target.textContent = station.getPrinterName(job.printedOn ?? job.printerId);
+			target.hidden = pool.printers.length === 0;
+
+			item.append(
+				name,
+				target,
+				status,
+				createQueueButton("↑", "Move up", () => queue.move(job.id, -1)),
+				createQueueButton("↓", "Move down", () => queue.move(job.id, 1)),
+				createQueueButton("✕", "Remove", () => queue.remove(job.id))
+			);
+			return item;
+		})
+	);
+
+	$("#queueEmpty").hidden = queue.jobs.length > 0;
+	$("#queuePause").textContent = queue.paused ? "Resume" : "Pause";
+	setPrinting(queue.current !== null);
+};
+
+/**
+ * Renders the added printers with their status, and the choice of printer to print on.
+ * @param {import("./print-station.js").PrintStation} station
+ */
+export const renderPrinters = (station) => {
+	const { pool } = station;
+	$("#printerList").replaceChildren(
+		...pool.printers.map(({ id, name, connection }) => {
+			const item = document.createElement("li");
+			item.className = "list-group-item";
+
+			const nameText = document.createElement("span");
+			nameText.className = "printer-name";
+			nameText.textContent = name;
+			nameText.title = connection.device?.name || name;
+
+			const problem = connection.state === "connected" && describeProblem(connection.status);
+			const [stateText, stateClass] = PRINTER_STATE_LABELS[connection.state];
+			const state = document.createElement("span");
+			state.className = `badge ${problem ? "text-bg-danger" : stateClass}`;
+			state.textContent = problem || stateText;
+			if (connection.status.battery !== null)
+				state.textContent += ` · 🔋 ${connection.status.battery}%`;
+
+			item.append(
+				nameText,
+				state,
+				createQueueButton("✎", "Rename", () => {
+					const newName = prompt("Printer name", name);
+					if (newName) pool.rename(id, newName);
+				}),
+				createQueueButton("✕", "Remove", () => pool.remove(id))
+			);
+			return item;
+		})
+	);
+	$("#printerListEmpty").hidden = pool.printers.length > 0;
+
+	const select = $("#printTarget");
+	const selected = select.value;
+	select.replaceChildren(
+		new Option("Any printer (take turns)", ""),
+		new Option(station.getPrinterName(MAIN_PRINTER_ID), MAIN_PRINTER_ID),
+		...pool.printers.map(({ id, name }) => new Option(name, id))
+	);
+	select.value = pool.get(selected) || selected === MAIN_PRINTER_ID ? selected : "";
+	$("#printTargetGroup").hidden = pool.printers.length === 0;
+};
+
+/**
+ * Reads the printer chosen to print on, connecting the main printer first if it is to be used.
+ * Must run in a click handler, as connecting may show the device chooser.
+ * @param {import("./print-station.js").PrintStation} station
+ * @returns {Promise<string|null>} the id of the chosen printer, null for any printer
+ */
+export const preparePrintTarget = (station) =>
+	station.preparePrintTarget($("#printTarget").value || null);
+
+/**
+ * Asks the user how to carry on with a label interrupted by a dropped connection, once the
+ * connection is back. For the `confirmResume` option of the queue.
+ * @param {object} interruption
+ * @param {import("./queue.js").PrintJob} interruption.job
+ * @param {import("./printer.js").PrintInterruptedError} interruption.error
+ * @returns {Promise<"resume"|"restart"|"cancel">}
+ */
+export const askResume = ({ job, error }) =>
+	new Promise((resolve) => {
+		const modalElement = $("#resumeModal");
+		const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+		const buttons = modalElement.querySelectorAll("[data-choice]");
+		let choice = "cancel";
+		const choose = (e) => {
+			choice = e.currentTarget.dataset.choice;
+			modal.hide();
+		};
+
+		// Raw printer files can only be sent again in full
+		const canResume = error.rowsPrinted !== null;
+		$("#resumeText").textContent = canResume
+			? `"${job.name}" stopped after ${error.rowsPrinted} of ${error.rows} rows. The printer is connected again.`
+			: `"${job.name}" stopped part way through. The printer is connected again.`;
+		$("#resumeButton").hidden = !canResume;
+
+		buttons.forEach((button) => button.addEventListener("click", choose));
+		modalElement.addEventListener(
+			"hidden.bs.modal",
+			() => {
+				buttons.forEach((button) => button.removeEventListener("click", choose));
+				resolve(choice);
+			},
+			{ once: true }
+		);
+		modal.show();
+	});
+
+/**
+ * Draws a label as decoded by the virtual printer, i.e. exactly the dots the printer would print.
+ * @param {import("./mock-printer.js").MockPrinter} virtualPrinter
+ * @param {import("./mock-printer.js").DecodedJob} job
+ */
+export const showVirtualOutput = (virtualPrinter, job) => {
+	const imageData = virtualPrinter.toImageData(job);
+	const canvas = $("#virtualOutputCanvas");
+	canvas.width = imageData.width;
+	canvas.height = imageData.height;
+	canvas.getContext("2d").putImageData(imageData, 0, 0);
+	$("#virtualOutputText").textContent =
+		`${imageData.width}×${imageData.height} dots` +
+		`, density ${job.density ?? "printer default"}, feed ${job.feedLines} lines`;
+};
+
+/**
+ * Offers data to the user as a file download.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = fileName;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * @param {Blob} png a remote job's bitmap
+ * @returns {Promise<HTMLCanvasElement>} the bitmap, unchanged
+ */
+export const renderRemotePng = async (png) => {
+	const bitmap = await createImageBitmap(png);
+	const canvas = document.createElement("canvas");
+	canvas.width = bitmap.width;
+	canvas.height = bitmap.height;
+	canvas.getContext("2d").drawImage(bitmap, 0, 0);
+	bitmap.close();
+	return canvas;
+};
+
+/**
+ * @param {import("./remote-jobs.js").RemoteJobListener} remoteJobs
+ */
+export const showRemoteJobsStatus = (remoteJobs) => {
+	const [text, className] = REMOTE_STATE_LABELS[remoteJobs.state];
+	const status = $("#remoteJobsStatus");
+	status.textContent = text;
+	status.className = `badge ${className}`;
+};
+
+/**
+ * Starts or stops listening for remote jobs as set in the controls, and remembers the settings.
+ * @param {import("./remote-jobs.js").RemoteJobListener} remoteJobs
+ * @param {(err: Error) => void} onError called if the URL cannot be listened on
+ */
+export const updateRemoteJobs = (remoteJobs, onError) => {
+	const enabled = $("#remoteJobs").checked;
+	const url = $("#remoteJobsUrl").value.trim();
+	localStorage.setItem(REMOTE_JOBS_KEY, JSON.stringify({ enabled, url }));
+	if (!enabled) {
+		remoteJobs.stop();
+		return;
+	}
+	try {
+		remoteJobs.start(url);
+	} catch (err) {
+		$("#remoteJobs").checked = false;
+		onError(err);
+	}
+};
+
+/**
+ * Puts the remote jobs settings of the last visit back into the controls.
+ */
+export const restoreRemoteJobsControls = () => {
+	try {
+		const { enabled = false, url } = JSON.parse(localStorage.getItem(REMOTE_JOBS_KEY)) || {};
+		$("#remoteJobs").checked = enabled;
+		if (url) $("#remoteJobsUrl").value = url;
+	} catch {
+		// Nothing saved yet, or from an older version
+	}
+};
@@ -0,0 +1,163 @@
+import { PrinterConnection, requestPrinterDevice } from "./connection.js";
+import { rememberedTransferOptions } from "./transport.js";
+
+/** localStorage key holding the ids of the pooled devices and the names given to them. */
+const STORAGE_KEY = "phomemo.printerPool";
+
+/**
+ * @typedef {object} PooledPrinter
+ * @property {string} id the Bluetooth device id
+ * @property {string} name given by the user, or the device name
+ * @property {PrinterConnection} connection
+ */
+
+/** @returns {{ id: string, name: string }[]} */
+const readSaved = () => {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+	} catch {
+		return [];
+	}
+};
+
+/**
+ * Several printers connected at once, e.g. to share a batch between them.
+ * Every printer keeps its own {@link PrinterConnection}, with its own reconnects and status.
+ *
+ * Dispatches `change` whenever a printer is added, removed or renamed, connects or disconnects,
+ * or reports a new status.
+ */
+export class PrinterPool extends EventTarget {
+	/**
+	 * @param {object} [connectionOptions] passed on to every `PrinterConnection`
+	 */
+	constructor(connectionOptions = {}) {
+		super();
+		// The pool remembers its own devices; the last device is the main printer's
+		this.connectionOptions = { ...connectionOptions, rememberDevice: false };
+		/** @type {PooledPrinter[]} */
+		this.printers = [];
+		this.emitChange = this.emitChange.bind(this);
+	}
+
+	emitChange() {
+		this.dispatchEvent(new CustomEvent("change"));
+	}
+
+	save() {
+		const saved = this.printers.map(({ id, name }) => ({ id, name }));
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {PooledPrinter|undefined}
+	 */
+	get(id) {
+		return this.printers.find((printer) => printer.id === id);
+	}
+
+	/**
+	 * @param {PrinterConnection} connection an opened connection
+	 * @param {string} [name]
+	 * @returns {PooledPrinter}
+	 */
+	addConnection(connection, name) {
+		const { id } = connection.device;
+		const existing = this.get(id);
+		if (existing) return existing;
+
+		const printer = {
+			id,
+			name: name || connection.device.name || `Printer ${this.printers.length + 1}`,
+			connection,
+		};
+		connection.addEventListener("statechange", this.emitChange);
+		connection.addEventListener("status", this.emitChange);
+		this.printers.push(printer);
+		this.save();
+		this.emitChange();
+		return printer;
+	}
+
+	/**
+	 * Shows the device chooser and adds the selected printer.
+	 * @param {object} [options]
+	 * @param {string[]} [options.exclude] ids of devices connected outside the pool
+	 * @returns {Promise<PooledPrinter>}
+	 * @throws {Error} if the selected printer is already in the pool or excluded
+	 */
+	async add({ exclude = [] } = {}) {
+		const device = await requestPrinterDevice();
+		if (this.get(device.id) || exclude.includes(device.id)) {
+			throw new Error(`${device.name || "This printer"} is already connected`);
+		}
+		const connection = new PrinterConnection(this.connectionOptions);
+		await connection.open(device);
+		return this.addConnection(connection);
+	}
+
+	/**
+	 * Reconnects to the printers pooled in an earlier session, without showing the chooser.
+	 * Only possible in browsers implementing `navigator.bluetooth.getDevices()`.
+	 */
+	async restore() {
+		if (!navigator.bluetooth?.getDevices) return;
+		const devices = await navigator.bluetooth.getDevices();
+		for (const { id, name } of readSaved()) {
+			const device = devices.find((d) => d.id === id);
+			if (!device || this.get(id)) continue;
+			const connection = new PrinterConnection(this.connectionOptions);
+			try {
+				await connection.open(device);
+			} catch (err) {
+				// Kept in the pool, it connects when it is next printed on
+				console.warn(`Could not reconnect to ${name}:`, err);
+			}
+			this.addConnection(connection, name);
+		}
+	}
+
+	/**
+	 * Disconnects a printer and removes it from the pool.
+	 * @param {string} id
+	 */
+	remove(id) {
+		const printer = this.get(id);
+		if (!printer) return;
+		printer.connection.removeEventListener("statechange", this.emitChange);
+		printer.connection.removeEventListener("status", this.emitChange);
+		printer.connection.disconnect();
+		this.printers = this.printers.filter((p) => p !== printer);
+		this.save();
+		this.emitChange();
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {string} name
+	 */
+	rename(id, name) {
+		const printer = this.get(id);
+		if (!printer || !name.trim()) return;
+		printer.name = name.trim();
+		this.save();
+		this.emitChange();
+	}
+
+	/**
+	 * The pooled printers in the form `PrintQueue` dispatches jobs to. Every printer formats jobs
+	 * for its own model and uses the transfer settings remembered for it.
+	 * @returns {import("./queue.js").QueuePrinter[]}
+	 */
+	toQueuePrinters() {
+		return this.printers.map(({ id, name, connection }) => ({
+			id,
+			name,
+			// Reopen the pooled device rather than falling back to the chooser, which needs a click
+			getCharacteristic: async () =>
+				connection.connected ? connection.characteristic : connection.open(connection.device),
+			printOptions: () => ({ model: connection.model, ...rememberedTransferOptions(id) }),
+		}));
+	}
+}
@@ -0,0 +1,287 @@
+import { END_DATA, RESET_DATA } from "./commands.js";
+import { DEFAULT_MODEL } from "./models.js";
+import { DEFAULT_THRESHOLD, encodeBitmap } from "./bitmap.js";
+import { PacketWriter } from "./transport.js";
+
+/**
+ * Anything that can be printed: a canvas (or `OffscreenCanvas`), its image data, or a bitmap
+ * already packed by `encodeBitmap`.
+ * @typedef {HTMLCanvasElement|OffscreenCanvas|ImageData|import("./bitmap.js").Bitmap} PrintSource
+ */
+
+/**
+ * Thrown when writing to the printer fails part way through a job, typically because the
+ * Bluetooth link dropped. Tells how far the job got, so it can be resumed after reconnecting.
+ */
+export class PrintInterruptedError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {object} details
+	 * @param {unknown} details.cause the error the failed write rejected with
+	 * @param {number} details.bytesSent bytes the printer acknowledged before the failure
+	 * @param {number|null} [details.rowsPrinted] complete raster rows acknowledged, counting rows
+	 * skipped by `startRow`; null for raw byte streams, which can only be restarted
+	 * @param {number|null} [details.rows] raster rows in the whole label
+	 */
+	constructor(message, { cause, bytesSent, rowsPrinted = null, rows = null }) {
+		super(message, { cause });
+		this.name = "PrintInterruptedError";
+		this.bytesSent = bytesSent;
+		this.rowsPrinted = rowsPrinted;
+		this.rows = rows;
+	}
+}
+
+/**
+ * Converts a print source to a bitmap in the format expected by the Phomemo D30.
+ *
+ * @param {PrintSource} source the label to convert to print data
+ * @param {import("./models.js").PrinterModel} [model] the printer the data is meant for
+ * @param {number} [threshold] binarization threshold, see `DEFAULT_THRESHOLD`; unused for bitmaps
+ * @returns {import("./bitmap.js").Bitmap} the rows to transmit (in chunks) to the Bluetooth printer
+ * @throws {Error} if the image is wider than the model's print head
+ */
+const getPrintData = (source, model = DEFAULT_MODEL, threshold = DEFAULT_THRESHOLD) => {
+	const bytesPerRow = "bytesPerRow" in source ? source.bytesPerRow : Math.ceil(source.width / 8);
+	if (bytesPerRow > model.maxWidthBytes) {
+		const maxMm = (model.maxWidthBytes * 8) / model.dotsPerMm;
+		throw new Error(`label too wide: the ${model.name} prints at most ${maxMm} mm`);
+	}
+
+	if ("bytesPerRow" in source) return source;
+	const imageData =
+		"getContext" in source
+			? source.getContext("2d").getImageData(0, 0, source.width, source.height)
+			: source;
+	return encodeBitmap(imageData, { threshold });
+};
+
+/**
+ * Leaves the printer in a sane state after a job was stopped part way through.
+ * Until every row the header announced has arrived, the printer takes any byte for pixels, so the
+ * rest of the raster is sent blank before the session is ended and the printer reset.
+ *
+ * @param {import("./transport.js").PrintTarget} characteristic
+ * @param {number} bytesRemaining announced raster bytes not yet written
+ * @param {number} packetSize bytes per write
+ */
+const cancelJob = async (characteristic, bytesRemaining, packetSize) => {
+	const blank = new Uint8Array(Math.min(packetSize, bytesRemaining));
+	for (let left = bytesRemaining; left > 0; left -= blank.length) {
+		await characteristic.writeValueWithResponse(blank.subarray(0, Math.min(left, blank.length)));
+	}
+	await characteristic.writeValueWithResponse(END_DATA());
+	await characteristic.writeValueWithResponse(RESET_DATA);
+};
+
+/**
+ * @typedef {object} PrintProgress
+ * @property {number} bytesSent raster bytes written so far
+ * @property {number} bytesAcknowledged raster bytes the printer confirmed receiving, which trails
+ * `bytesSent` when writing without response
+ * @property {number} totalBytes raster bytes in the whole job
+ * @property {number} chunksSent packets written so far
+ * @property {number} totalChunks packets in the whole job
+ * @property {number} elapsedMs time since the job started
+ * @property {number|null} remainingMs estimated time left, null until the first packet is sent
+ */
+
+/**
+ * Writes data to the printer in packets, reporting progress after every packet.
+ * The last packet is always acknowledged, so the data has arrived when this resolves.
+ * @param {import("./transport.js").PrintTarget} characteristic
+ * @param {Uint8Array} data
+ * @param {object} options
+ * @param {import("./transport.js").TransferSettings} options.transfer
+ * @param {(settings: import("./transport.js").TransferSettings) => void} [options.onBackOff]
+ * @param {(progress: PrintProgress) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {(bytesSent: number, packetSize: number) => Promise<void>} [options.onAbort] cleans up
+ * before the abort is thrown, given how many bytes of data were written and the current packet size
+ * @returns {Promise<import("./transport.js").TransferSettings|null>} the settings the data went
+ * through at, if failed writes made the writer back off; else null
+ */
+const writeInPackets = async (characteristic, data, options) => {
+	const { transfer, onBackOff, onProgress, signal, onAbort } = options;
+	let adjusted = null;
+	const writer = new PacketWriter(characteristic, transfer, (settings) => {
+		adjusted = settings;
+		onBackOff?.(settings);
+	});
+	const startTime = performance.now();
+	let bytesSent = 0;
+	let bytesAcknowledged = 0;
+	let chunksSent = 0;
+
+	const reportProgress = () => {
+		if (!onProgress) return;
+		const elapsedMs = performance.now() - startTime;
+		const remainingMs = bytesSent > 0 ? (elapsedMs / bytesSent) * (data.length - bytesSent) : null;
+		onProgress({
+			bytesSent,
+			bytesAcknowledged,
+			totalBytes: data.length,
+			chunksSent,
+			// Backing off can change the packet size part way through
+			totalChunks: chunksSent + Math.ceil((data.length - bytesSent) / writer.packetSize),
+			elapsedMs,
+			remainingMs,
+		});
+	};
+
+	reportProgress();
+	while (bytesSent < data.length) {
+		if (signal?.aborted) {
+			await onAbort?.(bytesSent, writer.packetSize);
+			signal.throwIfAborted();
+		}
+
+		const end = Math.min(bytesSent + writer.packetSize, data.length);
+		try {
+			if (await writer.write(data.slice(bytesSent, end), end === data.length)) {
+				bytesAcknowledged = end;
+			}
+		} catch (err) {
+			if (writer.backOff()) continue;
+			throw err;
+		}
+		bytesSent = end;
+		chunksSent++;
+		reportProgress();
+	}
+	return adjusted;
+};
+
+/**
+ * Given a print target and a label, sends the necessary data to print it.
+ * @param {import("./transport.js").PrintTarget} characteristic
+ * @param {PrintSource} canvas
+ * @param {object} [options]
+ * @param {(progress: PrintProgress) => void} [options.onProgress] called after every packet
+ * @param {AbortSignal} [options.signal] stops the job before the next packet when aborted
+ * @param {import("./models.js").PrinterModel} [options.model] printer to format the job for
+ * @param {number} [options.density] print density, see `MIN_DENSITY` and `MAX_DENSITY`
+ * @param {number} [options.feedLines] blank lines to feed after the label
+ * @param {number} [options.threshold] binarization threshold, see `DEFAULT_THRESHOLD`
+ * @param {number} [options.startRow] first raster row to send, to resume an interrupted job; the
+ * header then announces only the remaining rows
+ * @param {import("./transport.js").TransferSettings} [options.transfer] how to packetize the
+ * rows; by default the model's packet size, every packet written with response
+ * @param {(settings: import("./transport.js").TransferSettings) => void} [options.onBackOff]
+ * called when failed writes made the transfer fall back to safer settings
+ * @param {(settings: import("./transport.js").TransferSettings) => void} [options.onTransferAdjusted]
+ * called once the label went through at safer settings than it started with, e.g. to remember
+ * them; unlike `onBackOff` not for a label that failed
+ * @throws {DOMException} an `AbortError` (or the signal's reason) when the job was cancelled
+ * @throws {PrintInterruptedError} when a write fails, e.g. because the printer disconnected
+ */
+export const printCanvas = async (characteristic, canvas, options = {}) => {
+	const { onProgress, signal, model = DEFAULT_MODEL, density, feedLines = 0, threshold } = options;
+	const { transfer = { packetSize: model.packetSize, window: 1 } } = options;
+	const { onBackOff, onTransferAdjusted } = options;
+	const bitmap = getPrintData(canvas, model, threshold);
+	const { bytesPerRow, rows } = bitmap;
+	const startRow = Math.max(0, Math.min(rows, Math.floor(options.startRow || 0)));
+	const data = bitmap.data.subarray(startRow * bytesPerRow);
+
+	signal?.throwIfAborted();
+	let bytesAcknowledged = 0;
+	let adjusted = null;
+	try {
+		await characteristic.writeValueWithResponse(
+			model.header({ bytesPerRow, rows: rows - startRow, density })
+		);
+		adjusted = await writeInPackets(characteristic, data, {
+			transfer,
+			onBackOff,
+			onProgress: (progress) => {
+				bytesAcknowledged = progress.bytesAcknowledged;
+				onProgress?.(progress);
+			},
+			signal,
+			onAbort: (bytesSent, packetSize) =>
+				cancelJob(characteristic, data.length - bytesSent, packetSize),
+		});
+		await characteristic.writeValueWithResponse(model.footer({ feedLines }));
+	} catch (err) {
+		if (signal?.aborted) throw err;
+		const rowsPrinted = startRow + Math.floor(bytesAcknowledged / bytesPerRow);
+		throw new PrintInterruptedError(`print interrupted after row ${rowsPrinted} of ${rows}`, {
+			cause: err,
+			bytesSent: bytesAcknowledged,
+			rowsPrinted,
+			rows,
+		});
+	}
+	if (adjusted) onTransferAdjusted?.(adjusted);
+};
+
+/**
+ * Returns every byte `printCanvas` would send for the label, as one stream: the header
+ * (including any density command), the raster rows and the end sequence with the feed.
+ * Saved to a file, it can be printed again byte for byte with {@link printBytes}.
+ *
+ * @param {PrintSource} canvas
+ * @param {object} [options] same as the formatting options of `printCanvas`
+ * @param {import("./models.js").PrinterModel} [options.model]
+ * @param {number} [options.density]
+ * @param {number} [options.feedLines]
+ * @param {number} [options.threshold]
+ * @returns {Uint8Array}
+ */
+export const encodePrintJob = (canvas, options = {}) => {
+	const { model = DEFAULT_MODEL, density, feedLines = 0, threshold } = options;
+	const { data, bytesPerRow, rows } = getPrintData(canvas, model, threshold);
+	const header = model.header({ bytesPerRow, rows, density });
+	const footer = model.footer({ feedLines });
+
+	const stream = new Uint8Array(header.length + data.length + footer.length);
+	stream.set(header);
+	stream.set(data, header.length);
+	stream.set(footer, header.length + data.length);
+	return stream;
+};
+
+/**
+ * Sends a raw byte stream, e.g. one saved by {@link encodePrintJob}, to the printer unchanged.
+ * Cancelling simply stops sending: the stream's row layout is unknown, so unlike `printCanvas`
+ * the printer is not brought back to a row boundary and may need to be switched off and on.
+ *
+ * @param {import("./transport.js").PrintTarget} characteristic
+ * @param {Uint8Array} bytes
+ * @param {object} [options]
+ * @param {(progress: PrintProgress) => void} [options.onProgress] called after every packet
+ * @param {AbortSignal} [options.signal] stops sending before the next packet when aborted
+ * @param {import("./models.js").PrinterModel} [options.model] only its packet size is used
+ * @param {import("./transport.js").TransferSettings} [options.transfer] see `printCanvas`
+ * @param {(settings: import("./transport.js").TransferSettings) => void} [options.onBackOff]
+ * @param {(settings: import("./transport.js").TransferSettings) => void} [options.onTransferAdjusted]
+ * @throws {DOMException} an `AbortError` (or the signal's reason) when the job was cancelled
+ * @throws {PrintInterruptedError} when a write fails; the stream can only be sent again in full
+ */
+export const printBytes = async (characteristic, bytes, options = {}) => {
+	const { onProgress, signal, model = DEFAULT_MODEL } = options;
+	const { transfer = { packetSize: model.packetSize, window: 1 } } = options;
+	const { onBackOff, onTransferAdjusted } = options;
+	signal?.throwIfAborted();
+	let bytesAcknowledged = 0;
+	let adjusted = null;
+	try {
+		adjusted = await writeInPackets(characteristic, bytes, {
+			transfer,
+			onBackOff,
+			onProgress: (progress) => {
+				bytesAcknowledged = progress.bytesAcknowledged;
+				onProgress?.(progress);
+			},
+			signal,
+		});
+	} catch (err) {
+		if (signal?.aborted) throw err;
+		throw new PrintInterruptedError(
+			`print interrupted after ${bytesAcknowledged} of ${bytes.length} bytes`,
+			{ cause: err, bytesSent: bytesAcknowledged }
+		);
+	}
+	if (adjusted) onTransferAdjusted?.(adjusted);
+};
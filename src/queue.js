@@ -0,0 +1,376 @@
+import { PrintInterruptedError, printBytes, printCanvas } from "./printer.js";
+
+/**
+ * @typedef {object} PrintJob
+ * @property {number} id
+ * @property {string} name shown in the queue list
+ * @property {import("./printer.js").PrintSource|null} canvas the rendered label; must not be drawn
+ * on after queueing
+ * @property {Uint8Array|null} data a raw printer byte stream, printed instead of a canvas
+ * @property {number} copies how many labels to print from this job
+ * @property {number} copiesPrinted
+ * @property {object} printOptions passed on to `printCanvas` or `printBytes`, e.g. density and feed
+ * @property {string|null} printerId printer the job must be printed on, null for whichever is free
+ * @property {string|null} printedOn printer the job is (or was last) printed on
+ * @property {"queued"|"printing"|"interrupted"|"done"|"failed"|"cancelled"} status
+ * "interrupted" while reconnecting after a dropped connection and waiting for `confirmResume`
+ * @property {Error|null} error set when status is "failed"
+ */
+
+/**
+ * A printer the queue can print on.
+ * @typedef {object} QueuePrinter
+ * @property {string} id
+ * @property {string} name
+ * @property {() => Promise<import("./transport.js").PrintTarget>} getCharacteristic
+ * @property {() => object} [printOptions] options for this printer, e.g. its model; they take
+ * precedence over the job's own
+ */
+
+/**
+ * What one printer is doing.
+ * @typedef {object} Worker
+ * @property {QueuePrinter} printer
+ * @property {PrintJob|null} job
+ * @property {AbortController|null} abortController
+ * @property {number} lastPrintEnd
+ */
+
+let nextJobId = 1;
+
+/**
+ * Resolves after `ms`, or rejects early if the signal is aborted.
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ */
+const delay = (ms, signal) =>
+	new Promise((resolve, reject) => {
+		if (ms <= 0) return resolve();
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal.reason);
+		};
+		const timer = setTimeout(() => {
+			signal.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		signal.addEventListener("abort", onAbort, { once: true });
+	});
+
+/**
+ * Tells whether a job failed because of the printer or the connection to it, which the jobs after
+ * it would run into as well, rather than because of the job itself.
+ * @param {Error} error
+ * @param {boolean} connecting true if it was thrown while connecting to the printer
+ * @returns {boolean} false e.g. for a label too wide for the printer, or when the user dismissed
+ * the device chooser
+ */
+const isPrinterFailure = (error, connecting) =>
+	error instanceof PrintInterruptedError || (connecting && error.name !== "NotFoundError");
+
+/**
+ * @typedef {"resume"|"restart"|"cancel"} ResumeChoice
+ * "resume" prints the rest of the label from the last complete row, "restart" prints it again
+ * from the top and "cancel" drops the job.
+ */
+
+/**
+ * Prints queued labels one after another on one or more printers. Each printer prints one job at
+ * a time; jobs not meant for a particular printer go to the free printers in turn (round-robin).
+ *
+ * Dispatches `change` whenever a job is added, removed, moved or changes status, `progress`
+ * (detail: `{ job, progress }`) while a label is streaming, `printed` (detail: `{ job }`) after
+ * each copy and `error` (detail: `{ job, error }`) when a job fails. A job failing because of the printer or the connection to it pauses the queue,
+ * so the remaining jobs are not lost as well.
+ *
+ * When the connection drops part way through a label, the queue reconnects and asks
+ * `confirmResume` how to carry on; without it, or if reconnecting fails, the job fails.
+ */
+export class PrintQueue extends EventTarget {
+	/**
+	 * @param {object} options
+	 * @param {() => Promise<import("./transport.js").PrintTarget>} [options.getCharacteristic] the
+	 * printer to print on, if there is only one
+	 * @param {QueuePrinter[]} [options.printers] the printers to print on, instead of
+	 * `getCharacteristic`
+	 * @param {number} [options.delayMs] pause between two labels, giving the printer time to cut/feed
+	 * @param {(interruption: { job: PrintJob, error: PrintInterruptedError }) => Promise<ResumeChoice>}
+	 * [options.confirmResume] asks the user how to continue an interrupted label
+	 * @param {number} [options.reconnectAttempts] how often to try reconnecting after an interruption
+	 * @param {number} [options.reconnectDelayMs] wait before the first attempt; each further attempt
+	 * waits that much longer
+	 */
+	constructor({
+		getCharacteristic,
+		printers = [{ id: "default", name: "Printer", getCharacteristic }],
+		delayMs = 1000,
+		confirmResume = null,
+		reconnectAttempts = 5,
+		reconnectDelayMs = 1000,
+	}) {
+		super();
+		this.delayMs = delayMs;
+		this.confirmResume = confirmResume;
+		this.reconnectAttempts = reconnectAttempts;
+		this.reconnectDelayMs = reconnectDelayMs;
+		/** @type {PrintJob[]} */
+		this.jobs = [];
+		this.paused = false;
+		/** @type {Map<string, Worker>} */
+		this.workers = new Map();
+		/** index into the workers of the printer next in line for a job */
+		this.nextWorker = 0;
+		this.setPrinters(printers);
+	}
+
+	/** @returns {QueuePrinter[]} */
+	get printers() {
+		return [...this.workers.values()].map((worker) => worker.printer);
+	}
+
+	/** @returns {PrintJob[]} the jobs currently printing, one per busy printer */
+	get active() {
+		return [...this.workers.values()].flatMap((worker) => (worker.job ? [worker.job] : []));
+	}
+
+	/** @returns {PrintJob|null} a job currently printing, if any */
+	get current() {
+		return this.active[0] || null;
+	}
+
+	/**
+	 * Replaces the printers jobs are dispatched to. Labels printing on a removed printer are
+	 * finished, and jobs waiting for it can go to any printer.
+	 * @param {QueuePrinter[]} printers
+	 */
+	setPrinters(printers) {
+		const workers = new Map();
+		for (const printer of printers) {
+			const worker = this.workers.get(printer.id);
+			workers.set(printer.id, {
+				job: null,
+				abortController: null,
+				lastPrintEnd: 0,
+				...worker,
+				printer,
+			});
+		}
+		for (const job of this.jobs) {
+			if (job.status === "queued" && job.printerId !== null && !workers.has(job.printerId)) {
+				job.printerId = null;
+			}
+		}
+		this.workers = workers;
+		this.emitChange();
+		this.run();
+	}
+
+	emitChange() {
+		this.dispatchEvent(new CustomEvent("change"));
+	}
+
+	/**
+	 * Adds a job to the end of the queue and starts printing unless the queue is paused.
+	 * @param {import("./printer.js").PrintSource|Uint8Array} source a label, or a byte stream from a
+	 * printer file
+	 * @param {object} [options]
+	 * @param {number} [options.copies]
+	 * @param {string} [options.name]
+	 * @param {object} [options.printOptions] passed on to `printCanvas`
+	 * @param {string|null} [options.printerId] print on this printer only, see `QueuePrinter`
+	 * @returns {PrintJob}
+	 */
+	add(source, { copies = 1, name = "Label", printOptions = {}, printerId = null } = {}) {
+		const isData = source instanceof Uint8Array;
+		const job = {
+			id: nextJobId++,
+			name,
+			canvas: isData ? null : source,
+			data: isData ? source : null,
+			copies: Math.max(1, Math.floor(copies)),
+			copiesPrinted: 0,
+			printOptions,
+			printerId,
+			printedOn: null,
+			status: "queued",
+			error: null,
+		};
+		this.jobs.push(job);
+		this.emitChange();
+		this.run();
+		return job;
+	}
+
+	/**
+	 * Removes a job, cancelling it first if it is printing.
+	 * @param {number} id
+	 */
+	remove(id) {
+		this.cancel(id);
+		this.jobs = this.jobs.filter((job) => job.id !== id);
+		this.emitChange();
+	}
+
+	/**
+	 * Moves a job up (negative offset) or down (positive offset) in the queue.
+	 * @param {number} id
+	 * @param {number} offset
+	 */
+	move(id, offset) {
+		const from = this.jobs.findIndex((job) => job.id === id);
+		if (from === -1) return;
+		const to = Math.max(0, Math.min(this.jobs.length - 1, from + offset));
+		const [job] = this.jobs.splice(from, 1);
+		this.jobs.splice(to, 0, job);
+		this.emitChange();
+	}
+
+	/** Stops after the labels currently printing; queued jobs are kept. */
+	pause() {
+		this.paused = true;
+		this.emitChange();
+	}
+
+	resume() {
+		this.paused = false;
+		this.emitChange();
+		this.run();
+	}
+
+	/**
+	 * Cancels a job if it is printing; the printer carries on with the next job.
+	 * @param {number} id
+	 */
+	cancel(id) {
+		for (const worker of this.workers.values()) {
+			if (worker.job?.id === id) worker.abortController.abort();
+		}
+	}
+
+	/** Cancels every label currently printing; the queue carries on with the next jobs. */
+	cancelCurrent() {
+		for (const worker of this.workers.values()) worker.abortController?.abort();
+	}
+
+	/** Drops all jobs that are no longer waiting to be printed. */
+	clearFinished() {
+		const active = this.active;
+		this.jobs = this.jobs.filter((job) => job.status === "queued" || active.includes(job));
+		this.emitChange();
+	}
+
+	/** Hands queued jobs to idle printers, taking turns so every printer gets its share. */
+	run() {
+		if (this.paused) return;
+		const workers = [...this.workers.values()];
+		for (let i = 0; i < workers.length; i++) {
+			const index = (this.nextWorker + i) % workers.length;
+			const worker = workers[index];
+			if (worker.job) continue;
+			const job = this.jobs.find(
+				(j) => j.status === "queued" && (j.printerId === null || j.printerId === worker.printer.id)
+			);
+			if (!job) continue;
+
+			this.nextWorker = (index + 1) % workers.length;
+			this.printJob(worker, job).then(() => this.run());
+		}
+	}
+
+	/**
+	 * @param {Worker} worker
+	 * @param {PrintJob} job
+	 */
+	async printJob(worker, job) {
+		const { printer } = worker;
+		worker.job = job;
+		worker.abortController = new AbortController();
+		const { signal } = worker.abortController;
+		job.status = "printing";
+		job.printedOn = printer.id;
+		this.emitChange();
+
+		let connecting = true;
+		try {
+			let characteristic = await printer.getCharacteristic();
+			connecting = false;
+			let startRow = 0; // non-zero while resuming an interrupted copy
+			while (job.copiesPrinted < job.copies) {
+				if (startRow === 0) {
+					await delay(this.delayMs - (performance.now() - worker.lastPrintEnd), signal);
+					// Pausing takes effect before each copy; the rest of the job stays queued
+					if (this.paused) {
+						job.status = "queued";
+						return;
+					}
+				}
+				const options = {
+					...job.printOptions,
+					...printer.printOptions?.(),
+					signal,
+					startRow,
+					onProgress: (progress) =>
+						this.dispatchEvent(new CustomEvent("progress", { detail: { job, progress } })),
+				};
+				try {
+					if (job.data) {
+						await printBytes(characteristic, job.data, options);
+					} else {
+						await printCanvas(characteristic, job.canvas, options);
+					}
+				} catch (err) {
+					if (!(err instanceof PrintInterruptedError) || !this.confirmResume) throw err;
+					characteristic = await this.recover(worker, err, signal);
+					const choice = await this.confirmResume({ job, error: err });
+					signal.throwIfAborted();
+					if (choice === "cancel") throw new DOMException("Print cancelled", "AbortError");
+					startRow = choice === "resume" && err.rowsPrinted !== null ? err.rowsPrinted : 0;
+					job.status = "printing";
+					this.emitChange();
+					continue;
+				}
+				startRow = 0;
+				worker.lastPrintEnd = performance.now();
+				job.copiesPrinted++;
+				this.dispatchEvent(new CustomEvent("printed", { detail: { job } }));
+				this.emitChange();
+			}
+			job.status = "done";
+		} catch (err) {
+			if (err.name === "AbortError") {
+				job.status = "cancelled";
+			} else {
+				job.status = "failed";
+				job.error = err;
+				if (isPrinterFailure(err, connecting)) this.paused = true;
+				this.dispatchEvent(new CustomEvent("error", { detail: { job, error: err } }));
+			}
+		} finally {
+			worker.job = null;
+			worker.abortController = null;
+			this.emitChange();
+		}
+	}
+
+	/**
+	 * Reconnects after an interrupted label, retrying with a growing delay.
+	 * @param {Worker} worker
+	 * @param {PrintInterruptedError} error
+	 * @param {AbortSignal} signal
+	 * @returns {Promise<import("./transport.js").PrintTarget>}
+	 * @throws {PrintInterruptedError} the original error if every attempt failed
+	 */
+	async recover(worker, error, signal) {
+		worker.job.status = "interrupted";
+		this.emitChange();
+		for (let attempt = 1; attempt <= this.reconnectAttempts; attempt++) {
+			await delay(this.reconnectDelayMs * attempt, signal);
+			try {
+				return await worker.printer.getCharacteristic();
+			} catch (err) {
+				console.warn(`Reconnect attempt ${attempt}/${this.reconnectAttempts} failed:`, err);
+			}
+		}
+		throw error;
+	}
+}
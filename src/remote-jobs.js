@@ -0,0 +1,236 @@
+/**
+ * Print jobs pushed to the page by other programs, through a WebSocket or Server-Sent Events
+ * endpoint such as `tools/relay-server.mjs`.
+ *
+ * Every message is JSON. A job, sent to the page:
+ *
+ *     { "type": "job", "id": "shelf-12", "name": "Shelf 12", "copies": 2,
+ *       "design": { "text": "Shelf 12", "qr": "https://example.com/shelf/12" } }
+ *
+ * or, instead of `design`, `"png": "<base64 or data: URL>"` for a bitmap to print as it is.
+ * The page answers every job with results as its status changes:
+ *
+ *     { "type": "result", "id": "shelf-12", "status": "done" }
+ *
+ * where status is one of the `PrintJob` statuses, or "failed" with an `error` message. Over SSE,
+ * results are POSTed to the URL the events come from.
+ */
+
+/**
+ * A label described by its content, drawn by the page that receives it. The UIs understand
+ * these fields; each also accepts the names of its own editor settings. The label holds only the
+ * content given here, while settings left out, e.g. the font, are taken from the editor.
+ * @typedef {object} LabelDesign
+ * @property {string} [text]
+ * @property {number} [fontSize] in pixels
+ * @property {string} [qr] content of a QR code
+ * @property {string} [barcode] content of a CODE128 barcode
+ * @property {string} [image] URL of an image, e.g. a data: URL
+ * @property {number} [width] label width in mm
+ * @property {number} [height] label height in mm
+ */
+
+/**
+ * @typedef {object} RemoteJob
+ * @property {string} id chosen by the sender; results refer to it
+ * @property {string} name
+ * @property {number} copies
+ * @property {LabelDesign|null} design
+ * @property {Blob|null} png a bitmap printed as it is, its width across the print head
+ */
+
+/** Statuses after which a job does not change any more. */
+const FINAL_STATUSES = ["done", "failed", "cancelled"];
+
+/**
+ * @param {string} png base64, optionally as a data: URL
+ * @returns {Blob}
+ */
+const decodePng = (png) => {
+	const binary = atob(png.replace(/^data:[^,]*,/, ""));
+	const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+	return new Blob([bytes], { type: "image/png" });
+};
+
+/**
+ * Validates a job message.
+ * @param {any} message parsed JSON, or a message passed with `postMessage`, whose png may also be
+ * a Blob
+ * @returns {RemoteJob}
+ * @throws {Error} describing what is wrong with the message
+ */
+export const parseRemoteJob = (message) => {
+	const { id, name, copies = 1, design = null, png = null } = message;
+	if (typeof id !== "string" || !id) throw new Error("Job without an id");
+	if (!design === !png) throw new Error(`Job ${id} needs either a design or a png`);
+	if (design !== null && (typeof design !== "object" || Array.isArray(design))) {
+		throw new Error(`Job ${id} has an invalid design`);
+	}
+	if (png !== null && typeof png !== "string" && !(png instanceof Blob)) {
+		throw new Error(`Job ${id} has an invalid png`);
+	}
+	if (!Number.isInteger(copies) || copies < 1) throw new Error(`Job ${id} has invalid copies`);
+
+	return {
+		id,
+		name: typeof name === "string" && name ? name : `Remote job ${id}`,
+		copies,
+		design,
+		png: typeof png === "string" ? decodePng(png) : png,
+	};
+};
+
+/**
+ * Follows a queued job, calling `onStatus` whenever its status changes until it is finished or
+ * removed from the queue, which counts as "cancelled".
+ * @param {import("./queue.js").PrintQueue} queue
+ * @param {import("./queue.js").PrintJob} job
+ * @param {(status: string, error?: string) => void} onStatus
+ */
+export const trackJob = (queue, job, onStatus) => {
+	let reported = null;
+	const update = () => {
+		const status = queue.jobs.includes(job) ? job.status : "cancelled";
+		if (status !== reported) {
+			reported = status;
+			onStatus(status, job.error?.message);
+		}
+		if (FINAL_STATUSES.includes(status)) queue.removeEventListener("change", update);
+	};
+	queue.addEventListener("change", update);
+	update();
+};
+
+/**
+ * Listens for print jobs on a WebSocket (`ws:`/`wss:` URL) or Server-Sent Events (`http:`/`https:`
+ * URL) endpoint, reconnecting whenever the connection drops.
+ *
+ * Dispatches `job` (detail: `{ job }`) for every valid job, `statechange` when the connection
+ * state changes, and `error` (detail: `{ error }`) for messages that could not be used; jobs
+ * among them are answered with a "failed" result.
+ */
+export class RemoteJobListener extends EventTarget {
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.reconnectDelayMs] wait before reconnecting after the connection drops
+	 */
+	constructor({ reconnectDelayMs = 3000 } = {}) {
+		super();
+		this.reconnectDelayMs = reconnectDelayMs;
+		/** @type {"stopped"|"connecting"|"connected"} */
+		this.state = "stopped";
+		/** @type {string|null} */
+		this.url = null;
+		/** @type {WebSocket|EventSource|null} */
+		this.source = null;
+		this.reconnectTimer = null;
+	}
+
+	/**
+	 * @param {"stopped"|"connecting"|"connected"} state
+	 */
+	setState(state) {
+		if (this.state === state) return;
+		this.state = state;
+		this.dispatchEvent(new CustomEvent("statechange", { detail: { state } }));
+	}
+
+	/**
+	 * Connects to an endpoint, replacing any earlier one.
+	 * @param {string} url
+	 * @throws {Error} if the URL is neither a WebSocket nor an HTTP URL
+	 */
+	start(url) {
+		const { protocol } = new URL(url);
+		if (!["ws:", "wss:", "http:", "https:"].includes(protocol)) {
+			throw new Error(`Remote jobs need a ws:, wss:, http: or https: URL, not ${protocol}`);
+		}
+		this.stop();
+		this.url = url;
+		this.open();
+	}
+
+	/** Disconnects; no reconnect is attempted afterwards. */
+	stop() {
+		clearTimeout(this.reconnectTimer);
+		this.url = null;
+		this.source?.close();
+		this.source = null;
+		this.setState("stopped");
+	}
+
+	open() {
+		const { url } = this;
+		const isWebSocket = /^wss?:/.test(url);
+		const source = isWebSocket ? new WebSocket(url) : new EventSource(url);
+		this.source = source;
+		this.setState("connecting");
+
+		source.addEventListener("open", () => this.setState("connected"));
+		source.addEventListener("message", (e) => this.handleMessage(e.data));
+		source.addEventListener(isWebSocket ? "close" : "error", () => {
+			if (this.source !== source) return; // stopped or replaced
+			this.setState("connecting");
+			// EventSource retries by itself, unless the server refused the stream
+			if (source.readyState !== source.CLOSED) return;
+			this.source = null;
+			this.reconnectTimer = setTimeout(() => this.open(), this.reconnectDelayMs);
+		});
+	}
+
+	/**
+	 * @param {string} data
+	 */
+	handleMessage(data) {
+		let message;
+		try {
+			message = JSON.parse(data);
+		} catch {
+			this.dispatchEvent(
+				new CustomEvent("error", { detail: { error: new Error("Remote message is not JSON") } })
+			);
+			return;
+		}
+		if (message?.type !== "job") return;
+
+		let job;
+		try {
+			job = parseRemoteJob(message);
+		} catch (error) {
+			if (typeof message.id === "string") this.report(message.id, "failed", error.message);
+			this.dispatchEvent(new CustomEvent("error", { detail: { error } }));
+			return;
+		}
+		this.dispatchEvent(new CustomEvent("job", { detail: { job } }));
+	}
+
+	/**
+	 * Sends a job's status back to the endpoint.
+	 * @param {string} id
+	 * @param {string} status
+	 * @param {string} [error] why the job failed
+	 */
+	report(id, status, error) {
+		if (!this.url) return;
+		const body = JSON.stringify({ type: "result", id, status, ...(error && { error }) });
+		if (!/^wss?:/.test(this.url)) {
+			fetch(this.url, {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body,
+			}).catch((err) => console.warn("Could not report remote job result:", err));
+		} else if (this.source && this.source.readyState === this.source.OPEN) {
+			this.source.send(body);
+		}
+	}
+
+	/**
+	 * Reports the status of a queued job until it is finished or removed from the queue.
+	 * @param {string} id the remote job's id
+	 * @param {import("./queue.js").PrintQueue} queue
+	 * @param {import("./queue.js").PrintJob} job the job queued for it
+	 */
+	track(id, queue, job) {
+		trackJob(queue, job, (status, error) => this.report(id, status, error));
+	}
+}
@@ -0,0 +1,653 @@
+/**
+ * Draws labels from a plain design object, the same way in the UIs, in scripts and in tests.
+ * Nothing here touches the DOM: canvases and the libraries for text and codes come from a
+ * {@link CanvasFactory}, so labels also render in Node.js, e.g. with node-canvas:
+ *
+ *     import { createCanvas } from "canvas";
+ *     import { drawText } from "canvas-txt";
+ *     import QRCode from "qrcode";
+ *     import JsBarcode from "jsbarcode";
+ *
+ *     const canvas = await renderLabel(
+ *         { text: "Shelf 12", codeType: "qr", codeData: "https://example.com/shelf/12" },
+ *         { createCanvas, drawText, QRCode, JsBarcode }
+ *     );
+ *
+ * The label is drawn rotated by 90°, the way it is printed: its width runs down the canvas.
+ */
+
+import { DEFAULT_MODEL } from "./models.js";
+import { ELEMENT_DEFAULTS } from "./elements.js";
+import { processImageWithAdjustments } from "./image-processing.js";
+
+/**
+ * Creates canvases, and draws what the canvas API cannot: wrapped text, QR codes and barcodes.
+ * @typedef {object} CanvasFactory
+ * @property {(width: number, height: number) => HTMLCanvasElement} createCanvas a blank canvas;
+ * `OffscreenCanvas` and node-canvas work too
+ * @property {Function} drawText `drawText` of canvas-txt
+ * @property {object} [QRCode] the qrcode package, needed for QR codes
+ * @property {Function} [JsBarcode] the jsbarcode package, needed for barcodes
+ * @property {(src: string) => Promise<CanvasImageSource>} [loadImage] loads an image from a URL,
+ * needed for image elements
+ */
+
+/**
+ * Everything a label is drawn from. Designs may leave out any field; see {@link DEFAULT_DESIGN}.
+ * @typedef {object} LabelDesign
+ * @property {number} width label width in mm
+ * @property {number} height label height in mm
+ * @property {number} offsetX shifts the content along the label, in dots
+ * @property {number} offsetY shifts the content across the label, in dots
+ * @property {string} text
+ * @property {number} fontSize in pixels
+ * @property {string} fontFamily a CSS font family
+ * @property {string} fontWeight a CSS font weight
+ * @property {"left"|"center"|"right"} textAlign
+ * @property {boolean} verticalText letters stacked on top of each other
+ * @property {"above"|"below"|"left"|"right"|"background"|"none"} imagePosition where the image
+ * goes, relative to the text
+ * @property {number} imageSize in percent of the label
+ * @property {number} imageRotation in degrees
+ * @property {string} ditherAlgorithm see `processImageWithAdjustments`
+ * @property {number} threshold 0-255
+ * @property {number} brightness -100 to 100
+ * @property {number} contrast -100 to 100
+ * @property {number} noise 0-50
+ * @property {boolean} useGammaCorrection
+ * @property {number} gamma
+ * @property {boolean} usePreFiltering
+ * @property {number} blurSigma
+ * @property {number} unsharpAmount
+ * @property {boolean} useCLAHE
+ * @property {number} claheClipLimit
+ * @property {boolean} useEdgeAware
+ * @property {boolean} useHardwareCleanup
+ * @property {boolean} usePrinterResolution
+ * @property {boolean} serpentine
+ * @property {"none"|"qr"|"barcode"} codeType
+ * @property {string} codeData
+ * @property {"above"|"below"|"left"|"right"|"background"} codePosition
+ * @property {number} codeSize in percent of the label
+ * @property {"L"|"M"|"Q"|"H"} qrErrorCorrection
+ * @property {string} barcodeFormat a JsBarcode format
+ * @property {import("./elements.js").LabelElement[]} elements placed freely on top of the rest,
+ * in this order
+ */
+
+/** @type {LabelDesign} the settings the editor starts with */
+export const DEFAULT_DESIGN = Object.freeze({
+	width: 40,
+	height: 12,
+	offsetX: 0,
+	offsetY: 0,
+	text: "",
+	fontSize: 36,
+	fontFamily: "Arial, sans-serif",
+	fontWeight: "normal",
+	textAlign: "center",
+	verticalText: false,
+	imagePosition: "above",
+	imageSize: 50,
+	imageRotation: 0,
+	ditherAlgorithm: "floyd",
+	threshold: 128,
+	brightness: 0,
+	contrast: 0,
+	noise: 0,
+	useGammaCorrection: false,
+	gamma: 2.2,
+	usePreFiltering: false,
+	blurSigma: 0.5,
+	unsharpAmount: 0.8,
+	useCLAHE: false,
+	claheClipLimit: 2.0,
+	useEdgeAware: false,
+	useHardwareCleanup: false,
+	usePrinterResolution: false,
+	serpentine: true,
+	codeType: "none",
+	codeData: "",
+	codePosition: "above",
+	codeSize: 30,
+	qrErrorCorrection: "M",
+	barcodeFormat: "CODE128",
+	elements: Object.freeze([]),
+});
+
+/** Pixels per QR code module, leaving the code about 200 pixels wide before scaling */
+const QR_CODE_WIDTH = 200;
+
+/**
+ * Generates a QR code or barcode
+ * @param {CanvasFactory} canvasFactory
+ * @param {string} data - The data to encode
+ * @param {string} type - 'qr' or 'barcode'
+ * @param {string} format - Barcode format (for barcodes only)
+ * @param {string} errorCorrection - QR error correction level (for QR codes only)
+ * @returns {HTMLCanvasElement|null} null if there is nothing to encode
+ */
+const generateCode = (canvasFactory, data, type, format = "CODE128", errorCorrection = "M") => {
+	if (!data.trim()) return null;
+
+	if (type === "qr") {
+		// Draw the modules directly, so any canvas implementation will do
+		const { modules } = canvasFactory.QRCode.create(data, {
+			errorCorrectionLevel: errorCorrection,
+		});
+		const margin = 1;
+		const scale = Math.max(1, Math.floor(QR_CODE_WIDTH / (modules.size + margin * 2)));
+		const size = (modules.size + margin * 2) * scale;
+		const canvas = canvasFactory.createCanvas(size, size);
+		const ctx = canvas.getContext("2d");
+		ctx.fillStyle = "#FFFFFF";
+		ctx.fillRect(0, 0, size, size);
+		ctx.fillStyle = "#000000";
+		for (let row = 0; row < modules.size; row++) {
+			for (let col = 0; col < modules.size; col++) {
+				if (!modules.get(row, col)) continue;
+				ctx.fillRect((col + margin) * scale, (row + margin) * scale, scale, scale);
+			}
+		}
+		return canvas;
+	}
+
+	if (type === "barcode") {
+		// JsBarcode resizes the canvas to fit the code
+		const canvas = canvasFactory.createCanvas(1, 1);
+		canvasFactory.JsBarcode(canvas, data, {
+			format: format,
+			width: 2,
+			height: 100,
+			displayValue: false,
+			background: "#FFFFFF",
+			lineColor: "#000000",
+			margin: 10,
+		});
+		return canvas;
+	}
+
+	return null;
+};
+
+/**
+ * Draws text vertically (one letter stacked on top of another, rotated -90 degrees)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {object} options
+ */
+const drawVerticalText = (ctx, text, options) => {
+	const { x, y, width, height, fontFamily, fontSize, fontWeight, align } = options;
+
+	ctx.save();
+	ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
+	ctx.textBaseline = "middle";
+
+	// Filter out whitespace characters for proper centering
+	const visibleChars = text.split("").filter((char) => char.trim());
+
+	// Calculate total text height needed for stacking
+	const lineHeight = fontSize * 1.2; // Add some spacing between letters
+	const totalTextHeight = visibleChars.length * lineHeight;
+
+	// Calculate center point for rotation
+	const centerX = x + width / 2;
+	const centerY = y + height / 2;
+
+	// Move to center and rotate -90 degrees
+	ctx.translate(centerX, centerY);
+	ctx.rotate(-Math.PI / 2);
+
+	// In the rotated coordinate system:
+	// - X axis now points up (was Y axis)
+	// - Y axis now points left (was -X axis)
+	// We want letters stacked vertically, so we need to vary the Y coordinate (which is now horizontal)
+
+	// Calculate starting Y position (horizontal in rotated system) for centering
+	let startY = -totalTextHeight / 2 + lineHeight / 2;
+	let charX = 0;
+
+	// Adjust X position based on alignment (vertical in rotated coordinate system)
+	switch (align) {
+		case "left":
+			charX = -width / 2 + fontSize / 2;
+			break;
+		case "right":
+			charX = width / 2 - fontSize / 2;
+			break;
+		case "center":
+		default:
+			charX = 0;
+			break;
+	}
+
+	// Draw each visible character
+	let charIndex = 0;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (char.trim()) {
+			// Only draw non-whitespace characters
+			ctx.textAlign = "center";
+			// In rotated system: X stays same, Y changes for stacking
+			ctx.fillText(char, charX, startY + charIndex * lineHeight);
+			charIndex++;
+		}
+	}
+
+	ctx.restore();
+};
+
+/**
+ * Collects the advanced processing options of `processImageWithAdjustments` from a design.
+ * @param {LabelDesign} design
+ * @param {number} printerWidth size the image is scaled to with `usePrinterResolution`
+ * @param {number} printerHeight
+ * @returns {object}
+ */
+const getAdvancedOptions = (design, printerWidth, printerHeight) => ({
+	useGammaCorrection: design.useGammaCorrection,
+	gamma: design.gamma,
+	usePreFiltering: design.usePreFiltering,
+	blurSigma: design.blurSigma,
+	unsharpRadius: 1.0, // Fixed value for now
+	unsharpAmount: design.unsharpAmount,
+	useCLAHE: design.useCLAHE,
+	claheClipLimit: design.claheClipLimit,
+	claheTileSize: 16, // Fixed value for now
+	useEdgeAware: design.useEdgeAware,
+	useHardwareCleanup: design.useHardwareCleanup,
+	usePrinterResolution: design.usePrinterResolution,
+	printerWidth,
+	printerHeight,
+	scalingMethod: "lanczos",
+	serpentine: design.serpentine,
+});
+
+/**
+ * Loads the images of a design's image elements.
+ * @param {import("./elements.js").LabelElement[]} elements
+ * @param {CanvasFactory} canvasFactory
+ * @returns {Promise<Map<string, CanvasImageSource>>} the images by URL
+ */
+const loadElementImages = async (elements, canvasFactory) => {
+	const sources = [
+		...new Set(elements.filter((e) => e.type === "image" && e.src).map((e) => e.src)),
+	];
+	if (sources.length > 0 && !canvasFactory.loadImage) {
+		throw new Error("image elements need canvasFactory.loadImage");
+	}
+	const images = await Promise.all(sources.map((src) => canvasFactory.loadImage(src)));
+	return new Map(sources.map((src, i) => [src, images[i]]));
+};
+
+/**
+ * Draws an image scaled to fit a box, centred in it.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} image
+ * @param {{ x: number, y: number, width: number, height: number }} box
+ */
+const drawContained = (ctx, image, { x, y, width, height }) => {
+	const scale = Math.min(width / image.width, height / image.height);
+	const drawW = image.width * scale;
+	const drawH = image.height * scale;
+	ctx.drawImage(image, x + (width - drawW) / 2, y + (height - drawH) / 2, drawW, drawH);
+};
+
+/**
+ * Draws a freely placed element, see `src/elements.js`.
+ * @param {CanvasRenderingContext2D} ctx set up for the label as it reads, with its top left
+ * corner at the origin
+ * @param {import("./elements.js").LabelElement} element
+ * @param {object} options
+ * @param {LabelDesign} options.design for the image settings
+ * @param {CanvasFactory} options.canvasFactory
+ * @param {number} options.dotsPerMm
+ * @param {CanvasImageSource} [options.image] the loaded image of an image element
+ */
+const drawElement = (ctx, element, { design, canvasFactory, dotsPerMm, image }) => {
+	if (!Object.hasOwn(ELEMENT_DEFAULTS, element.type)) return;
+	element = { ...ELEMENT_DEFAULTS[element.type], ...element };
+	const width = element.width * dotsPerMm;
+	const height = element.height * dotsPerMm;
+	if (!(width > 0 && height > 0)) return;
+
+	ctx.save();
+	ctx.translate(
+		(element.x + element.width / 2) * dotsPerMm,
+		(element.y + element.height / 2) * dotsPerMm
+	);
+	ctx.rotate(((element.rotation || 0) * Math.PI) / 180);
+	const box = { x: -width / 2, y: -height / 2, width, height };
+	ctx.fillStyle = "#000";
+	ctx.strokeStyle = "#000";
+
+	if (element.type === "text" && element.text.trim()) {
+		canvasFactory.drawText(ctx, element.text, {
+			...box,
+			font: element.fontFamily,
+			fontSize: element.fontSize,
+			fontWeight: element.fontWeight,
+			align: element.textAlign,
+			vAlign: "middle",
+		});
+	} else if (element.type === "code") {
+		let code = null;
+		try {
+			code = generateCode(
+				canvasFactory,
+				element.codeData,
+				element.codeType,
+				element.barcodeFormat,
+				element.qrErrorCorrection
+			);
+		} catch (err) {
+			console.error("Code generation failed:", err);
+		}
+		// Barcodes fill their box; QR codes must stay square
+		if (code && element.codeType === "barcode") ctx.drawImage(code, box.x, box.y, width, height);
+		else if (code) drawContained(ctx, code, box);
+	} else if (element.type === "image" && image) {
+		const processedImage = processImageWithAdjustments(
+			image,
+			design.brightness,
+			design.contrast,
+			design.ditherAlgorithm,
+			design.threshold,
+			0, // the element's rotation turns the image
+			design.noise,
+			getAdvancedOptions(design, Math.round(width), Math.round(height)),
+			canvasFactory.createCanvas
+		);
+		drawContained(ctx, processedImage, box);
+	} else if (element.type === "shape") {
+		const lineWidth = element.strokeWidth;
+		ctx.lineWidth = lineWidth;
+		ctx.beginPath();
+		if (element.shape === "line") {
+			ctx.moveTo(box.x, 0);
+			ctx.lineTo(box.x + width, 0);
+			ctx.stroke();
+		} else {
+			// Keep outlines inside the box
+			const inset = element.fill ? 0 : lineWidth / 2;
+			if (element.shape === "ellipse") {
+				ctx.ellipse(
+					0,
+					0,
+					Math.max(0, width / 2 - inset),
+					Math.max(0, height / 2 - inset),
+					0,
+					0,
+					2 * Math.PI
+				);
+			} else {
+				ctx.rect(box.x + inset, box.y + inset, width - 2 * inset, height - 2 * inset);
+			}
+			if (element.fill) ctx.fill();
+			else ctx.stroke();
+		}
+	}
+	ctx.restore();
+};
+
+/**
+ * Draws a label design on a canvas already sized for the label, see {@link renderLabel}.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Partial<LabelDesign>} design
+ * @param {CanvasFactory} canvasFactory
+ * @param {CanvasImageSource|null} [image] drawn where `design.imagePosition` says
+ * @throws {Error} if the font size is not a number
+ */
+export const drawLabel = async (canvas, design, canvasFactory, image = null) => {
+	design = { ...DEFAULT_DESIGN, ...design };
+	const { text, fontSize, fontFamily, fontWeight, textAlign, verticalText } = design;
+	const { imagePosition, imageSize, imageRotation, threshold, brightness, contrast, noise } =
+		design;
+	const { codeType, codeData, codePosition, codeSize, qrErrorCorrection, barcodeFormat } = design;
+	const algorithm = design.ditherAlgorithm;
+
+	// Load images before drawing anything, so redraws started meanwhile don't mix with this one
+	const elementImages = await loadElementImages(design.elements, canvasFactory);
+
+	// Generate QR code or barcode if needed
+	let generatedCode = null; // Generated QR code or barcode image
+	if (codeType !== "none" && codeData.trim()) {
+		try {
+			generatedCode = generateCode(
+				canvasFactory,
+				codeData,
+				codeType,
+				barcodeFormat,
+				qrErrorCorrection
+			);
+		} catch (err) {
+			console.error("Code generation failed:", err);
+		}
+	}
+
+	if (isNaN(fontSize)) throw new Error("font size invalid");
+
+	const ctx = canvas.getContext("2d");
+	// Disable smoothing so scaled content stays pixelated in the printed preview
+	ctx.imageSmoothingEnabled = false;
+	ctx.fillStyle = "#fff";
+	ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+	ctx.save();
+	ctx.translate(canvas.width / 2, canvas.height / 2);
+	ctx.rotate(Math.PI / 2);
+
+	// Apply print offset
+	ctx.translate(design.offsetX, design.offsetY);
+
+	const rotatedWidth = canvas.height;
+	const rotatedHeight = canvas.width;
+
+	// Handle image and code positioning
+	let textArea = {
+		x: -rotatedWidth / 2,
+		y: -rotatedHeight / 2,
+		width: rotatedWidth,
+		height: rotatedHeight,
+	};
+
+	// Calculate space needed for codes and images
+	let codeImageHeight = 0;
+	let codeImageWidth = 0;
+
+	// Calculate code dimensions if present
+	if (generatedCode) {
+		const codeSizeRatio = codeSize / 100;
+		const maxCodeW = rotatedWidth * codeSizeRatio;
+		const maxCodeH = rotatedHeight * codeSizeRatio;
+		const codeScale = Math.min(maxCodeW / generatedCode.width, maxCodeH / generatedCode.height);
+		codeImageWidth = generatedCode.width * codeScale;
+		codeImageHeight = generatedCode.height * codeScale;
+	}
+
+	if (image && imagePosition !== "none") {
+		// Process the image with brightness, contrast, dithering adjustments, and rotation
+		// NOTE: Only use the image rotation setting (from dropdown), not the preview rotation.
+		// Preview rotation is purely visual (CSS transform) and doesn't affect canvas content or printed output.
+		// Use current canvas dimensions
+		const advancedOptions = getAdvancedOptions(design, canvas.width, canvas.height);
+
+		const processedImage = processImageWithAdjustments(
+			image,
+			brightness,
+			contrast,
+			algorithm,
+			threshold,
+			imageRotation,
+			noise,
+			advancedOptions,
+			canvasFactory.createCanvas
+		);
+
+		const imageSizeRatio = imageSize / 100;
+
+		if (imagePosition === "background") {
+			// Draw image as background first
+			const maxW = rotatedWidth;
+			const maxH = rotatedHeight;
+			const scale =
+				Math.min(maxW / processedImage.width, maxH / processedImage.height) * imageSizeRatio;
+			const drawW = processedImage.width * scale;
+			const drawH = processedImage.height * scale;
+
+			ctx.globalAlpha = 0.3; // Make background image semi-transparent
+			ctx.drawImage(processedImage, -drawW / 2, -drawH / 2, drawW, drawH);
+			ctx.globalAlpha = 1.0;
+		} else {
+			// Calculate image dimensions
+			const maxImageW = rotatedWidth * imageSizeRatio;
+			const maxImageH = rotatedHeight * imageSizeRatio;
+			const scale = Math.min(maxImageW / processedImage.width, maxImageH / processedImage.height);
+			const imageW = processedImage.width * scale;
+			const imageH = processedImage.height * scale;
+
+			let imageX, imageY;
+
+			switch (imagePosition) {
+				case "above":
+					imageX = -imageW / 2;
+					imageY = -rotatedHeight / 2;
+					textArea.y = imageY + imageH + 10;
+					textArea.height = rotatedHeight - imageH - 10;
+					break;
+				case "below":
+					imageX = -imageW / 2;
+					imageY = rotatedHeight / 2 - imageH;
+					textArea.height = rotatedHeight - imageH - 10;
+					break;
+				case "left":
+					imageX = -rotatedWidth / 2;
+					imageY = -imageH / 2;
+					textArea.x = imageX + imageW + 10;
+					textArea.width = rotatedWidth - imageW - 10;
+					break;
+				case "right":
+					imageX = rotatedWidth / 2 - imageW;
+					imageY = -imageH / 2;
+					textArea.width = rotatedWidth - imageW - 10;
+					break;
+			}
+
+			// Draw the processed image
+			ctx.drawImage(processedImage, imageX, imageY, imageW, imageH);
+		}
+	}
+
+	// Draw QR code or barcode
+	if (generatedCode && codePosition !== "background") {
+		let codeX, codeY;
+
+		switch (codePosition) {
+			case "above":
+				codeX = -codeImageWidth / 2;
+				codeY = textArea.y;
+				textArea.y = codeY + codeImageHeight + 10;
+				textArea.height = Math.max(0, textArea.height - codeImageHeight - 10);
+				break;
+			case "below":
+				codeX = -codeImageWidth / 2;
+				codeY = textArea.y + textArea.height - codeImageHeight;
+				textArea.height = Math.max(0, textArea.height - codeImageHeight - 10);
+				break;
+			case "left":
+				codeX = textArea.x;
+				codeY = -codeImageHeight / 2;
+				textArea.x = codeX + codeImageWidth + 10;
+				textArea.width = Math.max(0, textArea.width - codeImageWidth - 10);
+				break;
+			case "right":
+				codeX = textArea.x + textArea.width - codeImageWidth;
+				codeY = -codeImageHeight / 2;
+				textArea.width = Math.max(0, textArea.width - codeImageWidth - 10);
+				break;
+		}
+
+		// Draw the generated code
+		ctx.drawImage(generatedCode, codeX, codeY, codeImageWidth, codeImageHeight);
+	} else if (generatedCode && codePosition === "background") {
+		// Draw code as background
+		ctx.globalAlpha = 0.2; // Make background code semi-transparent
+		ctx.drawImage(
+			generatedCode,
+			-codeImageWidth / 2,
+			-codeImageHeight / 2,
+			codeImageWidth,
+			codeImageHeight
+		);
+		ctx.globalAlpha = 1.0;
+	}
+
+	// Draw text
+	if (text.trim()) {
+		ctx.fillStyle = "#000";
+
+		if (verticalText) {
+			drawVerticalText(ctx, text, {
+				x: textArea.x,
+				y: textArea.y,
+				width: textArea.width,
+				height: textArea.height,
+				fontFamily,
+				fontSize,
+				fontWeight,
+				align: textAlign,
+			});
+		} else {
+			canvasFactory.drawText(ctx, text, {
+				x: textArea.x,
+				y: textArea.y,
+				width: textArea.width,
+				height: textArea.height,
+				font: fontFamily,
+				fontSize,
+				fontWeight,
+				align: textAlign,
+				vAlign: "middle",
+			});
+		}
+	}
+
+	// Freely placed elements, measured from the label's top left corner
+	const dotsPerMm = rotatedWidth / design.width;
+	ctx.translate(-rotatedWidth / 2, -rotatedHeight / 2);
+	for (const element of design.elements) {
+		drawElement(ctx, element, {
+			design,
+			canvasFactory,
+			dotsPerMm,
+			image: elementImages.get(element.src),
+		});
+	}
+
+	ctx.restore();
+};
+
+/**
+ * Renders a label design on a new canvas, sized for the label at the printer's resolution.
+ * @param {Partial<LabelDesign>} design
+ * @param {CanvasFactory} canvasFactory
+ * @param {object} [options]
+ * @param {CanvasImageSource|null} [options.image] a loaded image, see `design.imagePosition`
+ * @param {number} [options.dotsPerMm] the printer's resolution
+ * @returns {Promise<HTMLCanvasElement>} the label, rotated as it is printed; its 2D context's
+ * `getImageData` gives its ImageData
+ */
+export const renderLabel = async (
+	design,
+	canvasFactory,
+	{ image = null, dotsPerMm = DEFAULT_MODEL.dotsPerMm } = {}
+) => {
+	const { width, height } = { ...DEFAULT_DESIGN, ...design };
+	if (!(width > 0 && height > 0)) throw new Error("label size invalid");
+	const canvas = canvasFactory.createCanvas(
+		Math.round(height * dotsPerMm),
+		Math.round(width * dotsPerMm)
+	);
+	await drawLabel(canvas, design, canvasFactory, image);
+	return canvas;
+};
@@ -0,0 +1,117 @@
+/**
+ * Counters for labels that each carry a number of their own, e.g. "BOX-0001" to "BOX-0100":
+ * `{{counter}}` in a label's text or code data is filled in like a merge field (see merge.js),
+ * with the next value for every label printed.
+ *
+ * A counter counts numbers, or the cells of a grid such as a 96 well plate, row by row:
+ * A01, A02, … A12, B01, … H12, and then A01 again.
+ */
+
+/** The merge field a counter fills in */
+export const COUNTER_FIELD = "counter";
+
+/**
+ * @typedef {object} CounterSettings
+ * @property {"number"|"grid"} type
+ * @property {string} start the first value, e.g. "1" or, for a grid, "A01"
+ * @property {number} step added for each label, a whole number; may be negative for numbers
+ * @property {number} digits numbers are padded with zeros to this many digits
+ * @property {string} end the last cell of a grid, e.g. "H12"
+ * @property {string} prefix put before each value, e.g. "BOX-"
+ * @property {string} suffix put after each value
+ */
+
+/** @type {CounterSettings} */
+export const DEFAULT_COUNTER = Object.freeze({
+	type: "number",
+	start: "1",
+	step: 1,
+	digits: 0,
+	end: "H12",
+	prefix: "",
+	suffix: "",
+});
+
+/**
+ * @param {number} number
+ * @param {number} digits
+ * @returns {string} the number padded with zeros, after its sign
+ */
+const pad = (number, digits) =>
+	(number < 0 ? "-" : "") + String(Math.abs(number)).padStart(digits, "0");
+
+/**
+ * @param {string} letters a row, e.g. "A" or, after "Z", "AA"
+ * @returns {number} its index, from 0
+ */
+const lettersToIndex = (letters) =>
+	[...letters.toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) -
+	1;
+
+/**
+ * @param {number} index from 0
+ * @returns {string} the row's letters
+ */
+const indexToLetters = (index) => {
+	let letters = "";
+	for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+	}
+	return letters;
+};
+
+/**
+ * @param {string} cell e.g. "B07"
+ * @returns {{ row: number, column: number, digits: number }} from 0; digits of its number
+ */
+const parseCell = (cell) => {
+	const match = /^([A-Z]+)(\d+)$/i.exec(cell.trim());
+	if (!match || Number(match[2]) < 1) {
+		throw new Error(`"${cell}" is not a grid cell like A01`);
+	}
+	return { row: lettersToIndex(match[1]), column: Number(match[2]) - 1, digits: match[2].length };
+};
+
+/**
+ * @param {CounterSettings} counter
+ * @param {number} n
+ * @returns {string} the value `n` steps after the start, without prefix and suffix
+ */
+const valueAt = (counter, n) => {
+	if (!Number.isInteger(counter.step)) {
+		throw new Error(`The counter's step ${counter.step} is not a whole number`);
+	}
+	if (counter.type === "grid") {
+		const start = parseCell(counter.start);
+		const end = parseCell(counter.end);
+		const columns = end.column + 1;
+		const cells = (end.row + 1) * columns;
+		if (start.row > end.row || start.column > end.column) {
+			throw new Error(`${counter.start} is outside the grid up to ${counter.end}`);
+		}
+		const position = start.row * columns + start.column + n * counter.step;
+		const cell = ((position % cells) + cells) % cells;
+		const digits = Math.max(start.digits, counter.digits);
+		return indexToLetters(Math.floor(cell / columns)) + pad((cell % columns) + 1, digits);
+	}
+	const start = Number(counter.start);
+	if (counter.start.trim() === "" || !Number.isInteger(start)) {
+		throw new Error(`The counter's start "${counter.start}" is not a whole number`);
+	}
+	return pad(start + n * counter.step, counter.digits);
+};
+
+/**
+ * @param {CounterSettings} counter
+ * @param {number} n how many labels before this one, from 0
+ * @returns {string} the counter's value on that label, e.g. "BOX-0007"
+ */
+export const formatCounter = (counter, n) => counter.prefix + valueAt(counter, n) + counter.suffix;
+
+/**
+ * @param {CounterSettings} counter
+ * @param {number} count how many labels were printed
+ * @returns {string} the start that carries on after them
+ */
+export const advanceCounter = (counter, count) =>
+	counter.type === "grid" ? valueAt(counter, count) : String(Number(valueAt(counter, count)));
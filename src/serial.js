@@ -0,0 +1,304 @@
+import { DEFAULT_MODEL, getModel } from "./models.js";
+import { applyStatusUpdates, createStatus, createStatusDecoder } from "./status.js";
+
+/** localStorage key of the port connected last, see {@link describePort} */
+const LAST_PORT_KEY = "phomemo.lastSerialPort";
+
+/**
+ * Baud rate used unless another is chosen. Bluetooth serial (RFCOMM) links ignore it, USB
+ * adapters need it to match the printer.
+ */
+export const DEFAULT_BAUD_RATE = 115200;
+
+/** Baud rates offered in the UIs. */
+export const BAUD_RATES = [9600, 19200, 38400, 57600, 115200, 230400];
+
+/**
+ * An id and name for a port, in place of a Bluetooth device's. The id stays the same across
+ * sessions, so transfer settings can be remembered per port.
+ * @param {SerialPort} port
+ * @returns {{ id: string, name: string }}
+ */
+const describePort = (port) => {
+	const { usbVendorId, usbProductId, bluetoothServiceClassId } = port.getInfo();
+	const hex = (n) => (n ?? 0).toString(16).padStart(4, "0");
+	if (usbVendorId !== undefined) {
+		const usbId = `${hex(usbVendorId)}:${hex(usbProductId)}`;
+		return { id: `serial:usb:${usbId}`, name: `USB serial ${usbId}` };
+	}
+	if (bluetoothServiceClassId !== undefined) {
+		return { id: `serial:bluetooth:${bluetoothServiceClassId}`, name: "Bluetooth serial port" };
+	}
+	return { id: "serial", name: "Serial port" };
+};
+
+/**
+ * Writes print data to a serial port, standing in for the GATT write characteristic so
+ * `printCanvas` can print over either. Serial ports have no acknowledgements; a write "with
+ * response" waits until the port has taken the bytes, so the next packet is only queued once the
+ * port's buffer has drained.
+ */
+export class SerialPortWriter {
+	/**
+	 * @param {WritableStreamDefaultWriter<Uint8Array>} writer
+	 */
+	constructor(writer) {
+		this.writer = writer;
+	}
+
+	/**
+	 * A failed write errors the port's stream for good, as does losing the port, so there is no
+	 * retrying at safer settings.
+	 * @returns {boolean} false once the stream has failed or the port was closed
+	 */
+	get connected() {
+		try {
+			return this.writer.desiredSize !== null;
+		} catch {
+			return false; // released when the port was closed
+		}
+	}
+
+	/**
+	 * @param {BufferSource} value
+	 * @returns {Promise<void>}
+	 */
+	async writeValueWithResponse(value) {
+		await this.writer.ready;
+		await this.writer.write(toBytes(value));
+	}
+
+	/**
+	 * Only waits while the port's buffer is full. A failed write surfaces on the next one.
+	 * @param {BufferSource} value
+	 * @returns {Promise<void>}
+	 */
+	async writeValueWithoutResponse(value) {
+		await this.writer.ready;
+		this.writer.write(toBytes(value)).catch(() => {});
+	}
+}
+
+/**
+ * @param {BufferSource} value
+ * @returns {Uint8Array} a copy, so the caller may reuse its buffer while the port is still sending
+ */
+const toBytes = (value) =>
+	ArrayBuffer.isView(value)
+		? new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice()
+		: new Uint8Array(value).slice();
+
+/**
+ * A printer connected through the Web Serial API: over USB, or paired as a classic Bluetooth
+ * serial (SPP/RFCOMM) device, which is often more reliable on Linux desktops than GATT.
+ *
+ * Offers the same properties, methods and events as {@link PrinterConnection}, so either can be
+ * printed on. The model cannot be detected from a port, so it is `DEFAULT_MODEL` unless chosen
+ * with `modelId`.
+ */
+export class SerialConnection extends EventTarget {
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.baudRate]
+	 */
+	constructor({ baudRate = DEFAULT_BAUD_RATE } = {}) {
+		super();
+		this.baudRate = baudRate;
+		/** @type {"disconnected"|"connecting"|"connected"} */
+		this.state = "disconnected";
+		/** @type {SerialPort|null} */
+		this.port = null;
+		/** @type {{ id: string, name: string }|null} the port, in the shape of a Bluetooth device */
+		this.device = null;
+		/** @type {SerialPortWriter|null} */
+		this.characteristic = null;
+		/** "auto" for `DEFAULT_MODEL`, or a key of `PRINTER_MODELS` */
+		this.modelId = "auto";
+		/** always null, ports carry no name to detect the model from */
+		this.detectedModel = null;
+		/** @type {import("./status.js").PrinterStatus} */
+		this.status = createStatus();
+		/** @type {Promise<SerialPortWriter>|null} connection attempt in progress */
+		this.opening = null;
+		/** @type {Promise<void>|null} resolves once the status reader has stopped */
+		this.reading = null;
+		/** @type {ReadableStreamDefaultReader<Uint8Array>|null} */
+		this.reader = null;
+		/** @type {Promise<void>|null} closing in progress */
+		this.closing = null;
+		this.handleDisconnected = this.handleDisconnected.bind(this);
+	}
+
+	/** @returns {boolean} true if the port is open and ready to be written to */
+	get connected() {
+		return this.state === "connected" && this.characteristic !== null;
+	}
+
+	/** @returns {import("./models.js").PrinterModel} */
+	get model() {
+		return this.modelId !== "auto" ? getModel(this.modelId) : DEFAULT_MODEL;
+	}
+
+	/**
+	 * @param {"disconnected"|"connecting"|"connected"} state
+	 */
+	setState(state) {
+		if (this.state === state) return;
+		this.state = state;
+		this.dispatchEvent(new CustomEvent("statechange", { detail: { state, device: this.device } }));
+	}
+
+	/**
+	 * Shows the browser's port chooser and opens the selected port.
+	 * @returns {Promise<SerialPortWriter>}
+	 */
+	async connect() {
+		const port = await navigator.serial.requestPort();
+		return this.open(port);
+	}
+
+	/**
+	 * Reopens the port used last, without showing the chooser.
+	 * @returns {Promise<SerialPortWriter|null>} null if the port is not available
+	 */
+	async restore() {
+		if (!navigator.serial) return null;
+
+		const lastId = localStorage.getItem(LAST_PORT_KEY);
+		const ports = await navigator.serial.getPorts();
+		const port = ports.find((p) => describePort(p).id === lastId);
+		if (!port) return null;
+
+		try {
+			return await this.open(port);
+		} catch (err) {
+			console.warn("Could not reopen previous serial port:", err);
+			return null;
+		}
+	}
+
+	/**
+	 * Returns the writer for the port, opening it first if needed.
+	 * @returns {Promise<SerialPortWriter>}
+	 */
+	async getCharacteristic() {
+		if (this.connected) return this.characteristic;
+		if (this.port) {
+			try {
+				return await this.open(this.port);
+			} catch (err) {
+				console.warn("Reopening the port failed, asking for a port:", err);
+			}
+		}
+		return this.connect();
+	}
+
+	/**
+	 * Opens the port. Concurrent calls for the same port share a single attempt.
+	 * @param {SerialPort} port
+	 * @returns {Promise<SerialPortWriter>}
+	 */
+	open(port) {
+		if (this.opening && this.port === port) return this.opening;
+		this.opening = this.openPort(port).finally(() => {
+			this.opening = null;
+		});
+		return this.opening;
+	}
+
+	/**
+	 * @param {SerialPort} port
+	 * @returns {Promise<SerialPortWriter>}
+	 */
+	async openPort(port) {
+		if (this.state !== "disconnected") await this.close();
+		this.port = port;
+		this.device = describePort(port);
+
+		this.setState("connecting");
+		try {
+			await port.open({ baudRate: this.baudRate });
+		} catch (err) {
+			this.setState("disconnected");
+			throw err;
+		}
+		port.addEventListener("disconnect", this.handleDisconnected);
+		this.characteristic = new SerialPortWriter(port.writable.getWriter());
+		this.reading = this.readStatus(port);
+
+		localStorage.setItem(LAST_PORT_KEY, this.device.id);
+		this.setState("connected");
+		return this.characteristic;
+	}
+
+	/**
+	 * Reads status frames until the port is closed or fails.
+	 * @param {SerialPort} port
+	 */
+	async readStatus(port) {
+		this.status = createStatus();
+		const decode = createStatusDecoder();
+		this.reader = port.readable.getReader();
+		try {
+			for (;;) {
+				const { value, done } = await this.reader.read();
+				if (done) break;
+				const updates = decode(value);
+				if (updates.length === 0) continue;
+				this.status = applyStatusUpdates(this.status, updates);
+				this.dispatchEvent(new CustomEvent("status", { detail: { status: this.status, updates } }));
+			}
+		} catch (err) {
+			// The link dropped; the port has to be closed before it can be opened again
+			console.warn("Reading from the serial port failed:", err);
+			this.close();
+		} finally {
+			this.reader.releaseLock();
+			this.reader = null;
+		}
+	}
+
+	/**
+	 * Releases the port's streams and closes it. Concurrent calls, e.g. from a failed read and the
+	 * port's `disconnect` event, share a single attempt.
+	 * @returns {Promise<void>}
+	 */
+	close() {
+		if (this.closing) return this.closing;
+		this.closing = this.closePort().finally(() => {
+			this.closing = null;
+		});
+		return this.closing;
+	}
+
+	async closePort() {
+		const { port, characteristic, reader, reading } = this;
+		if (this.state === "disconnected") return;
+		this.characteristic = null;
+		port?.removeEventListener("disconnect", this.handleDisconnected);
+		characteristic?.writer.releaseLock();
+		if (reader) {
+			await reader.cancel().catch(() => {});
+			await reading;
+		}
+		try {
+			await port?.close();
+		} catch (err) {
+			console.warn("Closing the serial port failed:", err);
+		}
+		this.setState("disconnected");
+	}
+
+	/**
+	 * Closes the port.
+	 * @returns {Promise<void>}
+	 */
+	disconnect() {
+		return this.close();
+	}
+
+	/** The port was unplugged or its Bluetooth link lost. */
+	handleDisconnected() {
+		this.close();
+	}
+}
@@ -0,0 +1,149 @@
+/**
+ * Decoding of the status frames the printer sends on its notify characteristic.
+ *
+ * Every frame is three bytes, `0x1a <kind> <value>`, and several frames can arrive in a single
+ * notification. Codes adapted from {@link https://github.com/vivier/phomemo-tools}
+ */
+
+const FRAME_START = 0x1a;
+const FRAME_LENGTH = 3;
+
+const KIND_TEMPERATURE = 0x03;
+const KIND_BATTERY = 0x04;
+const KIND_COVER = 0x05;
+const KIND_PAPER = 0x06;
+const KIND_PRINT = 0x0f;
+
+/**
+ * @typedef {object} PrinterStatus
+ * @property {boolean|null} paper true if paper is loaded, null if not reported yet
+ * @property {boolean|null} coverOpen
+ * @property {boolean|null} overheated
+ * @property {number|null} battery battery level as reported by the printer (0-100)
+ */
+
+/** @returns {PrinterStatus} a status with nothing reported yet */
+export const createStatus = () => ({
+	paper: null,
+	coverOpen: null,
+	overheated: null,
+	battery: null,
+});
+
+/**
+ * @typedef {object} StatusUpdate
+ * @property {"paper"|"cover"|"temperature"|"battery"|"finished"|"unknown"} type
+ * @property {boolean|number|null} value
+ * @property {Uint8Array} raw the frame this update was decoded from
+ */
+
+/**
+ * Decodes a single three byte frame.
+ * @param {Uint8Array} frame
+ * @returns {StatusUpdate}
+ */
+const decodeFrame = (frame) => {
+	const [, kind, value] = frame;
+	switch (kind) {
+		case KIND_PAPER:
+			// 0x88 = no paper, 0x89 = paper loaded
+			return { type: "paper", value: value === 0x89, raw: frame };
+		case KIND_COVER:
+			// 0x88 = open, 0x99 = closed
+			return { type: "cover", value: value === 0x88, raw: frame };
+		case KIND_TEMPERATURE:
+			// 0xa9 = overheated, 0xa8 = back to normal
+			return { type: "temperature", value: value === 0xa9, raw: frame };
+		case KIND_BATTERY:
+			return { type: "battery", value: Math.min(100, value), raw: frame };
+		case KIND_PRINT:
+			// 0x0c = last job finished printing
+			return { type: "finished", value: value === 0x0c, raw: frame };
+		default:
+			return { type: "unknown", value: null, raw: frame };
+	}
+};
+
+/**
+ * Splits a notification payload into frames and decodes each of them.
+ * @param {DataView|Uint8Array} data the value of the notify characteristic
+ * @returns {StatusUpdate[]}
+ */
+export const decodeStatus = (data) => {
+	const bytes =
+		data instanceof Uint8Array
+			? data
+			: new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+	const updates = [];
+
+	for (let i = 0; i + FRAME_LENGTH <= bytes.length; ) {
+		if (bytes[i] !== FRAME_START) {
+			// Resynchronise on the next frame start
+			i++;
+			continue;
+		}
+		updates.push(decodeFrame(bytes.slice(i, i + FRAME_LENGTH)));
+		i += FRAME_LENGTH;
+	}
+
+	return updates;
+};
+
+/**
+ * Creates a decoder for status frames read from a byte stream, such as a serial port, where a
+ * frame can be split between two reads. The bytes of an incomplete frame are kept for the next
+ * call.
+ * @returns {(chunk: Uint8Array) => StatusUpdate[]}
+ */
+export const createStatusDecoder = () => {
+	let pending = new Uint8Array(0);
+	return (chunk) => {
+		const bytes = new Uint8Array(pending.length + chunk.length);
+		bytes.set(pending);
+		bytes.set(chunk, pending.length);
+		const updates = [];
+
+		let i = 0;
+		while (i < bytes.length) {
+			if (bytes[i] !== FRAME_START) {
+				i++;
+				continue;
+			}
+			if (i + FRAME_LENGTH > bytes.length) break;
+			updates.push(decodeFrame(bytes.slice(i, i + FRAME_LENGTH)));
+			i += FRAME_LENGTH;
+		}
+
+		pending = bytes.slice(i);
+		return updates;
+	};
+};
+
+/**
+ * Applies decoded updates to a status object.
+ * @param {PrinterStatus} status
+ * @param {StatusUpdate[]} updates
+ * @returns {PrinterStatus} a new status object
+ */
+export const applyStatusUpdates = (status, updates) => {
+	const next = { ...status };
+	for (const { type, value } of updates) {
+		if (type === "paper") next.paper = value;
+		else if (type === "cover") next.coverOpen = value;
+		else if (type === "temperature") next.overheated = value;
+		else if (type === "battery") next.battery = value;
+	}
+	return next;
+};
+
+/**
+ * Describes the most important problem with the printer, if any.
+ * @param {PrinterStatus} status
+ * @returns {string|null} a short human readable message, or null if nothing is wrong
+ */
+export const describeProblem = (status) => {
+	if (status.coverOpen) return "Cover open";
+	if (status.paper === false) return "Out of paper";
+	if (status.overheated) return "Overheated";
+	return null;
+};
@@ -0,0 +1,288 @@
+/**
+ * Named label templates, kept in the browser's IndexedDB so they outlast a reload, and written to
+ * and read from JSON files to share them:
+ *
+ *     { "format": "phomemo-templates", "version": 1, "templates": [{ "name": "Shelf", ... }] }
+ *
+ * A template holds an editor's whole design, images included as data URLs. The UIs design labels
+ * differently, so each template records the UI it was saved in, and each UI lists only its own.
+ */
+
+const DB_NAME = "phomemo";
+const DB_VERSION = 1;
+const STORE = "templates";
+
+/** `format` of template files */
+export const TEMPLATE_FILE_FORMAT = "phomemo-templates";
+const TEMPLATE_FILE_VERSION = 1;
+
+/**
+ * @typedef {object} LabelTemplate
+ * @property {string} id
+ * @property {string} name
+ * @property {string} ui the UI it was saved in, e.g. "narrowstack" or "benni"
+ * @property {object} design the UI's design, with images as data URLs
+ * @property {number} savedAt when it was last saved or renamed, in ms since 1970
+ */
+
+/** @type {Promise<IDBDatabase>|null} */
+let database = null;
+
+/**
+ * @param {IDBRequest|IDBTransaction} request
+ * @returns {Promise<any>} the request's result once it succeeds
+ */
+const settle = (request) =>
+	new Promise((resolve, reject) => {
+		if (request instanceof IDBTransaction) {
+			request.addEventListener("complete", () => resolve());
+			request.addEventListener("abort", () => reject(request.error));
+		} else {
+			request.addEventListener("success", () => resolve(request.result));
+		}
+		request.addEventListener("error", () => reject(request.error));
+	});
+
+/** @returns {Promise<IDBDatabase>} */
+const openDatabase = () => {
+	if (!database) {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.addEventListener("upgradeneeded", () => {
+			request.result.createObjectStore(STORE, { keyPath: "id" });
+		});
+		database = settle(request).catch((err) => {
+			database = null; // e.g. storage disabled in a private window; try again next time
+			throw err;
+		});
+	}
+	return database;
+};
+
+/**
+ * Runs a function on the template store in one transaction, which is aborted if it throws.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} run
+ * @returns {Promise<any>} the result of the request `run` returns, once the transaction completes
+ */
+const withStore = async (mode, run) => {
+	const transaction = (await openDatabase()).transaction(STORE, mode);
+	let request;
+	try {
+		request = run(transaction.objectStore(STORE));
+	} catch (err) {
+		transaction.abort(); // keeps what `run` did before it failed from being saved
+		throw err;
+	}
+	const [result] = await Promise.all([request && settle(request), settle(transaction)]);
+	return result;
+};
+
+/**
+ * @param {string} [ui] only the templates of this UI
+ * @returns {Promise<LabelTemplate[]>} sorted by name
+ */
+export const listTemplates = async (ui) => {
+	/** @type {LabelTemplate[]} */
+	const templates = await withStore("readonly", (store) => store.getAll());
+	return templates
+		.filter((template) => !ui || template.ui === ui)
+		.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+};
+
+/**
+ * @param {{ id?: string, name: string, ui: string, design: object }} template
+ * @param {number} [savedAt] when it was saved, by default now
+ * @returns {LabelTemplate} the template as it is stored, with an id of its own if it had none
+ */
+const toStoredTemplate = ({ id, name, ui, design }, savedAt = Date.now()) => ({
+	id: id ?? `template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+	name: name.trim(),
+	ui,
+	design,
+	savedAt,
+});
+
+/**
+ * Saves a template; one with the `id` of a saved template replaces it.
+ * @param {{ id?: string, name: string, ui: string, design: object }} template
+ * @returns {Promise<LabelTemplate>} as saved
+ */
+export const saveTemplate = async (template) => {
+	if (!template.name.trim()) throw new Error("A template needs a name");
+	const stored = toStoredTemplate(template);
+	await withStore("readwrite", (store) => store.put(stored));
+	return stored;
+};
+
+/**
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<LabelTemplate>} the renamed template
+ */
+export const renameTemplate = async (id, name) => {
+	const template = await withStore("readonly", (store) => store.get(id));
+	if (!template) throw new Error("The template no longer exists");
+	return saveTemplate({ ...template, name });
+};
+
+/**
+ * @param {string} id
+ */
+export const deleteTemplate = (id) => withStore("readwrite", (store) => store.delete(id));
+
+/**
+ * @param {LabelTemplate[]} templates
+ * @returns {Blob} a template file holding them
+ */
+export const exportTemplates = (templates) => {
+	const file = {
+		format: TEMPLATE_FILE_FORMAT,
+		version: TEMPLATE_FILE_VERSION,
+		templates: templates.map(({ name, ui, design, savedAt }) => ({ name, ui, design, savedAt })),
+	};
+	return new Blob([JSON.stringify(file, null, "\t")], { type: "application/json" });
+};
+
+/**
+ * @param {any} template from a template file
+ * @returns {boolean} true if it can be saved
+ */
+const isValidTemplate = (template) =>
+	typeof template?.name === "string" &&
+	template.name.trim() !== "" &&
+	typeof template.ui === "string" &&
+	typeof template.design === "object" &&
+	template.design !== null &&
+	!Array.isArray(template.design);
+
+/**
+ * Reads a template file.
+ * @param {string} text the file's content
+ * @returns {LabelTemplate[]} its templates, ready to be saved next to the saved ones; each keeps
+ * the date it was saved on, if the file tells
+ * @throws {Error} if the file is not a template file
+ */
+export const readTemplateFile = (text) => {
+	let file;
+	try {
+		file = JSON.parse(text);
+	} catch {
+		throw new Error("The file is not JSON");
+	}
+	if (file?.format !== TEMPLATE_FILE_FORMAT || !Array.isArray(file.templates)) {
+		throw new Error("The file holds no label templates");
+	}
+	if (file.version > TEMPLATE_FILE_VERSION) {
+		throw new Error("The templates were saved by a newer version of this page");
+	}
+	if (!file.templates.every(isValidTemplate)) {
+		throw new Error("Some templates in the file are broken");
+	}
+
+	return file.templates.map(({ name, ui, design, savedAt }) =>
+		toStoredTemplate({ name, ui, design }, Number.isFinite(savedAt) ? savedAt : undefined)
+	);
+};
+
+/**
+ * Reads a template file and saves the templates in it next to the saved ones, which keep their
+ * names even where they are the same. The templates are saved in one transaction: either all of
+ * them or, if saving fails, none.
+ * @param {string} text the file's content
+ * @returns {Promise<LabelTemplate[]>} the templates as saved
+ * @throws {Error} if the file is not a template file or saving failed; then none of its templates
+ * are saved
+ */
+export const importTemplates = async (text) => {
+	const templates = readTemplateFile(text);
+	await withStore("readwrite", (store) => {
+		for (const template of templates) store.put(template);
+	});
+	return templates;
+};
+
+/**
+ * @param {LabelTemplate} template
+ * @param {object} defaults the editor's default design
+ * @returns {object} the template's design; settings it lacks, e.g. in a file made by an older
+ * version, are the defaults, and settings the editor lacks are left out
+ */
+export const fillTemplateDesign = ({ design }, defaults) => ({
+	...defaults,
+	...Object.fromEntries(Object.entries(design).filter(([key]) => Object.hasOwn(defaults, key))),
+});
+
+/**
+ * The templates of one UI, as its template list shows them. Dispatches `change` whenever one of
+ * them is saved, renamed, deleted or imported.
+ */
+export class TemplateLibrary extends EventTarget {
+	/**
+	 * @param {string} ui see {@link LabelTemplate}
+	 */
+	constructor(ui) {
+		super();
+		this.ui = ui;
+	}
+
+	emitChange() {
+		this.dispatchEvent(new CustomEvent("change"));
+	}
+
+	/** @returns {Promise<LabelTemplate[]>} sorted by name */
+	list() {
+		return listTemplates(this.ui);
+	}
+
+	/**
+	 * Saves a design under a name. A template of the same name is replaced, if `confirmReplace`
+	 * agrees.
+	 * @param {string} name
+	 * @param {object} design
+	 * @param {(name: string) => boolean|Promise<boolean>} [confirmReplace]
+	 * @returns {Promise<LabelTemplate|null>} as saved, or null if replacing was declined
+	 */
+	async save(name, design, confirmReplace = () => true) {
+		const existing = (await this.list()).find((template) => template.name === name.trim());
+		if (existing && !(await confirmReplace(existing.name))) return null;
+		const template = await saveTemplate({ id: existing?.id, name, ui: this.ui, design });
+		this.emitChange();
+		return template;
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {string} name
+	 */
+	async rename(id, name) {
+		await renameTemplate(id, name);
+		this.emitChange();
+	}
+
+	/**
+	 * @param {string} id
+	 */
+	async delete(id) {
+		await deleteTemplate(id);
+		this.emitChange();
+	}
+
+	/** @returns {Promise<Blob>} a template file holding all of the UI's templates */
+	async export() {
+		return exportTemplates(await this.list());
+	}
+
+	/**
+	 * Saves the templates of a template file, see {@link importTemplates}.
+	 * @param {string} text the file's content
+	 * @returns {Promise<string>} what was imported, to show the user
+	 */
+	async import(text) {
+		const templates = await importTemplates(text);
+		this.emitChange();
+		const own = templates.filter((template) => template.ui === this.ui).length;
+		return own < templates.length
+			? `Imported ${own} templates; ${templates.length - own} are for the other UI.`
+			: `Imported ${own} templates.`;
+	}
+}
@@ -0,0 +1,162 @@
+/**
+ * How print data is split into Bluetooth packets, and how fast they are written.
+ *
+ * Writing every packet with response waits a full round trip per packet. Writing without
+ * response is much faster, but a printer that cannot keep up silently runs out of buffer. The
+ * middle ground used here is a credit window: up to `window - 1` packets are written without
+ * response, then one with response, which the printer only acknowledges once it has everything
+ * before it.
+ */
+
+/** localStorage key holding the transfer settings of every device tuned so far. */
+const STORAGE_KEY = "phomemo.transferSettings";
+
+/** Smallest packet backing off may go down to; the payload of the minimum BLE MTU. */
+const MIN_PACKET_SIZE = 20;
+
+/**
+ * Where print data is written to: the printer's GATT write characteristic, a
+ * `SerialPortWriter` or a `MockPrinter`.
+ * @typedef {object} PrintTarget
+ * @property {(value: BufferSource) => Promise<void>} writeValueWithResponse resolves once the
+ * printer has taken this and every earlier write
+ * @property {(value: BufferSource) => Promise<void>} writeValueWithoutResponse may resolve before
+ * the data has left the computer
+ * @property {boolean} [connected] false once the link to the printer is lost; a GATT
+ * characteristic tells through its device instead
+ */
+
+/**
+ * @typedef {object} TransferSettings
+ * @property {number} packetSize bytes written per Bluetooth packet
+ * @property {number} window packets per acknowledged write; 1 writes every packet with response
+ */
+
+/**
+ * The classic behaviour: 128 byte packets, each written with response.
+ * @type {TransferSettings}
+ */
+export const SAFE_TRANSFER = { packetSize: 128, window: 1 };
+
+/**
+ * Settings tried by the benchmark, from the safest to the fastest.
+ * @type {TransferSettings[]}
+ */
+export const TRANSFER_CANDIDATES = [
+	SAFE_TRANSFER,
+	{ packetSize: 128, window: 4 },
+	{ packetSize: 128, window: 8 },
+	{ packetSize: 180, window: 8 },
+	{ packetSize: 240, window: 8 },
+	{ packetSize: 240, window: 16 },
+];
+
+/**
+ * @param {PrintTarget} characteristic
+ * @returns {boolean} false if the link to the printer is known to be lost, so a failed write is
+ * no reason to try safer settings
+ */
+const isConnected = (characteristic) => {
+	const gatt = characteristic.service?.device?.gatt;
+	return (gatt ? gatt.connected : characteristic.connected) ?? true;
+};
+
+/**
+ * Writes packets according to {@link TransferSettings}, backing off to safer settings when a
+ * write fails.
+ */
+export class PacketWriter {
+	/**
+	 * @param {PrintTarget} characteristic
+	 * @param {TransferSettings} settings
+	 * @param {(settings: TransferSettings) => void} [onBackOff] called with the safer settings
+	 * whenever a failed write made the writer back off
+	 */
+	constructor(characteristic, settings, onBackOff) {
+		this.characteristic = characteristic;
+		/** @type {TransferSettings} */
+		this.settings = { ...settings };
+		this.onBackOff = onBackOff;
+		/** packets written without response since the last acknowledged one */
+		this.unacknowledged = 0;
+	}
+
+	get packetSize() {
+		return this.settings.packetSize;
+	}
+
+	/**
+	 * Writes one packet.
+	 * @param {Uint8Array} packet at most {@link PacketWriter#packetSize} bytes
+	 * @param {boolean} [acknowledge] wait for the printer to acknowledge this and earlier packets
+	 * @returns {Promise<boolean>} true if this packet and all earlier ones were acknowledged
+	 */
+	async write(packet, acknowledge = false) {
+		if (!acknowledge && this.unacknowledged + 1 < this.settings.window) {
+			await this.characteristic.writeValueWithoutResponse(packet);
+			this.unacknowledged++;
+			return false;
+		}
+		await this.characteristic.writeValueWithResponse(packet);
+		this.unacknowledged = 0;
+		return true;
+	}
+
+	/**
+	 * Switches to safer settings after a failed write, so the packet can be tried again.
+	 * Smaller windows are tried first, then smaller packets.
+	 * @returns {boolean} false if the write should not be retried: the printer is disconnected or
+	 * the settings are as safe as they get
+	 */
+	backOff() {
+		if (!isConnected(this.characteristic)) return false;
+
+		const { packetSize, window } = this.settings;
+		if (window > 1) {
+			this.settings = { packetSize, window: Math.floor(window / 2) };
+		} else if (packetSize > MIN_PACKET_SIZE) {
+			this.settings = { packetSize: Math.max(MIN_PACKET_SIZE, Math.floor(packetSize / 2)), window };
+		} else {
+			return false;
+		}
+
+		this.unacknowledged = 0;
+		this.onBackOff?.(this.settings);
+		return true;
+	}
+}
+
+const readAll = () => {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+	} catch {
+		return {};
+	}
+};
+
+/**
+ * @param {string} deviceId e.g. `BluetoothDevice.id`
+ * @returns {TransferSettings|null} null if the device was never tuned
+ */
+export const loadTransferSettings = (deviceId) => readAll()[deviceId] || null;
+
+/**
+ * @param {string} deviceId
+ * @param {TransferSettings} settings
+ */
+export const saveTransferSettings = (deviceId, settings) => {
+	const all = readAll();
+	all[deviceId] = settings;
+	localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+};
+
+/**
+ * Options for `printCanvas` that use the settings remembered for a device, and remember safer
+ * ones once a print had to back off and went through at them.
+ * @param {string} deviceId
+ * @returns {{ transfer?: TransferSettings, onTransferAdjusted: (settings: TransferSettings) => void }}
+ */
+export const rememberedTransferOptions = (deviceId) => ({
+	transfer: loadTransferSettings(deviceId) || undefined,
+	onTransferAdjusted: (settings) => saveTransferSettings(deviceId, settings),
+});
@@ -0,0 +1,137 @@
+/**
+ * Undo and redo for the editors. The editor records a snapshot of its design after every change;
+ * undoing hands back the snapshot before it, for the editor to put back into its controls.
+ *
+ * Snapshots are plain objects, compared key by key with `Object.is`, so values that are objects,
+ * such as images or element arrays, must be replaced rather than changed in place. Changes to the
+ * same settings in quick succession, e.g. while dragging a slider or typing, become one step.
+ */
+
+/**
+ * @param {object} a
+ * @param {object} b
+ * @returns {string[]} the keys whose values differ
+ */
+const changedKeys = (a, b) =>
+	[...new Set([...Object.keys(a), ...Object.keys(b)])].filter((key) => !Object.is(a[key], b[key]));
+
+/**
+ * Snapshots of a design, with the current one at `index`. Fires "change" whenever what can be
+ * undone or redone changes.
+ */
+export class UndoHistory extends EventTarget {
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.limit] how many steps are kept
+	 * @param {number} [options.coalesceMs] changes to the same settings within this time of each
+	 * other become one step
+	 */
+	constructor({ limit = 100, coalesceMs = 1000 } = {}) {
+		super();
+		this.limit = limit;
+		this.coalesceMs = coalesceMs;
+		/** @type {object[]} */
+		this.states = [];
+		this.index = -1;
+		/** @type {{ keys: string, time: number }|null} the last step, while it can still grow */
+		this.lastStep = null;
+	}
+
+	get canUndo() {
+		return this.index > 0;
+	}
+
+	get canRedo() {
+		return this.index < this.states.length - 1;
+	}
+
+	/**
+	 * Forgets all steps, e.g. once a design has been loaded.
+	 * @param {object} state the current snapshot
+	 */
+	reset(state) {
+		this.states = [state];
+		this.index = 0;
+		this.lastStep = null;
+		this.dispatchEvent(new CustomEvent("change"));
+	}
+
+	/**
+	 * Records a snapshot after a change; nothing happens if it equals the current one. Any steps
+	 * that were undone are dropped.
+	 * @param {object} state
+	 */
+	record(state) {
+		if (this.index < 0) {
+			this.reset(state);
+			return;
+		}
+		const keys = changedKeys(this.states[this.index], state);
+		if (!keys.length) return;
+
+		const now = Date.now();
+		const step = { keys: keys.sort().join(), time: now };
+		const coalesce =
+			this.lastStep?.keys === step.keys &&
+			now - this.lastStep.time <= this.coalesceMs &&
+			!this.canRedo;
+		this.lastStep = step;
+		if (coalesce) {
+			// Only the settings of the step changed since it began, or they changed back
+			this.states[this.index] = state;
+			if (!changedKeys(this.states[this.index - 1], state).length) {
+				this.states.pop();
+				this.index--;
+				this.lastStep = null;
+				this.dispatchEvent(new CustomEvent("change"));
+			}
+			return;
+		}
+
+		this.states.splice(this.index + 1, Infinity, state);
+		if (this.states.length > this.limit + 1) this.states.shift();
+		this.index = this.states.length - 1;
+		this.dispatchEvent(new CustomEvent("change"));
+	}
+
+	/**
+	 * Ends the current step, so the next change starts a new one even if it follows quickly, e.g.
+	 * when a slider is let go.
+	 */
+	checkpoint() {
+		this.lastStep = null;
+	}
+
+	/**
+	 * @returns {object|null} the snapshot to restore, or null if there is nothing to undo
+	 */
+	undo() {
+		if (!this.canUndo) return null;
+		this.index--;
+		this.lastStep = null;
+		this.dispatchEvent(new CustomEvent("change"));
+		return this.states[this.index];
+	}
+
+	/**
+	 * @returns {object|null} the snapshot to restore, or null if there is nothing to redo
+	 */
+	redo() {
+		if (!this.canRedo) return null;
+		this.index++;
+		this.lastStep = null;
+		this.dispatchEvent(new CustomEvent("change"));
+		return this.states[this.index];
+	}
+}
+
+/**
+ * @param {KeyboardEvent} event
+ * @returns {"undo"|"redo"|null} what the keys pressed ask for: Ctrl+Z undoes, Ctrl+Shift+Z and
+ * Ctrl+Y redo, with ⌘ for Ctrl on a Mac
+ */
+export const getUndoShortcut = ({ key, ctrlKey, metaKey, altKey, shiftKey }) => {
+	if (!(ctrlKey || metaKey) || altKey) return null;
+	if (key.toLowerCase() === "z") return shiftKey ? "redo" : "undo";
+	return key.toLowerCase() === "y" && !shiftKey ? "redo" : null;
+};
@@ -0,0 +1,124 @@
+/**
+ * Label designs in page URLs, for bookmarks and for links that print a label in one click:
+ *
+ *     narrowstack-ui/#text=Server+12&codeType=qr&codeData=https%3A%2F%2Fwiki%2Fserver-12&autoprint
+ *
+ * Settings go in the hash, which is not sent to the server, or in the query string; where both
+ * hold a setting, the hash wins. Each UI names the settings after the fields of its design, and
+ * links only hold those that differ from the UI's defaults. Settings holding objects or arrays,
+ * such as freely placed elements, are written as JSON.
+ */
+
+/** Flag asking to print the label as soon as a printer is connected. */
+const AUTOPRINT = "autoprint";
+
+/**
+ * @param {string|null} value
+ * @returns {boolean} false for "0" and "false", true for anything else, including ""
+ */
+const parseFlag = (value) => value !== null && value !== "0" && value !== "false";
+
+/**
+ * @param {string} value
+ * @returns {any} the parsed value, or undefined if it is not JSON
+ */
+const parseJson = (value) => {
+	try {
+		return JSON.parse(value);
+	} catch {
+		return undefined;
+	}
+};
+
+/**
+ * @param {any} value a setting's value
+ * @returns {string|number} the value as it is written into links
+ */
+const formatValue = (value) => {
+	if (typeof value === "boolean") return Number(value);
+	return typeof value === "object" ? JSON.stringify(value) : value;
+};
+
+/**
+ * Reads a design from a URL.
+ * @param {URL|Location} url
+ * @param {object} defaults a complete design; only its fields are read, and converted to the type
+ * of its value
+ * @returns {{ design: object, autoprint: boolean }} the settings found, which may be none
+ */
+export const readDesignFromUrl = (url, defaults) => {
+	const params = new URLSearchParams(url.search);
+	for (const [key, value] of new URLSearchParams(url.hash.slice(1))) params.set(key, value);
+
+	const design = {};
+	for (const [key, value] of params) {
+		if (!Object.hasOwn(defaults, key)) continue;
+		const type = typeof defaults[key];
+		if (type === "number") {
+			if (value !== "" && Number.isFinite(Number(value))) design[key] = Number(value);
+		} else if (type === "boolean") {
+			design[key] = parseFlag(value);
+		} else if (type === "object") {
+			const parsed = parseJson(value);
+			const isArray = Array.isArray(defaults[key]);
+			if (parsed && typeof parsed === "object" && Array.isArray(parsed) === isArray) {
+				design[key] = parsed;
+			}
+		} else {
+			design[key] = value;
+		}
+	}
+	return { design, autoprint: parseFlag(params.get(AUTOPRINT)) };
+};
+
+/**
+ * Creates a link to a page showing a design.
+ * @param {object} design
+ * @param {object} defaults settings equal to these are left out
+ * @param {object} [options]
+ * @param {string} [options.base] the page, by default the current one
+ * @param {boolean} [options.autoprint] print the label as soon as a printer is connected
+ * @returns {string}
+ */
+export const createDesignUrl = (
+	design,
+	defaults,
+	{ base = location.href, autoprint = false } = {}
+) => {
+	const url = new URL(base);
+	// Settings in the query string would take effect where the hash leaves them out
+	for (const key of [...Object.keys(defaults), AUTOPRINT]) url.searchParams.delete(key);
+
+	const params = new URLSearchParams();
+	for (const [key, value] of Object.entries(design)) {
+		if (!Object.hasOwn(defaults, key)) continue;
+		if (formatValue(value) === formatValue(defaults[key])) continue;
+		params.set(key, formatValue(value));
+	}
+	if (autoprint) params.set(AUTOPRINT, "1");
+	url.hash = params.toString();
+	return url.href;
+};
+
+/**
+ * Prints a label opened from a link with the autoprint flag, once, as soon as a printer is ready.
+ * The flag is dropped from the address bar first, so reloading the page or bookmarking it does
+ * not print again.
+ * @param {object} options
+ * @param {string} options.url the page's link without the flag, see {@link createDesignUrl}
+ * @param {() => boolean} options.isReady whether a printer is ready
+ * @param {(check: () => void) => void} options.onChange registers `check` to be called whenever
+ * a printer may have become ready, e.g. on connecting
+ * @param {() => void} options.print prints the label
+ */
+export const autoprintWhenReady = ({ url, isReady, onChange, print }) => {
+	history.replaceState(null, "", url);
+	let pending = true;
+	const check = () => {
+		if (!pending || !isReady()) return;
+		pending = false;
+		print();
+	};
+	onChange(check);
+	check();
+};
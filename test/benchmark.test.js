@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { benchmarkTransfer } from "../src/benchmark.js";
+import { MockPrinter } from "../src/mock-printer.js";
+import { SAFE_TRANSFER } from "../src/transport.js";
+
+test("the fastest setting the printer keeps up with wins", async () => {
+	// Unacknowledged packets are cheap, but the printer buffers only 6 of them
+	const printer = new MockPrinter({ latencyMs: 2, bufferPackets: 6 });
+	const candidates = [
+		SAFE_TRANSFER,
+		{ packetSize: 128, window: 4 },
+		{ packetSize: 128, window: 16 },
+	];
+	const reported = [];
+	const { results, fastest } = await benchmarkTransfer(printer, {
+		candidates,
+		rows: 100,
+		delayMs: 0,
+		onResult: (result) => reported.push(result),
+	});
+
+	assert.deepEqual(reported, results);
+	assert.deepEqual(
+		results.map(({ settings, stable }) => [settings, stable]),
+		[
+			[SAFE_TRANSFER, true],
+			[candidates[1], true],
+			[candidates[2], false],
+		]
+	);
+	assert.ok(results[1].bytesPerSecond > results[0].bytesPerSecond);
+	assert.deepEqual(fastest, candidates[1]);
+	// Every test label still arrived in full, the unstable one at safer settings
+	assert.equal(printer.jobs.length, 3);
+	assert.ok(printer.jobs.every((job) => job.complete));
+});
+
+test("without a stable setting the safe one is kept", async () => {
+	const printer = new MockPrinter({ bufferPackets: 0 });
+	const { fastest } = await benchmarkTransfer(printer, {
+		candidates: [{ packetSize: 128, window: 4 }],
+		rows: 20,
+		delayMs: 0,
+	});
+	assert.deepEqual(fastest, SAFE_TRANSFER);
+});
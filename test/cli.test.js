@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import test from "node:test";
+import { promisify } from "node:util";
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+import { drawText } from "canvas-txt";
+import JsBarcode from "jsbarcode";
+import QRCode from "qrcode";
+import { MockPrinter } from "../src/mock-printer.js";
+import { renderLabel } from "../src/render.js";
+
+const CLI = new URL("../tools/phomemo-label.mjs", import.meta.url).pathname;
+const canvasFactory = { createCanvas, drawText, QRCode, JsBarcode };
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * @param {string} dir working directory
+ * @param {string[]} args
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+const phomemoLabel = (dir, args) => execFileAsync(process.execPath, [CLI, ...args], { cwd: dir });
+
+/**
+ * Runs a test in a fresh directory, removed afterwards.
+ * @param {(dir: string) => Promise<void>} run
+ */
+const inTempDir = async (run) => {
+	const dir = await mkdtemp(join(tmpdir(), "phomemo-label-"));
+	try {
+		await run(dir);
+	} finally {
+		await rm(dir, { recursive: true, force: true });
+	}
+};
+
+/**
+ * @param {import("@napi-rs/canvas").Canvas} canvas
+ * @returns {ImageData}
+ */
+const getImageData = (canvas) =>
+	canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+
+test("render writes the byte stream the printer needs for the label", () =>
+	inTempDir(async (dir) => {
+		await phomemoLabel(dir, [
+			"render",
+			"--text",
+			"Server 12",
+			"--qr",
+			"https://example.com/12",
+			"--size",
+			"40x15",
+			"--density",
+			"6",
+			"-o",
+			"label.bin",
+		]);
+		const printer = new MockPrinter();
+		printer.consume(await readFile(join(dir, "label.bin")));
+		const [job] = printer.jobs;
+		assert.ok(job.complete);
+		assert.equal(job.density, 6);
+
+		const canvas = await renderLabel(
+			{
+				text: "Server 12",
+				codeType: "qr",
+				codeData: "https://example.com/12",
+				width: 40,
+				height: 15,
+			},
+			canvasFactory
+		);
+		assert.equal(printer.compare(getImageData(canvas), { job }).match, true);
+	}));
+
+test("render draws the printed dots as a PNG the right way up", () =>
+	inTempDir(async (dir) => {
+		const { stdout } = await phomemoLabel(dir, ["render", "--size", "30x12", "-o", "a.png"]);
+		const image = await loadImage(await readFile(join(dir, "a.png")));
+		assert.equal(image.width, 240);
+		assert.equal(image.height, 96);
+		assert.match(stdout, /a\.png: 240 x 96 dots/);
+	}));
+
+test("design files are read, and options override them", () =>
+	inTempDir(async (dir) => {
+		const design = { text: "from file", width: 30, height: 12, barcode: "12345" };
+		await writeFile(join(dir, "design.json"), JSON.stringify(design));
+		await phomemoLabel(dir, [
+			"render",
+			"--design",
+			"design.json",
+			"--size",
+			"20x12",
+			"-o",
+			"l.bin",
+		]);
+		const printer = new MockPrinter();
+		printer.consume(await readFile(join(dir, "l.bin")));
+		assert.equal(printer.jobs[0].rows, 160);
+
+		const canvas = await renderLabel(
+			{ text: "from file", width: 20, height: 12, codeType: "barcode", codeData: "12345" },
+			canvasFactory
+		);
+		assert.equal(printer.compare(getImageData(canvas)).match, true);
+	}));
+
+test("labels wider than the print head fail", () =>
+	inTempDir(async (dir) => {
+		await assert.rejects(
+			phomemoLabel(dir, ["render", "--size", "40x16", "-o", "x.bin"]),
+			(err) => err.code === 1 && /label too wide/.test(err.stderr)
+		);
+	}));
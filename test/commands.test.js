@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { END_DATA, HEADER_DATA, MAX_DENSITY, MIN_DENSITY } from "../src/commands.js";
+
+test("the header announces the raster's bytes per row and rows", () => {
+	assert.deepEqual(
+		[...HEADER_DATA(12, 320)],
+		[0x1b, 0x40, 0x1d, 0x76, 0x30, 0x00, 12, 0, 320 % 256, 1]
+	);
+});
+
+test("the density follows the reset, clamped to the printer's range", () => {
+	assert.deepEqual([...HEADER_DATA(12, 320, 8).subarray(0, 6)], [0x1b, 0x40, 0x1b, 0x4e, 0x04, 8]);
+	assert.equal(HEADER_DATA(12, 320, 99)[5], MAX_DENSITY);
+	assert.equal(HEADER_DATA(12, 320, 0.6)[5], MIN_DENSITY);
+});
+
+test("the end sequence feeds whole lines, at most 255", () => {
+	assert.deepEqual([...END_DATA()], [0x1b, 0x64, 0]);
+	assert.deepEqual([...END_DATA(2.4)], [0x1b, 0x64, 2]);
+	assert.deepEqual([...END_DATA(1000)], [0x1b, 0x64, 255]);
+});
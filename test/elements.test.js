@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+	canvasToLabel,
+	createElement,
+	findElementAt,
+	getElementPoint,
+	labelToCanvas,
+	moveElement,
+	resizeElement,
+	rotateElement,
+} from "../src/elements.js";
+
+/**
+ * @param {{ x: number, y: number }} actual
+ * @param {{ x: number, y: number }} expected
+ */
+const assertPoint = (actual, expected) => {
+	assert.ok(
+		Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+		`expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+	);
+};
+
+/** A 10×4 mm box at (5, 2), turned by `rotation` degrees */
+const box = (rotation = 0) => ({
+	id: "box",
+	type: "shape",
+	x: 5,
+	y: 2,
+	width: 10,
+	height: 4,
+	rotation,
+});
+
+test("new elements sit in the middle of the label, QR codes square", () => {
+	const text = createElement("text", { width: 40, height: 12 });
+	assert.deepEqual([text.x, text.y, text.width, text.height], [10, 3, 20, 6]);
+	const qr = createElement("code", { width: 40, height: 12 }, { codeData: "x" });
+	assert.equal(qr.width, qr.height);
+	assert.equal(qr.x + qr.width / 2, 20);
+	assert.equal(qr.codeData, "x");
+});
+
+test("resizing keeps the opposite edges in place", () => {
+	const resized = resizeElement(box(), [1, 1], { x: 20, y: 10 });
+	assert.deepEqual([resized.x, resized.y, resized.width, resized.height], [5, 2, 15, 8]);
+
+	const topOnly = resizeElement(box(), [0, -1], { x: 100, y: 0 });
+	assert.deepEqual([topOnly.x, topOnly.y, topOnly.width, topOnly.height], [5, 0, 10, 6]);
+
+	// Dragged past the opposite edge, the box keeps its smallest size
+	const small = resizeElement(box(), [-1, 0], { x: 30, y: 4 });
+	assert.deepEqual([small.x, small.width], [14, 1]);
+});
+
+test("a turned element resizes along its own edges", () => {
+	const turned = box(90);
+	const fixedCorner = getElementPoint(turned, [-1, -1]);
+	const dragged = getElementPoint(turned, [1, 1]);
+	// Along its width, which now runs down the label
+	const resized = resizeElement(turned, [1, 1], { x: dragged.x, y: dragged.y + 2 });
+	assert.equal(resized.width, 12);
+	assert.equal(resized.height, 4);
+	assertPoint(getElementPoint(resized, [-1, -1]), fixedCorner);
+});
+
+test("elements turn towards the point, in steps if asked", () => {
+	assert.equal(rotateElement(box(), { x: 20, y: 4 }).rotation, 90);
+	assert.equal(rotateElement(box(), { x: 10, y: 10 }).rotation, 180);
+	assert.equal(rotateElement(box(), { x: 0, y: 4 }).rotation, 270);
+	assert.equal(rotateElement(box(), { x: 20, y: 6 }, 15).rotation, 105);
+});
+
+test("hits are found on the turned box, topmost first", () => {
+	const turned = box(90);
+	assert.equal(findElementAt([turned], { x: 10, y: 7 }), turned);
+	assert.equal(findElementAt([turned], { x: 14, y: 4 }), null);
+	const above = moveElement({ ...box(), id: "above" }, 2, 0);
+	assert.equal(findElementAt([box(), above], { x: 8, y: 4 }), above);
+	assert.equal(findElementAt([box(), above], { x: 6, y: 4 }).id, "box");
+});
+
+test("label and canvas coordinates convert back and forth", () => {
+	// A 40×12 mm label at 8 dots per mm, turned for the print head
+	const canvas = { width: 96, height: 320 };
+	const design = { width: 40, offsetX: 3, offsetY: -2 };
+	assertPoint(labelToCanvas({ x: 0, y: 0 }, canvas, { width: 40 }), { x: 96, y: 0 });
+	assertPoint(labelToCanvas({ x: 40, y: 12 }, canvas, { width: 40 }), { x: 0, y: 320 });
+
+	const point = { x: 12.5, y: 3.25 };
+	assertPoint(canvasToLabel(labelToCanvas(point, canvas, design), canvas, design), point);
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+	fillPlaceholders,
+	findDesignPlaceholders,
+	findPlaceholders,
+	mergeDesign,
+	parseCsv,
+	parseJsonTable,
+	parseMergeTable,
+} from "../src/merge.js";
+
+test("placeholders are found once each, with spaces around their names ignored", () => {
+	assert.deepEqual(findPlaceholders("{{name}} {{ room }} {{name}}"), ["name", "room"]);
+	assert.deepEqual(findPlaceholders("no fields {here}"), []);
+});
+
+test("placeholders of fields the row lacks are kept", () => {
+	assert.equal(fillPlaceholders("{{name}} in {{room}}", { name: "Ada" }), "Ada in {{room}}");
+});
+
+test("designs are merged in their text, code data and elements, without changing them", () => {
+	const design = {
+		text: "{{name}}",
+		codeData: "https://example.com/{{id}}",
+		elements: [
+			{ type: "text", text: "Room {{room}}" },
+			{ type: "qr", codeData: "{{id}}" },
+		],
+	};
+	assert.deepEqual(findDesignPlaceholders(design), ["name", "id", "room"]);
+
+	const merged = mergeDesign(design, { name: "Ada", id: "7", room: "12" });
+	assert.equal(merged.text, "Ada");
+	assert.equal(merged.codeData, "https://example.com/7");
+	assert.equal(merged.elements[0].text, "Room 12");
+	assert.equal(merged.elements[1].codeData, "7");
+	assert.equal(design.elements[0].text, "Room {{room}}");
+});
+
+test("CSV separators are detected from the header", () => {
+	assert.deepEqual(parseCsv("a;b\n1;2\n").rows, [{ a: "1", b: "2" }]);
+	assert.deepEqual(parseCsv("a\tb\r\n1\t2").rows, [{ a: "1", b: "2" }]);
+	assert.deepEqual(parseCsv("a,b\n1,2").fields, ["a", "b"]);
+});
+
+test("quoted CSV values may hold separators, line breaks and quotes", () => {
+	const { rows } = parseCsv('name,note\n"Smith, Ada","say ""hi""\nthen leave"\n\n');
+	assert.deepEqual(rows, [{ name: "Smith, Ada", note: 'say "hi"\nthen leave' }]);
+	assert.throws(() => parseCsv('a\n"open'), /not closed/);
+});
+
+test("JSON tables take the fields of all rows", () => {
+	const { fields, rows } = parseJsonTable('[{"a": 1}, {"b": null, "c": [1]}]');
+	assert.deepEqual(fields, ["a", "b", "c"]);
+	assert.deepEqual(rows[1], { a: "", b: "", c: "[1]" });
+	assert.throws(() => parseJsonTable('{"a": 1}'), /array of objects/);
+});
+
+test("tables without rows are rejected", () => {
+	assert.equal(parseMergeTable(' [{"a": "x"}]').rows[0].a, "x");
+	assert.throws(() => parseMergeTable("a,b\n"), /no rows/);
+});
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { savePrintSettings } from "../src/print-settings.js";
+import { MAIN_PRINTER_ID, PrintStation } from "../src/print-station.js";
+
+/** An in-memory `localStorage` */
+const storage = new Map();
+globalThis.localStorage = {
+	getItem: (key) => storage.get(key) ?? null,
+	setItem: (key, value) => storage.set(key, String(value)),
+};
+Object.defineProperty(globalThis, "navigator", { value: {}, configurable: true });
+
+/** A small label, already packed for the printer */
+const label = { data: new Uint8Array(12 * 40), bytesPerRow: 12, rows: 40 };
+
+/**
+ * Stands in for a `RemoteJobListener`, recording what is reported back.
+ * @returns {{ reports: string[][], tracked: string[], track: Function, report: Function }}
+ */
+const createSender = () => {
+	const sender = {
+		reports: [],
+		tracked: [],
+		track: (id) => sender.tracked.push(id),
+		report: (id, status, error) => sender.reports.push([id, status, error]),
+	};
+	return sender;
+};
+
+/**
+ * @param {PrintStation} station
+ * @returns {Promise<void>} once the queue has nothing left to print
+ */
+const queueIdle = (station) =>
+	new Promise((resolve) => {
+		const check = () => {
+			if (station.queue.jobs.every((job) => ["done", "failed"].includes(job.status))) {
+				station.queue.removeEventListener("change", check);
+				resolve();
+			}
+		};
+		station.queue.addEventListener("change", check);
+	});
+
+test("the virtual printer stands in for the main printer", async () => {
+	storage.clear();
+	const station = new PrintStation();
+	let changes = 0;
+	station.addEventListener("change", () => changes++);
+	assert.equal(station.canPrintUnattended(), false);
+	assert.equal(station.getPrinterName(MAIN_PRINTER_ID), "Main printer");
+
+	station.setVirtualPrinter(true);
+	assert.equal(changes, 1);
+	assert.equal(station.canPrintUnattended(), true);
+	assert.equal(station.transferKey, "virtual");
+	assert.equal(station.getPrinterName(MAIN_PRINTER_ID), "Virtual printer");
+	assert.equal(await station.preparePrintTarget(null), null);
+
+	station.queue.delayMs = 0;
+	station.queue.add(label, { copies: 2 });
+	await queueIdle(station);
+	assert.equal(station.virtualPrinter.jobs.length, 2);
+	assert.deepEqual(
+		station.queue.jobs.map(({ printedOn }) => printedOn),
+		[MAIN_PRINTER_ID]
+	);
+});
+
+test("remote jobs are only queued on a connected printer, with their label's settings", async () => {
+	storage.clear();
+	savePrintSettings("30x15", { density: 6, feedLines: 4 });
+	const station = new PrintStation();
+	station.queue.delayMs = 0;
+	const render = async () => label;
+	const labelSize = { width: 40, height: 12 };
+
+	const refused = createSender();
+	await assert.rejects(
+		station.printRemoteJob({ id: "a", copies: 1, design: {} }, refused, { render, labelSize }),
+		/No printer is connected/
+	);
+	assert.deepEqual(refused.reports, [["a", "failed", "No printer is connected"]]);
+
+	station.setVirtualPrinter(true);
+	const sender = createSender();
+	const job = { id: "b", name: "Shelf", copies: 1, design: { width: 30, height: 15 } };
+	await station.printRemoteJob(job, sender, { render, labelSize });
+	assert.deepEqual(sender.tracked, ["b"]);
+	await queueIdle(station);
+	const [printed] = station.virtualPrinter.jobs;
+	assert.equal(printed.density, 6);
+	assert.equal(printed.feedLines, 4);
+	assert.equal(station.queue.jobs[0].name, "Shelf");
+
+	const broken = createSender();
+	const failing = async () => {
+		throw new Error("The design's label size or font size is invalid");
+	};
+	await assert.rejects(
+		station.printRemoteJob(job, broken, { render: failing, labelSize }),
+		/invalid/
+	);
+	assert.equal(broken.reports[0][1], "failed");
+});
+
+test("the transport is remembered, and the benchmark waits for the queue", async () => {
+	storage.clear();
+	Object.defineProperty(globalThis, "navigator", { value: { serial: {} }, configurable: true });
+	const station = new PrintStation();
+	assert.equal(station.transport, "bluetooth");
+	station.setTransport("serial");
+	assert.equal(station.printer, station.serialPrinter);
+	assert.equal(new PrintStation().transport, "serial");
+	station.setBaudRate(115200);
+	assert.equal(new PrintStation().serialPrinter.baudRate, 115200);
+
+	station.setVirtualPrinter(true);
+	station.queue.add(label);
+	await new Promise((resolve) =>
+		station.queue.addEventListener("progress", resolve, { once: true })
+	);
+	await assert.rejects(station.benchmark(), /Wait for the print queue/);
+	await queueIdle(station);
+	Object.defineProperty(globalThis, "navigator", { value: {}, configurable: true });
+});
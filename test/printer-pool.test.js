@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { MockPrinter } from "../src/mock-printer.js";
+import { PrinterPool } from "../src/printer-pool.js";
+import { PrintQueue } from "../src/queue.js";
+
+/** An in-memory `localStorage` */
+const storage = new Map();
+globalThis.localStorage = {
+	getItem: (key) => storage.get(key) ?? null,
+	setItem: (key, value) => storage.set(key, String(value)),
+};
+
+/** A Bluetooth device with a {@link MockPrinter} behind its write characteristic */
+class FakeDevice extends EventTarget {
+	/**
+	 * @param {string} id
+	 * @param {string} name
+	 * @param {object} [options]
+	 * @param {boolean} [options.reachable] false for a printer that is switched off
+	 */
+	constructor(id, name, { reachable = true } = {}) {
+		super();
+		this.id = id;
+		this.name = name;
+		this.printer = new MockPrinter();
+		const service = {
+			getCharacteristic: async () => this.printer,
+			getCharacteristics: async () => [this.printer],
+		};
+		this.gatt = {
+			connected: false,
+			connect: async () => {
+				if (!reachable) throw new DOMException("Connection failed.", "NetworkError");
+				this.gatt.connected = true;
+				return { getPrimaryService: async () => service };
+			},
+			disconnect: () => {
+				this.gatt.connected = false;
+				this.dispatchEvent(new Event("gattserverdisconnected"));
+			},
+		};
+	}
+}
+
+/**
+ * Offers devices the way `navigator.bluetooth` does: the chooser picks the next of `chosen`, and
+ * `getDevices` returns the devices granted earlier.
+ * @param {{ chosen?: FakeDevice[], granted?: FakeDevice[] }} devices
+ */
+const useBluetooth = ({ chosen = [], granted = [] }) =>
+	Object.defineProperty(globalThis, "navigator", {
+		value: {
+			bluetooth: {
+				requestDevice: async () => chosen.shift(),
+				getDevices: async () => granted,
+			},
+		},
+		configurable: true,
+	});
+
+/**
+ * @param {PrintQueue} queue
+ * @returns {Promise<void>} once every job is done
+ */
+const allDone = (queue) =>
+	new Promise((resolve) => {
+		const check = () => {
+			if (queue.jobs.every((job) => job.status === "done")) {
+				queue.removeEventListener("change", check);
+				resolve();
+			}
+		};
+		queue.addEventListener("change", check);
+	});
+
+/** A small label, already packed for the printer */
+const label = { data: new Uint8Array(12 * 40), bytesPerRow: 12, rows: 40 };
+
+test("printers are added through the chooser, each once", async () => {
+	storage.clear();
+	const first = new FakeDevice("a", "D30-A");
+	const main = new FakeDevice("m", "D30-M");
+	useBluetooth({ chosen: [first, first, main] });
+	const pool = new PrinterPool();
+	let changes = 0;
+	pool.addEventListener("change", () => changes++);
+
+	const added = await pool.add();
+	assert.equal(added.name, "D30-A");
+	assert.equal(added.connection.state, "connected");
+	assert.equal(added.connection.model.id, "d30");
+	assert.ok(changes > 0);
+	await assert.rejects(pool.add(), /already connected/);
+	await assert.rejects(pool.add({ exclude: ["m"] }), /already connected/);
+	assert.deepEqual(
+		pool.printers.map(({ id }) => id),
+		["a"]
+	);
+});
+
+test("pooled printers are reconnected with their names in the next session", async () => {
+	storage.clear();
+	const shelf = new FakeDevice("a", "D30-A");
+	const off = new FakeDevice("b", "D30-B", { reachable: false });
+	useBluetooth({ chosen: [shelf, off] });
+	const pool = new PrinterPool();
+	await pool.add();
+	await assert.rejects(pool.add(), { name: "NetworkError" });
+	pool.rename("a", "  Shelf printer ");
+
+	// The second printer could not be connected, so only the first one was saved
+	useBluetooth({ granted: [new FakeDevice("a", "D30-A")] });
+	const restored = new PrinterPool();
+	await restored.restore();
+	assert.deepEqual(
+		restored.printers.map(({ id, name, connection }) => [id, name, connection.state]),
+		[["a", "Shelf printer", "connected"]]
+	);
+});
+
+test("printers that cannot be reached are kept, to connect when printed on", async () => {
+	storage.clear();
+	const later = new FakeDevice("b", "D30-B", { reachable: false });
+	storage.set("phomemo.printerPool", JSON.stringify([{ id: "b", name: "Back office" }]));
+	useBluetooth({ granted: [later] });
+	const pool = new PrinterPool();
+	await pool.restore();
+	assert.deepEqual(
+		pool.printers.map(({ id, name, connection }) => [id, name, connection.state]),
+		[["b", "Back office", "disconnected"]]
+	);
+});
+
+test("removing a printer disconnects it", async () => {
+	storage.clear();
+	const device = new FakeDevice("a", "D30-A");
+	useBluetooth({ chosen: [device] });
+	const pool = new PrinterPool();
+	await pool.add();
+	pool.remove("a");
+	assert.equal(device.gatt.connected, false);
+	assert.deepEqual(pool.printers, []);
+	assert.equal(storage.get("phomemo.printerPool"), "[]");
+});
+
+test("the queue takes turns on the pooled printers, and keeps jobs for a chosen one", async () => {
+	storage.clear();
+	const devices = [new FakeDevice("a", "D30-A"), new FakeDevice("b", "D30-B")];
+	useBluetooth({ chosen: [...devices] });
+	const pool = new PrinterPool();
+	await pool.add();
+	await pool.add();
+
+	const queue = new PrintQueue({ printers: pool.toQueuePrinters(), delayMs: 0 });
+	for (let i = 0; i < 4; i++) queue.add(label);
+	queue.add(label, { printerId: "b" });
+	await allDone(queue);
+	assert.deepEqual(
+		devices.map(({ printer }) => printer.jobs.length),
+		[2, 3]
+	);
+	assert.deepEqual(
+		queue.jobs.map(({ printedOn }) => printedOn),
+		["a", "b", "a", "b", "b"]
+	);
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createCanvas } from "@napi-rs/canvas";
+import { drawText } from "canvas-txt";
+import JsBarcode from "jsbarcode";
+import QRCode from "qrcode";
+import { MockPrinter } from "../src/mock-printer.js";
+import { printCanvas } from "../src/printer.js";
+import { renderLabel } from "../src/render.js";
+
+const canvasFactory = { createCanvas, drawText, QRCode, JsBarcode };
+
+/**
+ * @param {import("@napi-rs/canvas").Canvas} canvas
+ * @returns {ImageData}
+ */
+const getImageData = (canvas) =>
+	canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+
+test("a job sent after a cancelled one prints exactly", async () => {
+	const printer = new MockPrinter();
+	const first = await renderLabel({ text: "first", width: 40, height: 12 }, canvasFactory);
+	const controller = new AbortController();
+	await assert.rejects(
+		printCanvas(printer, first, {
+			signal: controller.signal,
+			transfer: { packetSize: 100, window: 1 },
+			onProgress: ({ chunksSent }) => chunksSent === 3 && controller.abort(),
+		}),
+		{ name: "AbortError" }
+	);
+
+	const second = await renderLabel(
+		{ text: "second", codeType: "qr", codeData: "2", width: 40, height: 12 },
+		canvasFactory
+	);
+	await printCanvas(printer, second);
+	assert.equal(printer.jobs.length, 2);
+	assert.ok(printer.jobs[0].complete);
+	assert.deepEqual(printer.compare(getImageData(second)), {
+		match: true,
+		sizeMatches: true,
+		differentDots: 0,
+	});
+});
@@ -0,0 +1,263 @@
+import assert from "node:assert/strict";
+import { getEventListeners } from "node:events";
+import test from "node:test";
+import { MockPrinter, MockSerialPort } from "../src/mock-printer.js";
+import { PrintQueue } from "../src/queue.js";
+import { SerialConnection } from "../src/serial.js";
+
+/** An in-memory `localStorage`, where serial ports are remembered */
+const storage = new Map();
+globalThis.localStorage = {
+	getItem: (key) => storage.get(key) ?? null,
+	setItem: (key, value) => storage.set(key, String(value)),
+};
+
+/** A small label, already packed for the printer */
+const label = { data: new Uint8Array(12 * 40).fill(0x0f), bytesPerRow: 12, rows: 40 };
+
+/**
+ * @param {PrintQueue} queue
+ * @param {import("../src/queue.js").PrintJob} job
+ * @returns {Promise<void>} once no printer works on the job any more
+ */
+const settled = (queue, job) =>
+	new Promise((resolve) => {
+		const check = () => {
+			if (job.status !== "printing" && !queue.active.includes(job)) {
+				queue.removeEventListener("change", check);
+				resolve();
+			}
+		};
+		queue.addEventListener("change", check);
+	});
+
+test("copies are printed one after another", async () => {
+	const printer = new MockPrinter();
+	const queue = new PrintQueue({ getCharacteristic: async () => printer, delayMs: 0 });
+	const job = queue.add(label, { copies: 3 });
+	await settled(queue, job);
+	assert.equal(job.status, "done");
+	assert.equal(job.copiesPrinted, 3);
+	assert.equal(printer.jobs.length, 3);
+});
+
+test("pausing stops a job before its first copy", async () => {
+	const printer = new MockPrinter();
+	const queue = new PrintQueue({ getCharacteristic: async () => printer, delayMs: 0 });
+	const job = queue.add(label, { copies: 2 });
+	queue.pause();
+	await settled(queue, job);
+	assert.equal(job.status, "queued");
+	assert.equal(printer.jobs.length, 0);
+
+	queue.resume();
+	await settled(queue, job);
+	assert.equal(job.status, "done");
+	assert.equal(printer.jobs.length, 2);
+});
+
+test("a dismissed device chooser fails the job without pausing the queue", async () => {
+	const printer = new MockPrinter();
+	let chooserDismissed = true;
+	const queue = new PrintQueue({
+		getCharacteristic: async () => {
+			if (!chooserDismissed) return printer;
+			throw new DOMException("User cancelled the requested device chooser.", "NotFoundError");
+		},
+		delayMs: 0,
+	});
+	const first = queue.add(label);
+	await settled(queue, first);
+	assert.equal(first.status, "failed");
+	assert.equal(queue.paused, false);
+
+	chooserDismissed = false;
+	const second = queue.add(label);
+	await settled(queue, second);
+	assert.equal(second.status, "done");
+});
+
+test("a label the printer cannot take fails without pausing the queue", async () => {
+	const queue = new PrintQueue({ getCharacteristic: async () => new MockPrinter(), delayMs: 0 });
+	const job = queue.add({ data: new Uint8Array(100), bytesPerRow: 50, rows: 2 });
+	await settled(queue, job);
+	assert.equal(job.status, "failed");
+	assert.match(job.error.message, /too wide/);
+	assert.equal(queue.paused, false);
+});
+
+test("failing writes pause the queue, keeping the jobs after it", async () => {
+	const printer = new MockPrinter({ maxPacketSize: 16 });
+	const queue = new PrintQueue({ getCharacteristic: async () => printer, delayMs: 0 });
+	const errors = [];
+	queue.addEventListener("error", (e) => errors.push(e.detail.error));
+	const first = queue.add(label);
+	const second = queue.add(label);
+	await settled(queue, first);
+	assert.equal(first.status, "failed");
+	assert.equal(errors[0].name, "PrintInterruptedError");
+	assert.equal(queue.paused, true);
+	assert.equal(second.status, "queued");
+});
+
+test("every printed copy is announced", async () => {
+	const queue = new PrintQueue({ getCharacteristic: async () => new MockPrinter(), delayMs: 0 });
+	const printed = [];
+	queue.addEventListener("printed", (e) => printed.push(e.detail.job.copiesPrinted));
+	const job = queue.add(label, { copies: 3 });
+	await settled(queue, job);
+	assert.deepEqual(printed, [1, 2, 3]);
+});
+
+test("waiting between copies leaves no listeners on the job's signal", async () => {
+	const queue = new PrintQueue({ getCharacteristic: async () => new MockPrinter(), delayMs: 5 });
+	const listeners = [];
+	queue.addEventListener("printed", () => {
+		const { signal } = queue.workers.get("default").abortController;
+		listeners.push(getEventListeners(signal, "abort").length);
+	});
+	const job = queue.add(label, { copies: 3 });
+	await settled(queue, job);
+	assert.deepEqual(listeners, [0, 0, 0]);
+});
+
+/** A longer label, with every row different so a resumed label shows which rows it printed */
+const longLabel = {
+	data: Uint8Array.from({ length: 12 * 400 }, (_, i) => Math.floor(i / 12) % 256),
+	bytesPerRow: 12,
+	rows: 400,
+};
+
+/**
+ * Drops the connection once, after a few packets of the first copy.
+ * @param {PrintQueue} queue
+ * @param {() => void} disconnect
+ */
+const dropConnectionOnce = (queue, disconnect) => {
+	const drop = ({ detail: { progress } }) => {
+		if (progress.chunksSent < 10) return;
+		queue.removeEventListener("progress", drop);
+		disconnect();
+	};
+	queue.addEventListener("progress", drop);
+};
+
+/**
+ * A GATT characteristic's stand-in: the link state is told by its device, and reconnecting
+ * brings the printer back.
+ * @param {MockPrinter} printer
+ */
+const createGattPrinter = (printer) => {
+	const gatt = { connected: true };
+	const characteristic = {
+		service: { device: { gatt } },
+		writeValueWithResponse: (value) => printer.writeValueWithResponse(value),
+		writeValueWithoutResponse: (value) => printer.writeValueWithoutResponse(value),
+	};
+	return {
+		disconnect: () => {
+			gatt.connected = false;
+			printer.disconnect();
+		},
+		getCharacteristic: async () => {
+			gatt.connected = true;
+			printer.connect();
+			return characteristic;
+		},
+	};
+};
+
+for (const [choice, resumedRows] of [
+	["resume", (rowsPrinted) => longLabel.rows - rowsPrinted],
+	["restart", () => longLabel.rows],
+]) {
+	test(`a label interrupted by a dropped connection can ${choice} once reconnected`, async () => {
+		const printer = new MockPrinter();
+		const gattPrinter = createGattPrinter(printer);
+		const interruptions = [];
+		const queue = new PrintQueue({
+			getCharacteristic: gattPrinter.getCharacteristic,
+			delayMs: 0,
+			reconnectDelayMs: 1,
+			confirmResume: async (interruption) => {
+				interruptions.push(interruption);
+				assert.equal(interruption.job.status, "interrupted");
+				return choice;
+			},
+		});
+		dropConnectionOnce(queue, gattPrinter.disconnect);
+		const job = queue.add(longLabel);
+		await settled(queue, job);
+
+		assert.equal(job.status, "done");
+		assert.equal(interruptions.length, 1);
+		const { rowsPrinted } = interruptions[0].error;
+		assert.ok(rowsPrinted > 0 && rowsPrinted < longLabel.rows);
+		// The printer dropped the first, incomplete image with the connection
+		assert.equal(printer.jobs.length, 2);
+		const resumed = printer.jobs[1];
+		assert.ok(resumed.complete);
+		assert.equal(resumed.rows, resumedRows(rowsPrinted));
+		assert.deepEqual(resumed.data, longLabel.data.subarray((longLabel.rows - resumed.rows) * 12));
+	});
+}
+
+test("a label interrupted on a mock printer resumes where it stopped", async () => {
+	const printer = new MockPrinter();
+	let backOffs = 0;
+	const queue = new PrintQueue({
+		printers: [
+			{
+				id: "mock",
+				name: "Mock printer",
+				getCharacteristic: async () => {
+					printer.connect();
+					return printer;
+				},
+				printOptions: () => ({ onBackOff: () => backOffs++ }),
+			},
+		],
+		delayMs: 0,
+		reconnectDelayMs: 1,
+		confirmResume: async () => "resume",
+	});
+	dropConnectionOnce(queue, () => printer.disconnect());
+	const job = queue.add(longLabel);
+	await settled(queue, job);
+
+	assert.equal(job.status, "done");
+	assert.equal(backOffs, 0);
+	const resumed = printer.jobs.at(-1);
+	assert.ok(resumed.complete && resumed.rows < longLabel.rows);
+	assert.deepEqual(resumed.data, longLabel.data.subarray((longLabel.rows - resumed.rows) * 12));
+});
+
+test("a label interrupted by an unplugged serial port resumes once the port is back", async () => {
+	const port = new MockSerialPort();
+	const connection = new SerialConnection();
+	await connection.open(port);
+	let backOffs = 0;
+	const queue = new PrintQueue({
+		printers: [
+			{
+				id: connection.device.id,
+				name: connection.device.name,
+				getCharacteristic: () => connection.getCharacteristic(),
+				printOptions: () => ({ onBackOff: () => backOffs++ }),
+			},
+		],
+		delayMs: 0,
+		reconnectDelayMs: 10,
+		confirmResume: async () => "resume",
+	});
+	dropConnectionOnce(queue, () => port.unplug());
+	const job = queue.add(longLabel);
+	await settled(queue, job);
+
+	assert.equal(job.status, "done");
+	assert.equal(backOffs, 0);
+	const resumed = port.printer.jobs.at(-1);
+	assert.ok(resumed.complete && resumed.rows < longLabel.rows);
+	assert.deepEqual(resumed.data, longLabel.data.subarray((longLabel.rows - resumed.rows) * 12));
+	await connection.disconnect();
+});
@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { request } from "node:http";
+import test from "node:test";
+import { MockPrinter } from "../src/mock-printer.js";
+import { PrintQueue } from "../src/queue.js";
+import { RemoteJobListener } from "../src/remote-jobs.js";
+
+const token = "test-token";
+
+/** A small label, already packed for the printer */
+const label = { data: new Uint8Array(12 * 40), bytesPerRow: 12, rows: 40 };
+
+/**
+ * Starts the relay on a free port.
+ * @returns {Promise<{ relay: import("node:child_process").ChildProcess, base: string }>}
+ */
+const startRelay = async () => {
+	const relay = spawn(
+		process.execPath,
+		["tools/relay-server.mjs", "--port", "0", "--token", token],
+		{ stdio: ["ignore", "pipe", "inherit"] }
+	);
+	// Read on, so that the relay can go on logging
+	relay.stdout.setEncoding("utf8");
+	let output = "";
+	while (!/Relay listening on \S+/.test(output)) {
+		const [chunk] = await Promise.race([
+			once(relay.stdout, "data"),
+			once(relay, "exit").then(() => Promise.reject(new Error(`The relay stopped: ${output}`))),
+		]);
+		output += chunk;
+	}
+	return { relay, base: `http://${/Relay listening on (\S+)/.exec(output)[1]}` };
+};
+
+/**
+ * Reads the data of Server-Sent Events.
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readEvents(body) {
+	const decoder = new TextDecoder();
+	let text = "";
+	for await (const chunk of body) {
+		text += decoder.decode(chunk, { stream: true });
+		for (let end = text.indexOf("\n\n"); end !== -1; end = text.indexOf("\n\n")) {
+			const data = text
+				.slice(0, end)
+				.split("\n")
+				.filter((line) => line.startsWith("data: "))
+				.map((line) => line.slice("data: ".length))
+				.join("\n");
+			text = text.slice(end + 2);
+			if (data) yield data;
+		}
+	}
+}
+
+/**
+ * @param {string} url
+ * @param {unknown} job
+ * @returns {Promise<Response>}
+ */
+const postJson = (url, job) =>
+	fetch(url, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(job),
+	});
+
+test("the relay", async (t) => {
+	const { relay, base } = await startRelay();
+	const pageUrl = `${base}/page?token=${token}`;
+	t.after(() => relay.kill());
+
+	await t.test("turns away pages without the token", async () => {
+		assert.equal((await fetch(`${base}/page`)).status, 403);
+		assert.equal((await fetch(`${base}/page?token=wrong`)).status, 403);
+		assert.equal((await postJson(`${base}/page`, { type: "result" })).status, 403);
+
+		const upgrade = request(`${base}/page`, {
+			headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": "a2V5" },
+		}).end();
+		const [response] = await once(upgrade, "response");
+		assert.equal(response.statusCode, 403);
+		response.resume();
+	});
+
+	await t.test("only takes JSON, and not too much of it", async () => {
+		const asText = { method: "POST", headers: { "Content-Type": "text/plain" }, body: "{}" };
+		assert.equal((await fetch(pageUrl, asText)).status, 415);
+		assert.equal((await fetch(`${base}/jobs`, asText)).status, 415);
+		const tooLarge = await postJson(`${base}/jobs?wait=0`, { png: "A".repeat(17 * 1024 * 1024) });
+		assert.equal(tooLarge.status, 413);
+		assert.equal((await postJson(`${base}/jobs`, [1])).status, 400);
+		assert.equal((await postJson(`${base}/jobs`, { design: { text: "Hi" } })).status, 503);
+	});
+
+	await t.test("forwards jobs to the page and answers with their results", async () => {
+		const printer = new MockPrinter();
+		const queue = new PrintQueue({ getCharacteristic: async () => printer, delayMs: 0 });
+		const listener = new RemoteJobListener();
+		// Node has no EventSource: the stream is read here and its messages handed to the listener
+		listener.url = pageUrl;
+		listener.addEventListener("job", ({ detail: { job } }) =>
+			listener.track(job.id, queue, queue.add(label, { copies: job.copies, name: job.name }))
+		);
+		const events = new AbortController();
+		const stream = await fetch(pageUrl, { signal: events.signal });
+		assert.equal(stream.status, 200);
+		const reading = (async () => {
+			for await (const data of readEvents(stream.body)) listener.handleMessage(data);
+		})().catch((err) => assert.equal(err.name, "AbortError"));
+
+		const done = await postJson(`${base}/jobs`, { id: "shelf-12", copies: 2, png: "AAEC" });
+		assert.equal(done.status, 200);
+		assert.deepEqual(await done.json(), { type: "result", id: "shelf-12", status: "done" });
+		assert.equal(printer.jobs.length, 2);
+		const stored = await fetch(`${base}/jobs/shelf-12`);
+		assert.equal((await stored.json()).status, "done");
+
+		const failed = await postJson(`${base}/jobs`, { id: "empty" });
+		assert.equal(failed.status, 500);
+		assert.match((await failed.json()).error, /either a design or a png/);
+		assert.equal((await fetch(`${base}/jobs/unknown`)).status, 404);
+
+		events.abort();
+		await reading;
+	});
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { getEventListeners } from "node:events";
+import test from "node:test";
+import { MockPrinter } from "../src/mock-printer.js";
+import { PrintQueue } from "../src/queue.js";
+import { parseRemoteJob, trackJob } from "../src/remote-jobs.js";
+
+/** A small label, already packed for the printer */
+const label = { data: new Uint8Array(12 * 40), bytesPerRow: 12, rows: 40 };
+
+/**
+ * @param {PrintQueue} queue
+ * @param {import("../src/queue.js").PrintJob} job
+ * @param {string[]} statuses
+ * @returns {Promise<void>} once the job is finished, with every reported status in `statuses`
+ */
+const trackUntilFinished = (queue, job, statuses) =>
+	new Promise((resolve) =>
+		trackJob(queue, job, (status, error) => {
+			statuses.push(error ? `${status}: ${error}` : status);
+			if (["done", "failed", "cancelled"].includes(status)) resolve();
+		})
+	);
+
+test("jobs are read with their defaults, and a png decoded", async () => {
+	assert.deepEqual(parseRemoteJob({ id: "a", design: { text: "Hi" } }), {
+		id: "a",
+		name: "Remote job a",
+		copies: 1,
+		design: { text: "Hi" },
+		png: null,
+	});
+	const job = parseRemoteJob({
+		id: "b",
+		name: "Logo",
+		copies: 2,
+		png: "data:image/png;base64,AAEC",
+	});
+	assert.equal(job.png.type, "image/png");
+	assert.deepEqual([...new Uint8Array(await job.png.arrayBuffer())], [0, 1, 2]);
+});
+
+test("messages that do not describe a job are rejected", () => {
+	assert.throws(() => parseRemoteJob({ design: {} }), /without an id/);
+	assert.throws(() => parseRemoteJob({ id: "", design: {} }), /without an id/);
+	assert.throws(() => parseRemoteJob({ id: "a" }), /either a design or a png/);
+	assert.throws(() => parseRemoteJob({ id: "a", design: {}, png: "AA==" }), /either a design/);
+	assert.throws(() => parseRemoteJob({ id: "a", design: ["text"] }), /invalid design/);
+	assert.throws(() => parseRemoteJob({ id: "a", png: 42 }), /invalid png/);
+	assert.throws(() => parseRemoteJob({ id: "a", design: {}, copies: 0 }), /invalid copies/);
+	assert.throws(() => parseRemoteJob({ id: "a", design: {}, copies: 1.5 }), /invalid copies/);
+});
+
+test("each status of a job is reported once, until it is done", async () => {
+	const printer = new MockPrinter();
+	const queue = new PrintQueue({ getCharacteristic: async () => printer, delayMs: 0 });
+	queue.pause();
+	const job = queue.add(label, { copies: 2 });
+	const statuses = [];
+	const finished = trackUntilFinished(queue, job, statuses);
+	queue.resume();
+	await finished;
+	assert.deepEqual(statuses, ["queued", "printing", "done"]);
+	assert.equal(getEventListeners(queue, "change").length, 0);
+});
+
+test("a failed job is reported with its error, a removed one as cancelled", async () => {
+	const queue = new PrintQueue({
+		getCharacteristic: async () => {
+			throw new DOMException("User cancelled the requested device chooser.", "NotFoundError");
+		},
+		delayMs: 0,
+	});
+	const failing = queue.add(label);
+	const failed = [];
+	await trackUntilFinished(queue, failing, failed);
+	assert.equal(failed.at(-1), `failed: ${failing.error.message}`);
+
+	queue.pause();
+	const removing = queue.add(label);
+	const removed = [];
+	const finished = trackUntilFinished(queue, removing, removed);
+	queue.remove(removing.id);
+	await finished;
+	assert.deepEqual(removed, ["queued", "cancelled"]);
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createCanvas } from "@napi-rs/canvas";
+import { drawText } from "canvas-txt";
+import JsBarcode from "jsbarcode";
+import QRCode from "qrcode";
+import { MockPrinter } from "../src/mock-printer.js";
+import { PRINTER_MODELS } from "../src/models.js";
+import { encodePrintJob } from "../src/printer.js";
+import { renderLabel } from "../src/render.js";
+
+const canvasFactory = { createCanvas, drawText, QRCode, JsBarcode };
+
+/** @type {import("../src/elements.js").LabelElement} */
+const box = { id: "box", type: "shape", x: 2, y: 2, width: 10, height: 5, rotation: 0 };
+
+/**
+ * @param {import("@napi-rs/canvas").Canvas} canvas
+ * @returns {number} black dots on the canvas, as the printer would print them
+ */
+const countBlackDots = (canvas) => {
+	const printer = new MockPrinter();
+	printer.consume(encodePrintJob(canvas));
+	return [...printer.jobs[0].data].reduce((sum, byte) => {
+		let dots = 0;
+		for (; byte; byte &= byte - 1) dots++;
+		return sum + dots;
+	}, 0);
+};
+
+test("labels are drawn rotated, the label's width running down the canvas", async () => {
+	const canvas = await renderLabel({ width: 40, height: 12 }, canvasFactory);
+	assert.equal(canvas.width, 96);
+	assert.equal(canvas.height, 320);
+
+	const m02 = await renderLabel({ width: 50, height: 30 }, canvasFactory, {
+		dotsPerMm: PRINTER_MODELS.m02.dotsPerMm,
+	});
+	assert.equal(m02.width, 240);
+});
+
+test("invalid label sizes are rejected", async () => {
+	await assert.rejects(renderLabel({ width: 0 }, canvasFactory), /label size invalid/);
+});
+
+test("the printer receives exactly the rendered label", async () => {
+	const canvas = await renderLabel(
+		{
+			text: "Server 12",
+			codeType: "qr",
+			codeData: "https://example.com/12",
+			width: 40,
+			height: 12,
+		},
+		canvasFactory
+	);
+	const printer = new MockPrinter();
+	printer.consume(encodePrintJob(canvas, { density: 8, feedLines: 4 }));
+
+	const [job] = printer.jobs;
+	assert.ok(job.complete);
+	assert.equal(job.density, 8);
+	assert.equal(job.feedLines, 4);
+	const expected = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+	assert.deepEqual(printer.compare(expected), { match: true, sizeMatches: true, differentDots: 0 });
+});
+
+test("text, codes and elements each add dots to the label", async () => {
+	const blank = countBlackDots(await renderLabel({ text: "" }, canvasFactory));
+	const text = countBlackDots(await renderLabel({ text: "Shelf" }, canvasFactory));
+	const barcode = countBlackDots(
+		await renderLabel({ text: "", codeType: "barcode", codeData: "12345" }, canvasFactory)
+	);
+	const shape = countBlackDots(
+		await renderLabel(
+			{
+				text: "",
+				elements: [{ ...box, shape: "rect", fill: true }],
+			},
+			canvasFactory
+		)
+	);
+	assert.equal(blank, 0);
+	assert.ok(text > 0);
+	assert.ok(barcode > 0);
+	assert.ok(shape > 0);
+});
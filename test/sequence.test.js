@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { advanceCounter, DEFAULT_COUNTER, formatCounter } from "../src/sequence.js";
+
+test("numbers are padded and wrapped in the prefix and suffix", () => {
+	const counter = { ...DEFAULT_COUNTER, digits: 4, prefix: "BOX-", suffix: "/A" };
+	assert.equal(formatCounter(counter, 0), "BOX-0001/A");
+	assert.equal(formatCounter(counter, 99), "BOX-0100/A");
+});
+
+test("numbers count by the step, also downwards", () => {
+	const counter = { ...DEFAULT_COUNTER, start: "10", step: -3, digits: 2 };
+	assert.deepEqual(
+		[0, 1, 2, 3, 4].map((n) => formatCounter(counter, n)),
+		["10", "07", "04", "01", "-02"]
+	);
+});
+
+test("grids count row by row and wrap around after the last cell", () => {
+	const counter = { ...DEFAULT_COUNTER, type: "grid", start: "A01", end: "H12" };
+	assert.equal(formatCounter(counter, 0), "A01");
+	assert.equal(formatCounter(counter, 11), "A12");
+	assert.equal(formatCounter(counter, 12), "B01");
+	assert.equal(formatCounter(counter, 95), "H12");
+	assert.equal(formatCounter(counter, 96), "A01");
+});
+
+test("grid rows after Z continue with two letters", () => {
+	const counter = { ...DEFAULT_COUNTER, type: "grid", start: "Z1", end: "AB1" };
+	assert.deepEqual(
+		[0, 1, 2].map((n) => formatCounter(counter, n)),
+		["Z1", "AA1", "AB1"]
+	);
+});
+
+test("advanceCounter returns the start that follows the printed labels", () => {
+	assert.equal(advanceCounter({ ...DEFAULT_COUNTER, start: "7", digits: 3 }, 5), "12");
+	const grid = { ...DEFAULT_COUNTER, type: "grid", start: "H11", end: "H12" };
+	assert.equal(advanceCounter(grid, 3), "A02");
+});
+
+test("starts that are not whole numbers or grid cells are rejected", () => {
+	assert.throws(() => formatCounter({ ...DEFAULT_COUNTER, start: "" }, 0));
+	assert.throws(() => formatCounter({ ...DEFAULT_COUNTER, start: "1.5" }, 0));
+	assert.throws(() => formatCounter({ ...DEFAULT_COUNTER, type: "grid", start: "1A" }, 0));
+	assert.throws(() => formatCounter({ ...DEFAULT_COUNTER, type: "grid", start: "J01" }, 0));
+});
+
+test("steps that are not whole numbers are rejected", () => {
+	assert.throws(() => formatCounter({ ...DEFAULT_COUNTER, step: 0.5, digits: 2 }, 1), /step/);
+	assert.throws(() => formatCounter({ ...DEFAULT_COUNTER, type: "grid", step: 1.5 }, 1), /step/);
+});
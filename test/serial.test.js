@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { MockPrinter, MockSerialPort } from "../src/mock-printer.js";
+import { printCanvas } from "../src/printer.js";
+import { SerialConnection } from "../src/serial.js";
+import { loadTransferSettings, rememberedTransferOptions } from "../src/transport.js";
+
+/** A label of 12 bytes per row, already packed for the printer */
+const label = { data: new Uint8Array(12 * 200).fill(0x5a), bytesPerRow: 12, rows: 200 };
+
+/** An in-memory `localStorage` */
+const storage = new Map();
+globalThis.localStorage = {
+	getItem: (key) => storage.get(key) ?? null,
+	setItem: (key, value) => storage.set(key, String(value)),
+};
+
+/**
+ * Offers ports the way `navigator.serial` does once the user granted them.
+ * @param {MockSerialPort[]} ports
+ */
+const grantPorts = (ports) =>
+	Object.defineProperty(globalThis, "navigator", {
+		value: { serial: { getPorts: async () => ports } },
+		configurable: true,
+	});
+
+test("a label printed over a serial port arrives in full", async () => {
+	const port = new MockSerialPort(new MockPrinter(), { usbVendorId: 0x1a86, usbProductId: 0x7523 });
+	const connection = new SerialConnection({ baudRate: 9600 });
+	const characteristic = await connection.open(port);
+	assert.equal(connection.state, "connected");
+	assert.equal(connection.device.id, "serial:usb:1a86:7523");
+	assert.equal(port.baudRate, 9600);
+
+	await printCanvas(characteristic, label, { transfer: { packetSize: 100, window: 4 } });
+	assert.equal(port.printer.jobs.length, 1);
+	assert.deepEqual(port.printer.jobs[0].data, label.data);
+	await connection.disconnect();
+	assert.equal(port.readable, null);
+});
+
+test("status frames from the printer reach the connection", async () => {
+	const port = new MockSerialPort();
+	const connection = new SerialConnection();
+	await connection.open(port);
+	const status = new Promise((resolve) =>
+		connection.addEventListener("status", (e) => resolve(e.detail.status), { once: true })
+	);
+	port.notify([0x1a, 0x04, 0x50]);
+	assert.equal((await status).battery, 80);
+	await connection.disconnect();
+});
+
+test("unplugging the port interrupts the label without trying safer settings", async () => {
+	const port = new MockSerialPort(new MockPrinter(), { usbVendorId: 0x0403, usbProductId: 0x6001 });
+	const connection = new SerialConnection();
+	const characteristic = await connection.open(port);
+	const disconnected = new Promise((resolve) =>
+		connection.addEventListener("statechange", (e) => {
+			if (e.detail.state === "disconnected") resolve();
+		})
+	);
+
+	await assert.rejects(
+		printCanvas(characteristic, label, {
+			...rememberedTransferOptions(connection.device.id),
+			transfer: { packetSize: 100, window: 4 },
+			onBackOff: () => assert.fail("backed off on a lost port"),
+			onProgress: ({ chunksSent }) => chunksSent === 5 && port.unplug(),
+		}),
+		(err) => err.name === "PrintInterruptedError" && err.rowsPrinted < label.rows
+	);
+	assert.equal(characteristic.connected, false);
+	assert.equal(loadTransferSettings(connection.device.id), null);
+
+	await disconnected;
+	// Plugged back in, the port opens again and prints
+	const reopened = await connection.getCharacteristic();
+	await printCanvas(reopened, label);
+	assert.deepEqual(port.printer.jobs.at(-1).data, label.data);
+	await connection.disconnect();
+});
+
+test("the port used last is reopened without asking", async () => {
+	const first = new MockSerialPort(new MockPrinter(), { usbVendorId: 1, usbProductId: 1 });
+	const second = new MockSerialPort(new MockPrinter(), { usbVendorId: 2, usbProductId: 2 });
+	grantPorts([first, second]);
+	const earlier = new SerialConnection();
+	await earlier.open(second);
+	await earlier.disconnect();
+
+	const connection = new SerialConnection();
+	assert.ok(await connection.restore());
+	assert.equal(connection.port, second);
+	assert.equal(connection.state, "connected");
+	await connection.disconnect();
+
+	grantPorts([first]);
+	assert.equal(await new SerialConnection().restore(), null);
+});
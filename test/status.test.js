@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+	applyStatusUpdates,
+	createStatus,
+	createStatusDecoder,
+	decodeStatus,
+	describeProblem,
+} from "../src/status.js";
+
+test("every frame of a notification is decoded", () => {
+	const notification = new DataView(
+		Uint8Array.of(0x1a, 0x06, 0x88, 0x1a, 0x05, 0x99, 0x1a, 0x04, 0x40, 0x1a, 0x0f, 0x0c).buffer
+	);
+	assert.deepEqual(
+		decodeStatus(notification).map(({ type, value }) => [type, value]),
+		[
+			["paper", false],
+			["cover", false],
+			["battery", 64],
+			["finished", true],
+		]
+	);
+});
+
+test("bytes outside frames are skipped, and unknown frames kept as such", () => {
+	const updates = decodeStatus(Uint8Array.of(0x00, 0x1a, 0x03, 0xa9, 0xff, 0x1a, 0x7e, 0x01, 0x1a));
+	assert.deepEqual(
+		updates.map(({ type, value }) => [type, value]),
+		[
+			["temperature", true],
+			["unknown", null],
+		]
+	);
+	assert.deepEqual([...updates[1].raw], [0x1a, 0x7e, 0x01]);
+});
+
+test("frames split between two reads of a stream are put together", () => {
+	const decode = createStatusDecoder();
+	assert.deepEqual(decode(Uint8Array.of(0x1a, 0x06, 0x89, 0x1a, 0x05)), [
+		{ type: "paper", value: true, raw: Uint8Array.of(0x1a, 0x06, 0x89) },
+	]);
+	assert.deepEqual(
+		decode(Uint8Array.of(0x88)).map(({ type, value }) => [type, value]),
+		[["cover", true]]
+	);
+	// A battery level of 26 is the frame start byte, and still belongs to its frame
+	assert.deepEqual(
+		decode(Uint8Array.of(0x1a, 0x04, 0x1a)).map(({ type, value }) => [type, value]),
+		[["battery", 26]]
+	);
+});
+
+test("updates build up the status, leaving what was not reported", () => {
+	const status = createStatus();
+	const next = applyStatusUpdates(status, decodeStatus(Uint8Array.of(0x1a, 0x06, 0x88)));
+	assert.deepEqual(next, { paper: false, coverOpen: null, overheated: null, battery: null });
+	assert.deepEqual(status, createStatus());
+	assert.deepEqual(
+		applyStatusUpdates(next, decodeStatus(Uint8Array.of(0x1a, 0x04, 0xff, 0x1a, 0x06, 0x89))),
+		{ paper: true, coverOpen: null, overheated: null, battery: 100 }
+	);
+});
+
+test("the most important problem is described", () => {
+	assert.equal(describeProblem(createStatus()), null);
+	assert.equal(describeProblem({ ...createStatus(), overheated: true }), "Overheated");
+	assert.equal(
+		describeProblem({ ...createStatus(), paper: false, overheated: true }),
+		"Out of paper"
+	);
+	assert.equal(describeProblem({ ...createStatus(), paper: false, coverOpen: true }), "Cover open");
+});
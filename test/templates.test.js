@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+	TEMPLATE_FILE_FORMAT,
+	exportTemplates,
+	fillTemplateDesign,
+	importTemplates,
+	readTemplateFile,
+} from "../src/templates.js";
+
+test("templates fill in the editor's defaults and drop settings it lacks", () => {
+	const defaults = { text: "", fontSize: 24 };
+	const template = { design: { text: "Shelf", image: "data:", unknown: 1 } };
+	assert.deepEqual(fillTemplateDesign(template, defaults), { text: "Shelf", fontSize: 24 });
+});
+
+test("files that are not template files are rejected before anything is saved", async () => {
+	await assert.rejects(importTemplates("{"), /not JSON/);
+	await assert.rejects(importTemplates('{"templates": []}'), /no label templates/);
+	const file = (templates, version = 1) =>
+		JSON.stringify({ format: TEMPLATE_FILE_FORMAT, version, templates });
+	await assert.rejects(importTemplates(file([], 2)), /newer version/);
+	await assert.rejects(
+		importTemplates(
+			file([
+				{ name: "ok", ui: "benni", design: {} },
+				{ name: "", ui: "benni" },
+			])
+		),
+		/broken/
+	);
+});
+
+test("exported templates keep their names, designs and dates when read back", async () => {
+	const saved = [
+		{ id: "a", name: "Shelf", ui: "benni", design: { text: "Shelf" }, savedAt: 1700000000000 },
+		{ id: "b", name: "Box", ui: "narrowstack", design: { text: "Box" }, savedAt: 1710000000000 },
+	];
+	const read = readTemplateFile(await exportTemplates(saved).text());
+	assert.deepEqual(
+		read.map(({ name, ui, design, savedAt }) => ({ name, ui, design, savedAt })),
+		saved.map(({ name, ui, design, savedAt }) => ({ name, ui, design, savedAt }))
+	);
+	assert.ok(read.every(({ id }) => id !== "a" && id !== "b"));
+});
+
+test("templates without a valid date are dated when they are read", () => {
+	const before = Date.now();
+	const [template] = readTemplateFile(
+		JSON.stringify({
+			format: TEMPLATE_FILE_FORMAT,
+			version: 1,
+			templates: [{ name: "Shelf", ui: "benni", design: {}, savedAt: "yesterday" }],
+		})
+	);
+	assert.ok(template.savedAt >= before);
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { MockPrinter } from "../src/mock-printer.js";
+import { printCanvas } from "../src/printer.js";
+import { PacketWriter, loadTransferSettings, rememberedTransferOptions } from "../src/transport.js";
+
+/** A label of 12 bytes per row, already packed for the printer */
+const label = { data: new Uint8Array(12 * 100).fill(0x3c), bytesPerRow: 12, rows: 100 };
+
+/** An in-memory `localStorage` */
+const storage = new Map();
+globalThis.localStorage = {
+	getItem: (key) => storage.get(key) ?? null,
+	setItem: (key, value) => storage.set(key, String(value)),
+};
+
+test("backing off halves the window first, then the packet size", () => {
+	const steps = [];
+	const writer = new PacketWriter(new MockPrinter(), { packetSize: 100, window: 4 }, (settings) =>
+		steps.push(settings)
+	);
+	while (writer.backOff());
+	assert.deepEqual(steps, [
+		{ packetSize: 100, window: 2 },
+		{ packetSize: 100, window: 1 },
+		{ packetSize: 50, window: 1 },
+		{ packetSize: 25, window: 1 },
+		{ packetSize: 20, window: 1 },
+	]);
+});
+
+test("a disconnected printer is not retried at safer settings", () => {
+	const printer = new MockPrinter();
+	printer.disconnect();
+	const writer = new PacketWriter(printer, { packetSize: 100, window: 4 }, () => assert.fail());
+	assert.equal(writer.backOff(), false);
+
+	const characteristic = { service: { device: { gatt: { connected: false } } } };
+	assert.equal(new PacketWriter(characteristic, { packetSize: 100, window: 4 }).backOff(), false);
+});
+
+test("a label goes through at safer settings when the printer cannot keep up", async () => {
+	const printer = new MockPrinter({ maxPacketSize: 60, bufferPackets: 2 });
+	const backOffs = [];
+	let adjusted = null;
+	await printCanvas(printer, label, {
+		transfer: { packetSize: 100, window: 8 },
+		onBackOff: (settings) => backOffs.push(settings),
+		onTransferAdjusted: (settings) => {
+			adjusted = settings;
+		},
+	});
+	assert.ok(printer.jobs[0].complete);
+	assert.deepEqual(printer.jobs[0].data, label.data);
+	assert.deepEqual(adjusted, backOffs.at(-1));
+	assert.ok(adjusted.packetSize <= 60 && adjusted.window <= 3);
+});
+
+test("safer settings are remembered once a label went through at them", async () => {
+	const printer = new MockPrinter({ maxPacketSize: 60 });
+	await printCanvas(printer, label, {
+		...rememberedTransferOptions("printer-a"),
+		transfer: { packetSize: 100, window: 1 },
+	});
+	assert.deepEqual(loadTransferSettings("printer-a"), { packetSize: 50, window: 1 });
+
+	// Settings that did not need adjusting are kept as they are
+	await printCanvas(printer, label, rememberedTransferOptions("printer-a"));
+	assert.deepEqual(loadTransferSettings("printer-a"), { packetSize: 50, window: 1 });
+});
+
+test("a label that fails part way through leaves the remembered settings alone", async () => {
+	const printer = new MockPrinter({ maxPacketSize: 60 });
+	let writes = 0;
+	const dropping = {
+		writeValueWithResponse: (value) => {
+			if (++writes === 4) printer.disconnect();
+			return printer.writeValueWithResponse(value);
+		},
+		writeValueWithoutResponse: (value) => printer.writeValueWithoutResponse(value),
+		get connected() {
+			return printer.connected;
+		},
+	};
+	await assert.rejects(
+		printCanvas(dropping, label, {
+			...rememberedTransferOptions("printer-b"),
+			transfer: { packetSize: 100, window: 1 },
+		}),
+		{ name: "PrintInterruptedError" }
+	);
+	assert.equal(loadTransferSettings("printer-b"), null);
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { UndoHistory, getUndoShortcut } from "../src/undo-history.js";
+
+test("undo and redo step through the recorded snapshots", () => {
+	const history = new UndoHistory({ coalesceMs: 0 });
+	history.reset({ text: "a", size: 1 });
+	history.record({ text: "b", size: 1 });
+	history.record({ text: "b", size: 2 });
+
+	assert.deepEqual(history.undo(), { text: "b", size: 1 });
+	assert.deepEqual(history.undo(), { text: "a", size: 1 });
+	assert.equal(history.undo(), null);
+	assert.deepEqual(history.redo(), { text: "b", size: 1 });
+	assert.ok(history.canRedo);
+});
+
+test("changes to the same settings in quick succession become one step", () => {
+	const history = new UndoHistory({ coalesceMs: 60_000 });
+	history.reset({ text: "" });
+	history.record({ text: "a" });
+	history.record({ text: "ab" });
+	assert.deepEqual(history.undo(), { text: "" });
+
+	history.redo();
+	history.checkpoint();
+	history.record({ text: "abc" });
+	assert.deepEqual(history.undo(), { text: "ab" });
+});
+
+test("a step whose settings change back is dropped", () => {
+	const history = new UndoHistory({ coalesceMs: 60_000 });
+	history.reset({ size: 1 });
+	history.record({ size: 2 });
+	history.record({ size: 1 });
+	assert.equal(history.canUndo, false);
+});
+
+test("recording after an undo drops the steps that could be redone", () => {
+	const history = new UndoHistory({ coalesceMs: 0 });
+	history.reset({ size: 1 });
+	history.record({ size: 2 });
+	history.undo();
+	history.record({ size: 3 });
+	assert.equal(history.canRedo, false);
+	assert.deepEqual(history.undo(), { size: 1 });
+});
+
+test("only the newest steps are kept, and changes are announced", () => {
+	const history = new UndoHistory({ limit: 2, coalesceMs: 0 });
+	let changes = 0;
+	history.addEventListener("change", () => changes++);
+	history.reset({ size: 0 });
+	for (let size = 1; size <= 4; size++) {
+		history.checkpoint();
+		history.record({ size });
+	}
+	assert.equal(changes, 5);
+	history.undo();
+	history.undo();
+	assert.equal(history.canUndo, false);
+	assert.deepEqual(history.states[history.index], { size: 2 });
+});
+
+test("Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo, with ⌘ for Ctrl", () => {
+	const keys = { ctrlKey: false, metaKey: false, altKey: false, shiftKey: false };
+	assert.equal(getUndoShortcut({ ...keys, key: "z", ctrlKey: true }), "undo");
+	assert.equal(getUndoShortcut({ ...keys, key: "Z", ctrlKey: true, shiftKey: true }), "redo");
+	assert.equal(getUndoShortcut({ ...keys, key: "y", metaKey: true }), "redo");
+	assert.equal(getUndoShortcut({ ...keys, key: "z" }), null);
+	assert.equal(getUndoShortcut({ ...keys, key: "z", ctrlKey: true, altKey: true }), null);
+	assert.equal(getUndoShortcut({ ...keys, key: "c", ctrlKey: true }), null);
+});
@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { autoprintWhenReady, createDesignUrl, readDesignFromUrl } from "../src/url-state.js";
+
+const defaults = { text: "", fontSize: 24, verticalText: false, elements: [] };
+const base = "https://example.com/narrowstack-ui/";
+
+test("links hold only the settings that differ from the defaults", () => {
+	const url = createDesignUrl({ ...defaults, text: "Server 12", fontSize: 24 }, defaults, { base });
+	assert.equal(url, `${base}#text=Server+12`);
+});
+
+test("designs survive a round trip through a link", () => {
+	const design = {
+		text: "a & b\n#1",
+		fontSize: 30,
+		verticalText: true,
+		elements: [{ type: "text", text: "x" }],
+	};
+	const url = new URL(createDesignUrl(design, defaults, { base, autoprint: true }));
+	assert.deepEqual(readDesignFromUrl(url, defaults), { design, autoprint: true });
+});
+
+test("settings are converted to the type of their default, and unknown ones skipped", () => {
+	const url = new URL(`${base}?fontSize=40&verticalText=0#text=abc&elements={}&other=1`);
+	assert.deepEqual(readDesignFromUrl(url, defaults), {
+		design: { fontSize: 40, verticalText: false, text: "abc" },
+		autoprint: false,
+	});
+});
+
+test("the hash takes precedence over the query string", () => {
+	const url = new URL(`${base}?text=query&autoprint=1#text=hash&autoprint=false`);
+	assert.deepEqual(readDesignFromUrl(url, defaults), {
+		design: { text: "hash" },
+		autoprint: false,
+	});
+});
+
+test("settings in the query string are dropped from new links", () => {
+	const url = createDesignUrl(defaults, defaults, { base: `${base}?text=old&lang=de` });
+	assert.equal(url, `${base}?lang=de`);
+});
+
+test("numbers and objects that do not parse are skipped", () => {
+	const url = new URL(`${base}#fontSize=abc&elements={"a":1}`);
+	assert.deepEqual(readDesignFromUrl(url, defaults).design, {});
+});
+
+test("autoprint links print once, when a printer is ready, and leave the address bar", () => {
+	const urls = [];
+	globalThis.history = { replaceState: (state, title, url) => urls.push(url) };
+	let ready = false;
+	let check;
+	let prints = 0;
+	autoprintWhenReady({
+		url: `${base}#text=x`,
+		isReady: () => ready,
+		onChange: (listener) => (check = listener),
+		print: () => prints++,
+	});
+	assert.deepEqual(urls, [`${base}#text=x`]);
+	assert.equal(prints, 0);
+
+	ready = true;
+	check();
+	check();
+	assert.equal(prints, 1);
+	delete globalThis.history;
+});
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Renders labels without a browser, with the same code as the UIs, and writes what would be
+ * printed: the raw byte stream for the printer, and a PNG of the dots in that stream.
+ *
+ *     npm install
+ *     npx phomemo-label render --text "Server 12" --qr https://wiki/server-12 --size 40x12 \
+ *         -o label.png -o label.bin
+ *
+ * A `.bin` file can be sent as it is, e.g. with `printBytes`. The PNG is decoded from the same
+ * bytes, so it shows exactly the dots the printer receives, turned the right way up.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { parseArgs } from "node:util";
+import { createCanvas, ImageData, loadImage } from "@napi-rs/canvas";
+import { drawText } from "canvas-txt";
+import JsBarcode from "jsbarcode";
+import QRCode from "qrcode";
+import { MockPrinter } from "../src/mock-printer.js";
+import { PRINTER_MODELS } from "../src/models.js";
+import { encodePrintJob } from "../src/printer.js";
+import { DEFAULT_DESIGN, renderLabel } from "../src/render.js";
+
+const USAGE = `Usage: phomemo-label render [options] -o <file.png|file.bin>...
+
+Label:
+  --design <file.json>    a label design, see LabelDesign in src/render.js; options override it
+                          its elements may place images by path or URL
+  --text <text>           "\\n" starts a new line
+  --qr <data>             a QR code
+  --barcode <data>        a barcode, CODE128 unless --barcode-format says otherwise
+  --barcode-format <f>    a JsBarcode format, e.g. EAN13
+  --code-position <p>     above, below, left, right or background
+  --code-size <percent>   of the label
+  --image <file>          a PNG or JPEG, placed by --image-position (default left)
+  --image-position <p>    above, below, left, right or background
+  --size <W>x<H>          label size in mm (default ${DEFAULT_DESIGN.width}x${
+	DEFAULT_DESIGN.height
+})
+  --font-size <px>
+  --font <family>         a font family installed on this system
+  --align <a>             left, center or right
+
+Printer:
+  --model <id>            ${Object.keys(PRINTER_MODELS).join(", ")} (default d30)
+  --density <1-15>        print density; the printer's own setting is kept if omitted
+  --feed <lines>          blank lines to feed after the label
+  --threshold <0-765>     binarization threshold, see encodeBitmap
+
+Output:
+  -o, --output <file>     .bin for the printer byte stream, .png for the printed dots;
+                          may be given more than once
+  --as-printed            keep the PNG the way it is printed, the label running down
+`;
+
+/** The canvases and libraries `renderLabel` draws with */
+const canvasFactory = { createCanvas, drawText, QRCode, JsBarcode, loadImage };
+
+/**
+ * @param {string|undefined} value
+ * @param {string} option for the error message
+ * @returns {number|undefined}
+ */
+const parseNumber = (value, option) => {
+	if (value === undefined) return undefined;
+	const number = Number(value);
+	if (value === "" || !Number.isFinite(number)) throw new Error(`${option} must be a number`);
+	return number;
+};
+
+/**
+ * Builds the design from a design file and the options, which take precedence.
+ * @param {object} values parsed options
+ * @returns {Promise<Partial<import("../src/render.js").LabelDesign>>}
+ */
+const readDesign = async (values) => {
+	const design = values.design ? JSON.parse(await readFile(values.design, "utf8")) : {};
+	if (typeof design !== "object" || design === null || Array.isArray(design)) {
+		throw new Error(`${values.design} does not hold a design object`);
+	}
+	// The same shorthands as remote jobs, see src/remote-jobs.js
+	if (typeof design.qr === "string") Object.assign(design, { codeType: "qr", codeData: design.qr });
+	if (typeof design.barcode === "string") {
+		Object.assign(design, { codeType: "barcode", codeData: design.barcode });
+	}
+
+	if (values.text !== undefined) design.text = values.text.replace(/\\n/g, "\n");
+	if (values.qr !== undefined) Object.assign(design, { codeType: "qr", codeData: values.qr });
+	if (values.barcode !== undefined) {
+		Object.assign(design, { codeType: "barcode", codeData: values.barcode });
+	}
+	if (values["barcode-format"] !== undefined) design.barcodeFormat = values["barcode-format"];
+	if (values["code-position"] !== undefined) design.codePosition = values["code-position"];
+	if (values["code-size"] !== undefined) {
+		design.codeSize = parseNumber(values["code-size"], "--code-size");
+	}
+	if (values["image-position"] !== undefined) design.imagePosition = values["image-position"];
+	if (values["font-size"] !== undefined) {
+		design.fontSize = parseNumber(values["font-size"], "--font-size");
+	}
+	if (values.font !== undefined) design.fontFamily = values.font;
+	if (values.align !== undefined) design.textAlign = values.align;
+	if (values.size !== undefined) {
+		const match = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/i.exec(values.size);
+		if (!match) throw new Error("--size must look like 40x12 (width x height in mm)");
+		design.width = Number(match[1]);
+		design.height = Number(match[2]);
+	}
+	return design;
+};
+
+/**
+ * Draws the dots of a byte stream, as decoded by the mock printer.
+ * @param {Uint8Array} bytes
+ * @param {boolean} asPrinted false to turn the label the right way up
+ * @returns {Buffer} a PNG
+ */
+const toPNG = (bytes, asPrinted) => {
+	const printer = new MockPrinter();
+	printer.consume(bytes);
+	const job = printer.jobs[printer.jobs.length - 1];
+	if (!job?.complete) throw new Error("The byte stream holds no complete label");
+	const { width, height, data } = printer.toImageData(job);
+	const printed = createCanvas(width, height);
+	printed.getContext("2d").putImageData(new ImageData(data, width, height), 0, 0);
+	if (asPrinted) return printed.toBuffer("image/png");
+
+	// Labels are drawn rotated by 90°, see renderLabel
+	const upright = createCanvas(height, width);
+	const ctx = upright.getContext("2d");
+	ctx.translate(0, width);
+	ctx.rotate(-Math.PI / 2);
+	ctx.drawImage(printed, 0, 0);
+	return upright.toBuffer("image/png");
+};
+
+/**
+ * @param {string[]} args command line arguments, without node and the script
+ */
+const render = async (args) => {
+	const { values } = parseArgs({
+		args,
+		options: {
+			design: { type: "string" },
+			text: { type: "string" },
+			qr: { type: "string" },
+			barcode: { type: "string" },
+			"barcode-format": { type: "string" },
+			"code-position": { type: "string" },
+			"code-size": { type: "string" },
+			image: { type: "string" },
+			"image-position": { type: "string" },
+			size: { type: "string" },
+			"font-size": { type: "string" },
+			font: { type: "string" },
+			align: { type: "string" },
+			model: { type: "string", default: "d30" },
+			density: { type: "string" },
+			feed: { type: "string" },
+			threshold: { type: "string" },
+			output: { type: "string", short: "o", multiple: true },
+			"as-printed": { type: "boolean" },
+		},
+	});
+	if (!values.output) throw new Error("Give at least one output file with -o");
+	for (const output of values.output) {
+		if (![".png", ".bin"].includes(extname(output).toLowerCase())) {
+			throw new Error(`${output}: only .png and .bin files can be written`);
+		}
+	}
+	const model = PRINTER_MODELS[values.model];
+	if (!model) throw new Error(`Unknown model ${values.model}`);
+
+	const design = await readDesign(values);
+	let image = null;
+	if (values.image) {
+		image = await loadImage(await readFile(values.image));
+		design.imagePosition ??= "left";
+	}
+	if (!((design.fontSize ?? DEFAULT_DESIGN.fontSize) > 0)) throw new Error("font size invalid");
+
+	const canvas = await renderLabel(design, canvasFactory, { image, dotsPerMm: model.dotsPerMm });
+	const bytes = encodePrintJob(canvas, {
+		model,
+		density: parseNumber(values.density, "--density"),
+		feedLines: parseNumber(values.feed, "--feed"),
+		threshold: parseNumber(values.threshold, "--threshold"),
+	});
+
+	for (const output of values.output) {
+		const isPNG = extname(output).toLowerCase() === ".png";
+		await writeFile(output, isPNG ? toPNG(bytes, values["as-printed"]) : bytes);
+		console.log(
+			isPNG
+				? `${output}: ${canvas.height} x ${canvas.width} dots`
+				: `${output}: ${bytes.length} bytes for the ${model.name}`
+		);
+	}
+};
+
+const [command, ...args] = process.argv.slice(2);
+if (command === "render") {
+	try {
+		await render(args);
+	} catch (err) {
+		console.error(`phomemo-label: ${err.message}`);
+		process.exitCode = 1;
+	}
+} else {
+	console.log(USAGE);
+	if (command !== "--help" && command !== "-h") process.exitCode = 1;
+}
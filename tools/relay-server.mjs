@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+/**
+ * Reference relay for remote print jobs, for testing on a local network. Needs only Node.js.
+ *
+ *     node tools/relay-server.mjs [--port 8787] [--host 127.0.0.1] [--token <secret>]
+ *
+ * The page holding the printer connects to `/page?token=<secret>`, as a WebSocket
+ * (`ws://host:8787/page?token=…`) or as Server-Sent Events (`http://host:8787/page?token=…`,
+ * results POSTed back to the same URL as JSON). The relay prints both URLs when it starts; without
+ * `--token` it makes up a new secret each time. Each job goes to the page that connected last. Other programs POST jobs to `/jobs` as JSON; see
+ * `src/remote-jobs.js` for the message format:
+ *
+ *     curl -X POST localhost:8787/jobs -H "Content-Type: application/json" \
+ *         -d '{"design":{"text":"Hello"}}'
+ *
+ * The request waits until the job is finished and answers with its last result, or, with
+ * `?wait=0`, answers straight away. `GET /jobs/<id>` returns the last result of a job.
+ *
+ * Only `/page` may be used from other origins, and only with the token, so other web pages the
+ * user visits can neither receive the jobs nor report results for them. Jobs must be sent as
+ * `application/json`, which browsers only send cross-origin after a CORS check that `/jobs` does
+ * not pass, so web pages cannot print through the relay either. It listens on this computer only
+ * unless `--host` says otherwise.
+ */
+
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const FINAL_STATUSES = ["done", "failed", "cancelled"];
+const JOB_TIMEOUT_MS = 5 * 60 * 1000;
+/** Results kept for `GET /jobs/<id>`; the oldest are forgotten first */
+const MAX_RESULTS = 1000;
+/** Largest request body or WebSocket message accepted, enough for a PNG of a long label */
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+
+/**
+ * @param {string} name
+ * @param {string} fallback
+ * @returns {string} the value following the option on the command line
+ */
+const readOption = (name, fallback) => {
+	const index = process.argv.indexOf(name);
+	return index === -1 ? fallback : process.argv[index + 1];
+};
+const port = Number(readOption("--port", "8787"));
+const host = readOption("--host", "127.0.0.1");
+const token = readOption("--token", randomBytes(16).toString("hex"));
+
+/** @type {Set<{ send: (text: string) => void }>} connected pages, in the order they connected */
+const pages = new Set();
+/** @type {Map<string, object>} last result of the latest jobs */
+const results = new Map();
+/** @type {Map<string, Set<(result: object) => void>>} requests waiting for a job to finish */
+const waiting = new Map();
+
+/** An error answered with its HTTP status */
+class RequestError extends Error {
+	/**
+	 * @param {number} status
+	 * @param {string} message
+	 */
+	constructor(status, message) {
+		super(message);
+		this.name = "RequestError";
+		this.status = status;
+	}
+}
+
+/**
+ * @param {URL} url
+ * @returns {boolean} whether the URL carries the relay's token
+ */
+const hasToken = (url) => {
+	const given = Buffer.from(url.searchParams.get("token") ?? "");
+	const expected = Buffer.from(token);
+	return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+/**
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {boolean}
+ */
+const isJson = (req) => /^application\/json\b/i.test(req.headers["content-type"] ?? "");
+
+/**
+ * Encodes a WebSocket frame; the server never masks.
+ * @param {Buffer} payload
+ * @param {number} opcode 1 for text, 10 for pong
+ */
+const encodeFrame = (payload, opcode = 1) => {
+	const length = payload.length;
+	const header =
+		length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+	header[0] = 0x80 | opcode;
+	if (length < 126) {
+		header[1] = length;
+	} else if (length < 65536) {
+		header[1] = 126;
+		header.writeUInt16BE(length, 2);
+	} else {
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(length), 2);
+	}
+	return Buffer.concat([header, payload]);
+};
+
+/**
+ * Decodes the first WebSocket frame in a buffer. Browsers mask every frame they send.
+ * @param {Buffer} buffer
+ * @returns {{ opcode: number, payload: Buffer, length: number }|null} null until the frame is
+ * complete
+ */
+const decodeFrame = (buffer) => {
+	if (buffer.length < 2) return null;
+	const opcode = buffer[0] & 0x0f;
+	const masked = (buffer[1] & 0x80) !== 0;
+	let length = buffer[1] & 0x7f;
+	let offset = 2;
+	if (length === 126) {
+		if (buffer.length < 4) return null;
+		length = buffer.readUInt16BE(2);
+		offset = 4;
+	} else if (length === 127) {
+		if (buffer.length < 10) return null;
+		length = Number(buffer.readBigUInt64BE(2));
+		offset = 10;
+	}
+	const maskOffset = offset;
+	if (masked) offset += 4;
+	if (buffer.length < offset + length) return null;
+
+	const payload = Buffer.from(buffer.subarray(offset, offset + length));
+	if (masked) {
+		for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+	}
+	return { opcode, payload, length: offset + length };
+};
+
+/**
+ * @param {object} result
+ */
+const storeResult = (result) => {
+	results.delete(result.id);
+	results.set(result.id, result);
+	if (results.size > MAX_RESULTS) results.delete(results.keys().next().value);
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>} the job's final result, or null if it takes too long
+ */
+const waitForResult = (id) =>
+	new Promise((resolve) => {
+		const resolvers = waiting.get(id) ?? new Set();
+		const finish = (result) => {
+			clearTimeout(timer);
+			resolvers.delete(finish);
+			if (resolvers.size === 0) waiting.delete(id);
+			resolve(result);
+		};
+		const timer = setTimeout(() => finish(null), JOB_TIMEOUT_MS);
+		waiting.set(id, resolvers.add(finish));
+	});
+
+/**
+ * Records a result sent by a page and answers the requests waiting for it.
+ * @param {string} text JSON result message
+ */
+const handleResult = (text) => {
+	let result;
+	try {
+		result = JSON.parse(text);
+	} catch {
+		return;
+	}
+	if (result?.type !== "result" || typeof result.id !== "string") return;
+	storeResult(result);
+	console.log(`Job ${result.id}: ${result.status}${result.error ? ` (${result.error})` : ""}`);
+	if (!FINAL_STATUSES.includes(result.status)) return;
+	for (const finish of [...(waiting.get(result.id) ?? [])]) finish(result);
+};
+
+/**
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {Promise<string>}
+ * @throws {RequestError} if the body is larger than {@link MAX_BODY_BYTES}
+ */
+const readBody = (req) =>
+	new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		req.on("data", (chunk) => {
+			size += chunk.length;
+			if (size <= MAX_BODY_BYTES) {
+				chunks.push(chunk);
+			} else {
+				// Stop reading; the connection is closed once the error is answered
+				req.pause();
+				reject(new RequestError(413, "The request is too large"));
+			}
+		});
+		req.on("end", () => resolve(Buffer.concat(chunks).toString()));
+		req.on("error", reject);
+	});
+
+/**
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+const sendJson = (res, status, body) => {
+	res.writeHead(status, { "Content-Type": "application/json" });
+	res.end(JSON.stringify(body));
+};
+
+/**
+ * Forwards a job to the page that connected last and, unless told not to, waits for it to finish.
+ * @param {import("node:http").IncomingMessage} req
+ * @param {import("node:http").ServerResponse} res
+ * @param {URL} url
+ */
+const handleJob = async (req, res, url) => {
+	if (!isJson(req)) return sendJson(res, 415, { error: "Send the job as application/json" });
+	const body = await readBody(req);
+	let job;
+	try {
+		job = JSON.parse(body);
+	} catch {
+		return sendJson(res, 400, { error: "The job is not valid JSON" });
+	}
+	if (typeof job !== "object" || job === null || Array.isArray(job)) {
+		return sendJson(res, 400, { error: "The job must be a JSON object" });
+	}
+	const page = [...pages].at(-1);
+	if (!page) return sendJson(res, 503, { error: "No page is connected" });
+
+	const message = { ...job, type: "job", id: typeof job.id === "string" ? job.id : randomUUID() };
+	const result = { type: "result", id: message.id, status: "sent" };
+	storeResult(result);
+	page.send(JSON.stringify(message));
+
+	if (url.searchParams.get("wait") === "0") return sendJson(res, 202, result);
+	const finished = await waitForResult(message.id);
+	if (finished) sendJson(res, finished.status === "done" ? 200 : 500, finished);
+	else sendJson(res, 504, results.get(message.id));
+};
+
+/**
+ * Streams jobs to a page as Server-Sent Events.
+ * @param {import("node:http").IncomingMessage} req
+ * @param {import("node:http").ServerResponse} res
+ */
+const handleEventStream = (req, res) => {
+	res.writeHead(200, {
+		"Content-Type": "text/event-stream",
+		"Cache-Control": "no-cache",
+		Connection: "keep-alive",
+	});
+	res.write(": connected\n\n");
+	const page = { send: (text) => res.write(`data: ${text}\n\n`) };
+	pages.add(page);
+	req.on("close", () => pages.delete(page));
+};
+
+/**
+ * @param {import("node:http").IncomingMessage} req
+ * @param {import("node:http").ServerResponse} res
+ * @param {URL} url
+ */
+const handleRequest = async (req, res, url) => {
+	if (url.pathname === "/page") {
+		// The page is usually served from another origin, possibly a public one
+		res.setHeader("Access-Control-Allow-Origin", "*");
+		res.setHeader("Access-Control-Allow-Private-Network", "true");
+		res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+	}
+
+	if (req.method === "OPTIONS") {
+		res.writeHead(204).end();
+	} else if (url.pathname === "/page" && !hasToken(url)) {
+		sendJson(res, 403, { error: "Connect with the token the relay printed when it started" });
+	} else if (url.pathname === "/page" && req.method === "GET") {
+		handleEventStream(req, res);
+	} else if (url.pathname === "/page" && req.method === "POST") {
+		if (!isJson(req)) return sendJson(res, 415, { error: "Send the result as application/json" });
+		handleResult(await readBody(req));
+		res.writeHead(204).end();
+	} else if (url.pathname === "/jobs" && req.method === "POST") {
+		await handleJob(req, res, url);
+	} else if (url.pathname.startsWith("/jobs/") && req.method === "GET") {
+		const result = results.get(decodeURIComponent(url.pathname.slice("/jobs/".length)));
+		if (result) sendJson(res, 200, result);
+		else sendJson(res, 404, { error: "Unknown job" });
+	} else {
+		sendJson(res, 404, { error: "Not found" });
+	}
+};
+
+const server = createServer((req, res) => {
+	handleRequest(req, res, new URL(req.url, "http://localhost")).catch((err) => {
+		if (err instanceof RequestError && !res.headersSent) {
+			res.setHeader("Connection", "close");
+			return sendJson(res, err.status, { error: err.message });
+		}
+		console.error(err);
+		if (!res.headersSent) sendJson(res, 500, { error: "Internal error" });
+		else res.end();
+	});
+});
+
+// WebSocket connections from the page
+server.on("upgrade", (req, socket) => {
+	const key = req.headers["sec-websocket-key"];
+	const url = new URL(req.url, "http://localhost");
+	if (url.pathname !== "/page" || !key) {
+		socket.destroy();
+		return;
+	}
+	if (!hasToken(url)) {
+		socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+		return;
+	}
+	const accept = createHash("sha1")
+		.update(key + WEBSOCKET_GUID)
+		.digest("base64");
+	socket.write(
+		"HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+			`Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+	);
+
+	const page = { send: (text) => socket.write(encodeFrame(Buffer.from(text))) };
+	pages.add(page);
+	let buffer = Buffer.alloc(0);
+	socket.on("data", (chunk) => {
+		buffer = Buffer.concat([buffer, chunk]);
+		// A frame header is at most 14 bytes
+		if (buffer.length > MAX_BODY_BYTES + 14) {
+			socket.destroy();
+			return;
+		}
+		for (let frame = decodeFrame(buffer); frame; frame = decodeFrame(buffer)) {
+			buffer = buffer.subarray(frame.length);
+			if (frame.opcode === 0x1) handleResult(frame.payload.toString());
+			else if (frame.opcode === 0x9) socket.write(encodeFrame(frame.payload, 0xa));
+			else if (frame.opcode === 0x8) socket.end(encodeFrame(frame.payload, 0x8));
+		}
+	});
+	socket.on("close", () => pages.delete(page));
+	socket.on("error", () => pages.delete(page));
+});
+
+server.listen(port, host, () => {
+	// The actual port, with `--port 0`
+	const origin = `${host.includes(":") ? `[${host}]` : host}:${server.address().port}`;
+	console.log(`Relay listening on ${origin}`);
+	console.log(`  page: ws://${origin}/page?token=${token} or http://${origin}/page?token=${token}`);
+	console.log(`  jobs: POST http://${origin}/jobs`);
+});